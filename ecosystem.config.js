@@ -7,6 +7,10 @@ module.exports = {
       exec_mode: process.env.NODE_ENV === "production" ? "cluster" : "fork",
 
       // Environment variables
+      // Cluster workers share OAuth state, sessions, drafts and jobs through
+      // redis (the default store driver in cluster mode): set REDIS_URL
+      // (default redis://127.0.0.1:6379) and optionally REDIS_PREFIX.
+      // STORE_DRIVER and the per-store *_DRIVER variables override it.
       env_production: {
         NODE_ENV: "production",
         PORT: 3000,
@@ -6,6 +6,28 @@ const {
   errorResponse,
 } = require("../../../utils/apiResponse");
 const logger = require("../../../config/logger.config");
+const jobService = require("../../jobs/services/job.service");
+
+/**
+ * 503 when every AI backend is down or circuit-broken, else 500
+ */
+const failureStatus = (err) => (err.code === "AI_UNAVAILABLE" ? 503 : 500);
+
+/**
+ * 202 answer for ?async=true requests
+ */
+const queuedResponse = (res, job, message) =>
+  successResponse(
+    res,
+    {
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+    },
+    message,
+    202
+  );
 
 class GeminiController {
   /**
@@ -16,10 +38,6 @@ class GeminiController {
     try {
       const { imageBase64, mimeType, options } = req.body;
 
-      if (!imageBase64) {
-        return errorResponse(res, "imageBase64 is required", 400);
-      }
-
       logger.info("AI analyzeImage called");
 
       // Single image is just an array with one element
@@ -32,7 +50,7 @@ class GeminiController {
 
       const listingPayload = await geminiService.analyzeMultipleImages(
         normalized,
-        options || {}
+        { ...options, marketplaceId: req.marketplace.marketplaceId }
       );
 
       // Handle rejection cases
@@ -67,13 +85,22 @@ class GeminiController {
         error: err.message,
         stack: err.stack,
       });
-      return errorResponse(res, "AI image analysis failed", 500, err.message);
+      return errorResponse(
+        res,
+        "AI image analysis failed",
+        failureStatus(err),
+        err.message
+      );
     }
   }
 
   /**
    * Analyze multiple images of the SAME product
    * POST /api/ai/analyze-images
+   *
+   * ?async=true queues a job; its result is the listing payload (including
+   * rejected / requiresReview outcomes) and GET /api/jobs/:jobId/events
+   * streams "visual snapshot done" / "listing generated" stages.
    */
   async analyzeImages(req, res) {
     const requestId = `req-${Date.now()}`;
@@ -82,78 +109,12 @@ class GeminiController {
       const { images, options } = req.body;
       // images: [{ imageBase64: string, mimeType?: string }, ...]
 
-      // =====================================================================
-      // VALIDATION
-      // =====================================================================
-      if (!Array.isArray(images) || images.length === 0) {
-        return errorResponse(
-          res,
-          "images array is required and must not be empty",
-          400,
-          {
-            field: "images",
-            expected: "array of { imageBase64, mimeType }",
-            received: typeof images,
-          }
-        );
-      }
-
-      // Validate each image
-      for (let i = 0; i < images.length; i++) {
-        const img = images[i];
-        if (!img.imageBase64) {
-          return errorResponse(
-            res,
-            `Image at index ${i} is missing imageBase64 data`,
-            400,
-            {
-              field: `images[${i}].imageBase64`,
-              expected: "base64 string",
-            }
-          );
-        }
-
-        // Validate MIME type
-        const validMimeTypes = [
-          "image/jpeg",
-          "image/jpg",
-          "image/png",
-          "image/webp",
-        ];
-        const mimeType = img.mimeType || "image/jpeg";
-        if (!validMimeTypes.includes(mimeType)) {
-          return errorResponse(
-            res,
-            `Image at index ${i} has invalid MIME type: ${mimeType}`,
-            400,
-            {
-              field: `images[${i}].mimeType`,
-              expected: validMimeTypes,
-              received: mimeType,
-            }
-          );
-        }
-      }
-
-      // Validate image count
-      if (images.length > 16) {
-        return errorResponse(
-          res,
-          "Too many images. Maximum 16 images allowed per request",
-          400,
-          {
-            field: "images",
-            maxAllowed: 16,
-            received: images.length,
-          }
-        );
-      }
-
       logger.info("AI analyzeImages called", {
         requestId,
         count: images.length,
         hasMarketData: !!options?.marketData?.length,
         hasSellerConfig: !!options?.sellerConfig,
+        async: req.query.async,
       });
 
       // =====================================================================
@@ -164,14 +125,36 @@ class GeminiController {
         mimeType: img.mimeType || "image/jpeg",
       }));
 
+      const analysisOptions = {
+        userProvidedCondition: options?.userProvidedCondition || null,
+        marketData: options?.marketData || [],
+        sellerConfig: options?.sellerConfig || {},
+        hostedImageUrls: options?.hostedImageUrls || [],
+        provider: options?.provider,
+        model: options?.model,
+        marketplaceId: req.marketplace.marketplaceId,
+      };
+
+      if (req.query.async) {
+        const job = await jobService.enqueue(
+          {
+            type: "ai.analyze-images",
+            meta: { requestId, imageCount: images.length },
+          },
+          ({ signal, stage }) =>
+            geminiService.analyzeMultipleImages(normalized, {
+              ...analysisOptions,
+              signal,
+              onStage: stage,
+            })
+        );
+
+        return queuedResponse(res, job, "Multi-image analysis queued");
+      }
+
       const listingPayload = await geminiService.analyzeMultipleImages(
         normalized,
-        {
-          userProvidedCondition: options?.userProvidedCondition || null,
-          marketData: options?.marketData || [],
-          sellerConfig: options?.sellerConfig || {},
-          hostedImageUrls: options?.hostedImageUrls || [],
-        }
+        analysisOptions
       );
 
       // =====================================================================
@@ -240,6 +223,7 @@ class GeminiController {
         requestId,
         brand: listingPayload.productIdentification?.brand,
         category: listingPayload.productIdentification?.category,
+        categoryId: listingPayload.categoryId,
         price: listingPayload.pricing?.suggestedPrice,
         processingTime: listingPayload.metadata?.processingTime,
       });
@@ -272,7 +256,7 @@ class GeminiController {
       return errorResponse(
         res,
         "AI multi-image analysis failed",
-        500,
+        failureStatus(err),
         err.message
       );
     }
@@ -286,19 +270,16 @@ class GeminiController {
     const requestId = `bulk-${Date.now()}`;
 
     try {
-      const { images, options } = req.body;
-
-      if (!Array.isArray(images) || images.length === 0) {
-        return errorResponse(
-          res,
-          "images array is required for bulk analysis",
-          400
-        );
-      }
+      const { images } = req.body;
+      const options = {
+        ...(req.body.options || {}),
+        marketplaceId: req.marketplace.marketplaceId,
+      };
 
       logger.info("AI analyzeBulkProducts called", {
         requestId,
         count: images.length,
+        async: req.query.async,
       });
 
       const normalized = images.map((img) => ({
@@ -306,11 +287,29 @@ class GeminiController {
         mimeType: img.mimeType || "image/jpeg",
       }));
 
-      // TODO: Implement bulk product separation logic
-      // For now, return placeholder
+      // ?async=true → queue a job, poll GET /api/jobs/:jobId
+      if (req.query.async) {
+        const job = await jobService.enqueue(
+          {
+            type: "ai.analyze-bulk",
+            meta: { requestId, imageCount: images.length },
+          },
+          async ({ signal, addResults, stage }) => {
+            const products = await geminiService.analyzeBulkProducts(
+              normalized,
+              { ...options, signal, onStage: stage }
+            );
+            await addResults(products);
+            return { productsDetected: products.length };
+          }
+        );
+
+        return queuedResponse(res, job, "Bulk analysis queued");
+      }
+
       const products = await geminiService.analyzeBulkProducts(
         normalized,
-        options || {}
+        options
       );
 
       logger.info("AI analyzeBulkProducts succeeded", {
@@ -329,7 +328,12 @@ class GeminiController {
         error: err.message,
         stack: err.stack,
       });
-      return errorResponse(res, "AI bulk analysis failed", 500, err.message);
+      return errorResponse(
+        res,
+        "AI bulk analysis failed",
+        failureStatus(err),
+        err.message
+      );
     }
   }
 
@@ -343,10 +347,6 @@ class GeminiController {
     try {
       const { listingData, options } = req.body;
 
-      if (!listingData) {
-        return errorResponse(res, "listingData is required", 400);
-      }
-
       logger.info("AI generateHtmlTemplate called", { requestId });
 
       const html = await geminiService.generateHtmlTemplate(
@@ -378,11 +378,14 @@ class GeminiController {
     const requestId = `terms-${Date.now()}`;
 
     try {
-      const { sellerInfo } = req.body;
+      const { sellerInfo, options } = req.body;
 
       logger.info("AI draftTermsOfService called", { requestId });
 
-      const terms = await geminiService.draftTermsOfService(sellerInfo || {});
+      const terms = await geminiService.draftTermsOfService(
+        sellerInfo || {},
+        options || {}
+      );
 
       return successResponse(res, terms, "Terms of Service drafted");
     } catch (err) {
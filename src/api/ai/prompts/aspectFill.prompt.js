@@ -0,0 +1,46 @@
+// prompts/aspectFill.prompt.js
+
+// Fill a category's item specifics from the visual snapshot. The aspect list
+// is wrapped in <aspects> tags so it can be parsed back (stub provider).
+const buildAspectFillPrompt = (visualSnapshot, listing, aspects) => `
+You are an eBay item specifics expert. Fill the item specifics of this eBay category for the item below.
+
+VISUAL SNAPSHOT (what is visible in the photos):
+${JSON.stringify(
+  {
+    productIdentification: visualSnapshot.productIdentification,
+    condition: visualSnapshot.condition,
+    dimensions: visualSnapshot.dimensions,
+    rawVisualNotes: visualSnapshot.rawVisualNotes,
+  },
+  null,
+  2
+)}
+
+LISTING:
+- Title: ${listing.title || "n/a"}
+- Current item specifics: ${JSON.stringify(listing.itemSpecifics || {})}
+
+CATEGORY ASPECTS (mode SELECTION_ONLY = value MUST come from allowedValues):
+<aspects>
+${JSON.stringify(aspects, null, 1)}
+</aspects>
+
+RULES:
+- Fill every aspect you can support with evidence from the snapshot or listing. Never guess.
+- Use the exact spelling of an allowedValues entry whenever one matches (e.g. "white" → "White").
+- Split combined values into separate values ("White/Black" → ["White", "Black"]) unless cardinality is SINGLE.
+- When an aspect cannot be seen but eBay offers a neutral value ("Unbranded", "Does Not Apply"), you may use it with source "default".
+- Leave out aspects you cannot fill.
+
+Return ONLY this JSON object:
+{
+  "aspects": [
+    { "name": "aspect name exactly as listed", "values": ["value"], "source": "ai|default" }
+  ]
+}
+`;
+
+module.exports = {
+  buildAspectFillPrompt,
+};
@@ -0,0 +1,141 @@
+// prompts/bulkSeparation.prompt.js
+
+// Bulk upload separation: split a set of images into distinct products,
+// each with its own listing data.
+const buildBulkSeparationPrompt = (options = {}) => {
+  const { sellerConfig = {}, marketData = [], currency = "USD" } = options;
+
+  return `You are an expert at identifying and separating multiple products from bulk image uploads for eBay listing creation.
+
+**TASK**: Analyze ALL uploaded images and identify DISTINCT PRODUCTS. Each unique product should get its own listing.
+
+**SEPARATION LOGIC:**
+- If images show the SAME product from different angles → Group as ONE product
+- If images show DIFFERENT products → Separate into MULTIPLE products
+- Look for: different brands, models, colors, sizes, SKUs, or completely different items
+- A "set" or "bundle" of identical items = ONE product listing
+
+**OUTPUT FORMAT (VALID JSON ONLY):**
+
+\`\`\`json
+{
+  "products": [
+    {
+      "productId": 1,
+      "imageIndices": [0, 1, 2],
+      "separationReasoning": "Nike Air Max sneakers - images 0, 1, 2 show same pair from different angles",
+      
+      "productIdentification": {
+        "brand": "Nike",
+        "model": "Air Max 90",
+        "category": "Clothing, Shoes & Accessories > Men's Shoes > Athletic Shoes"
+      },
+
+      "title": "Nike Air Max 90 White Black Leather Men's Size 10.5 Pre-Owned",
+      "subtitle": null,
+      
+      "condition": {
+        "grade": "Used",
+        "numericScore": 8.0,
+        "description": "Good pre-owned condition with minor creasing"
+      },
+
+      "weight": {
+        "estimatedLbs": 2.0,
+        "estimatedOz": 32,
+        "estimatedKg": 0.91,
+        "confidenceLevel": "high",
+        "requiresManualVerification": false
+      },
+
+      "pricing": {
+        "suggestedPrice": 75.00,
+        "priceRange": { "min": 65.00, "max": 85.00 },
+        "currency": "${currency}",
+        "confidenceScore": 0.80,
+        "strategyRecommendation": {
+          "listingFormat": "Fixed Price",
+          "bestOfferEnabled": true,
+          "shippingStrategy": "Buyer Pays"
+        }
+      },
+
+      "shipping": {
+        "recommendedService": "USPS Priority Mail",
+        "estimatedCost": 9.50,
+        "handlingTime": "1 business day"
+      },
+
+      "itemSpecifics": {
+        "Brand": "Nike",
+        "Model": "Air Max 90",
+        "Size": "10.5",
+        "Color": "White/Black"
+      },
+
+      "seoOptimization": {
+        "primaryKeywords": ["nike air max", "mens sneakers", "athletic shoes"]
+      },
+
+      "legalDisclaimers": {
+        "pricing": "AI-suggested prices are estimates. Seller is responsible for final pricing.",
+        "condition": "AI condition assessment is preliminary. Seller must verify accuracy.",
+        "accuracy": "All AI content is advisory. Seller ensures listing compliance."
+      }
+    },
+    {
+      "productId": 2,
+      "imageIndices": [3, 4],
+      "separationReasoning": "Adidas Ultraboost sneakers - images 3, 4 show DIFFERENT product than product 1",
+      
+      ... (complete listing data for product 2)
+    }
+  ],
+  
+  "bulkSummary": {
+    "totalImagesUploaded": 5,
+    "distinctProductsDetected": 2,
+    "imageAssignmentConfidence": 0.95,
+    "unassignedImages": [],
+    "processingNotes": "All images successfully assigned to products. High confidence in separation."
+  }
+}
+\`\`\`
+
+**SEPARATION RULES:**
+
+1. **Different Products:**
+   - Different brands (Nike vs Adidas)
+   - Different models within same brand (iPhone 13 vs iPhone 14)
+   - Different colors of same model IF sold separately
+   - Different sizes IF sold separately
+   - Completely different categories (shoes vs electronics)
+
+2. **Same Product (multiple angles):**
+   - Front, back, side views of SAME item
+   - Close-ups of logos, tags, defects on SAME item
+   - Different lighting/background but clearly SAME physical item
+   - Packaging + unboxed shots of SAME product
+
+3. **Edge Cases:**
+   - **Pairs/Sets**: If images show matching pair (shoes, earbuds), treat as ONE product
+   - **Bundles**: If seller intends to sell items together, treat as ONE bundle listing
+   - **Variations**: If images show size tag + product, group together
+   - **Ambiguous**: If uncertain, ASK in processingNotes and default to SEPARATE listings
+
+4. **Quality Checks:**
+   - Flag poor quality images that can't be confidently assigned
+   - Note if additional photos needed to confirm product identity
+   - Warn if images don't clearly show distinct products
+
+**Each product listing must include:**
+- Complete product identification
+- Full listing data (title, description structure, condition, pricing, shipping)
+- Weight estimation (MANDATORY)
+- SEO optimization
+- Legal disclaimers
+
+**RESPOND ONLY WITH THE JSON OBJECT. NO MARKDOWN, NO EXPLANATIONS.**`;
+};
+
+module.exports = { buildBulkSeparationPrompt };
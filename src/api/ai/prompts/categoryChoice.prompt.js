@@ -0,0 +1,37 @@
+// prompts/categoryChoice.prompt.js
+
+// Pick one eBay leaf category from candidates returned by the Taxonomy API.
+const buildCategoryChoicePrompt = (listing, candidates) => {
+  const product = listing.productIdentification || {};
+
+  return `
+You are an eBay category expert. Choose the single best eBay category for this item.
+
+ITEM:
+- Title: ${listing.title || "n/a"}
+- Brand: ${product.brand || "n/a"}
+- Model: ${product.model || "n/a"}
+- Suggested category path: ${product.category || "n/a"}
+- Item specifics: ${JSON.stringify(listing.itemSpecifics || {})}
+
+CANDIDATE CATEGORIES (from the eBay Taxonomy API):
+${candidates
+  .map((c) => `- categoryId: ${c.categoryId} | ${c.categoryPath}`)
+  .join("\n")}
+
+RULES:
+- categoryId MUST be one of the candidate IDs above. Never invent an ID.
+- Prefer the most specific category that matches the item itself, not its accessories.
+
+Return ONLY this JSON object:
+{
+  "categoryId": "one of the candidate IDs",
+  "confidence": 0-1,
+  "reasoning": "one short sentence"
+}
+`;
+};
+
+module.exports = {
+  buildCategoryChoicePrompt,
+};
@@ -0,0 +1,93 @@
+// prompts/htmlTemplate.prompt.js
+
+// eBay-safe HTML description template for a listing.
+const buildHtmlTemplatePrompt = (listingData, options = {}) => {
+  const { customHtml = null, hostedImageUrls = [], branding = {} } = options;
+
+  const {
+    storeName = "Our Store",
+    logoUrl = null,
+    primaryColor = "#0066CC",
+    secondaryColor = "#F0F0F0",
+  } = branding;
+
+  return `You are an expert HTML template designer for eBay listings.
+
+**TASK**: Generate a professional, mobile-responsive HTML listing template using the provided listing data.
+
+**LISTING DATA:**
+${JSON.stringify(listingData, null, 2)}
+
+**HOSTED IMAGE URLs (embed these):**
+${
+  hostedImageUrls.length > 0
+    ? JSON.stringify(hostedImageUrls, null, 2)
+    : "None provided - use placeholder image tags"
+}
+
+**BRANDING:**
+- Store Name: ${storeName}
+- Logo URL: ${logoUrl || "None"}
+- Primary Color: ${primaryColor}
+- Secondary Color: ${secondaryColor}
+
+${
+  customHtml
+    ? `
+**CUSTOM HTML TEMPLATE (enhance this):**
+${customHtml}
+`
+    : ""
+}
+
+**REQUIREMENTS:**
+
+1. **Structure:**
+   - Clean, professional design
+   - Mobile-responsive (eBay mobile app compatible)
+   - Clear sections: Hero Image, Condition, Features, Specs, Shipping, Returns
+   - Strong call-to-action buttons
+
+2. **Image Embedding:**
+   - Use provided hosted image URLs
+   - Format: <img src="URL" alt="description" style="max-width:100%; height:auto;">
+   - Include image gallery if multiple images provided
+
+3. **Typography:**
+   - Readable fonts (Arial, Helvetica, sans-serif)
+   - Clear hierarchy (h2, h3 tags)
+   - Sufficient line spacing
+
+4. **Color Scheme:**
+   - Use branding colors consistently
+   - Ensure good contrast for readability
+   - Professional, not garish
+
+5. **Content Sections:**
+   - **Header**: Store name/logo, item title
+   - **Hero Image**: Main product photo
+   - **Condition Banner**: Highlight condition grade with visual indicator
+   - **Key Features**: Bullet points with icons
+   - **Detailed Description**: Organized paragraphs
+   - **Specifications Table**: Clean 2-column table
+   - **What's Included**: Checklist format
+   - **Shipping & Returns**: Clear policies with icons
+   - **Footer**: Store policies, contact info, social proof
+
+6. **eBay Compliance:**
+   - No external links (eBay blocks them)
+   - No JavaScript or active content
+   - Inline CSS only (no external stylesheets)
+   - No forms or input elements
+   - Max width: 800px for optimal display
+
+7. **Enhancements:**
+   - Use HTML entities for special characters (&nbsp;, &mdash;, etc.)
+   - Add subtle borders and shadows for visual depth
+   - Include trust badges (Top Rated Seller, Fast Shipping, etc.)
+   - Mobile-first responsive design
+
+**RESPOND WITH ONLY THE HTML CODE. NO EXPLANATIONS, NO MARKDOWN CODE FENCES.**`;
+};
+
+module.exports = { buildHtmlTemplatePrompt };
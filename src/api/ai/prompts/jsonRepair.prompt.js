@@ -0,0 +1,24 @@
+// prompts/jsonRepair.prompt.js
+
+// Targeted repair: the model's own reply plus the exact validation problems,
+// instead of re-running the whole (vision) analysis.
+const buildJsonRepairPrompt = (output, errors) => `
+Your previous reply was supposed to be a single JSON object but it failed validation.
+
+PROBLEMS:
+${errors.map((e) => `- ${e.field}: ${e.message}`).join("\n")}
+
+PREVIOUS REPLY:
+${output}
+
+Return the corrected JSON object.
+RULES:
+- Fix ONLY the fields listed above; keep every other value exactly as it was.
+- Fill missing required fields with your best estimate from the rest of the object.
+- Shorten over-long strings instead of dropping them.
+- Output ONLY the JSON object. No markdown, no comments.
+`;
+
+module.exports = {
+  buildJsonRepairPrompt,
+};
@@ -0,0 +1,65 @@
+// prompts/marketData.prompt.js
+
+const { summarizePrices } = require("../../../utils/priceStats");
+
+// Comparable listings shown to the model, cheapest first
+const MAX_PROMPT_ITEMS = 15;
+
+const money = (value) =>
+  value === null || value === undefined ? "?" : Number(value).toFixed(2);
+
+// Market data block for the listing prompt. Accepts normalized Browse
+// comparables or client-supplied items ({ price, condition, title }).
+const buildMarketDataSection = (marketData = []) => {
+  const stats = summarizePrices(marketData);
+
+  if (!stats) {
+    return `MARKET DATA: none available.
+- Estimate the price from brand, model, category and condition.
+- Price conservatively and set confidenceScore <= 0.5.
+- Set pricing.marketAnalysis.soldListingsAnalyzed to 0.`;
+  }
+
+  const items = [...marketData]
+    .filter((item) => (item.totalPrice ?? item.price) > 0)
+    .sort((a, b) => (a.totalPrice ?? a.price) - (b.totalPrice ?? b.price))
+    .slice(0, MAX_PROMPT_ITEMS);
+
+  const lines = items.map((item) => {
+    const shipping =
+      item.shippingCost === undefined || item.shippingCost === null
+        ? ""
+        : item.shippingCost === 0
+        ? " + free shipping"
+        : ` + ${money(item.shippingCost)} shipping`;
+
+    return `- ${money(item.price)}${shipping} | ${
+      item.condition || item.conditionLabel || "condition n/a"
+    } | ${item.buyingOption || "FIXED_PRICE"} | ${String(
+      item.title || ""
+    ).slice(0, 70)}`;
+  });
+
+  return `MARKET DATA: ${
+    stats.count
+  } comparable eBay listings (price incl. shipping):
+- min ${money(stats.min)}, median ${money(stats.median)}, average ${money(
+    stats.average
+  )}, max ${money(stats.max)}${
+    stats.freeShippingShare === null
+      ? ""
+      : `, ${Math.round(stats.freeShippingShare * 100)}% offer free shipping`
+  }
+${lines.join("\n")}
+
+PRICING RULES:
+- Base suggestedPrice on comparables in the same condition as this item; adjust for condition differences.
+- Keep priceRange within the comparables unless the condition clearly justifies otherwise.
+- Set pricing.marketAnalysis.soldListingsAnalyzed to ${
+    stats.count
+  } and averageSoldPrice to ${money(stats.average)}.`;
+};
+
+module.exports = {
+  buildMarketDataSection,
+};
@@ -0,0 +1,97 @@
+// prompts/termsOfService.prompt.js
+
+// Seller Terms of Service (returns, warranty, shipping, disclaimers).
+const buildTermsOfServicePrompt = (sellerInfo = {}) => {
+  const {
+    businessName = "Seller",
+    returnPeriod = "30 days",
+    warrantyOffered = false,
+    restockingFee = false,
+    internationalShipping = false,
+  } = sellerInfo;
+
+  return `You are a legal expert specializing in e-commerce seller policies.
+
+**TASK**: Draft comprehensive Terms of Service for an eBay seller.
+
+**SELLER INFORMATION:**
+${JSON.stringify(sellerInfo, null, 2)}
+
+**OUTPUT FORMAT (JSON):**
+
+\`\`\`json
+{
+  "returnPolicy": {
+    "summary": "We accept returns within ${returnPeriod} of delivery.",
+    "fullText": "Detailed return policy paragraph covering: acceptance period, condition requirements, restocking fees, return shipping costs, refund timeline, non-returnable items.",
+    "keyPoints": [
+      "Returns accepted within ${returnPeriod}",
+      "Item must be in original condition",
+      "Buyer pays return shipping unless item defective",
+      "Refund processed within 3 business days of receipt"
+    ]
+  },
+
+  "warranty": {
+    "offered": ${warrantyOffered},
+    "summary": ${
+      warrantyOffered
+        ? '"Limited warranty covering manufacturing defects"'
+        : '"Items sold as-is with no warranty unless otherwise stated"'
+    },
+    "fullText": "Detailed warranty terms",
+    "duration": ${warrantyOffered ? '"90 days"' : "null"}
+  },
+
+  "shippingPolicy": {
+    "summary": "Fast shipping with tracking provided for all orders",
+    "fullText": "Detailed shipping policy covering: handling time, carriers used, international shipping, tracking, insurance, delivery timeframes, lost package procedures.",
+    "keyPoints": [
+      "Ships within 1 business day",
+      "Tracking number provided",
+      ${
+        internationalShipping
+          ? '"International shipping available"'
+          : '"Domestic shipping only"'
+      },
+      "Not responsible for carrier delays"
+    ]
+  },
+
+  "disclaimers": {
+    "accuracyDisclaimer": "We strive for accuracy in all listings. If you receive an item significantly different from description, contact us immediately for resolution.",
+    "colorDisclaimer": "Colors may appear slightly different due to monitor settings and lighting in photos.",
+    "brandDisclaimer": "Brand names are used for identification purposes only. We are not affiliated with or endorsed by mentioned brands.",
+    "liabilityLimitation": "Our liability is limited to the purchase price of the item. We are not liable for indirect, incidental, or consequential damages."
+  },
+
+  "contactPolicy": {
+    "summary": "Contact us through eBay messaging for all inquiries. We respond within 24 hours.",
+    "fullText": "Detailed contact and customer service policy",
+    "responseTime": "24 hours or less"
+  },
+
+  "disputeResolution": {
+    "summary": "We encourage buyers to contact us directly before opening eBay cases. We're committed to fair resolution.",
+    "fullText": "Detailed dispute resolution process and escalation procedures."
+  },
+
+  "privacyStatement": {
+    "summary": "We respect your privacy. Personal information is used only for order fulfillment and is never sold to third parties.",
+    "fullText": "Brief privacy policy covering data collection, usage, and protection."
+  }
+}
+\`\`\`
+
+**REQUIREMENTS:**
+- Professional, friendly tone
+- Legally sound but accessible language
+- Protect seller while being fair to buyers
+- eBay policy compliant
+- Clear, concise bullet points
+- Detailed full-text versions for legal protection
+
+**RESPOND ONLY WITH THE JSON OBJECT. NO MARKDOWN, NO EXPLANATIONS.**`;
+};
+
+module.exports = { buildTermsOfServicePrompt };
@@ -0,0 +1,77 @@
+const axios = require("axios");
+const { providerError, missingKeyError } = require("./providerError");
+
+const API_URL = "https://api.anthropic.com/v1/messages";
+const API_VERSION = "2023-06-01";
+
+// The Messages API has no JSON mode; ask for it in the system prompt
+const JSON_SYSTEM_PROMPT =
+  "Respond with a single valid JSON object only. No markdown, no prose.";
+
+/**
+ * Anthropic Messages API (vision via base64 image blocks)
+ */
+class AnthropicProvider {
+  constructor({ apiKey, defaultModel, timeoutMs }) {
+    this.name = "anthropic";
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async generate({
+    prompt,
+    images = [],
+    json = false,
+    maxOutputTokens = 4096,
+    temperature = 0.2,
+    model = this.defaultModel,
+  }) {
+    if (!this.apiKey) {
+      throw missingKeyError("Anthropic", "ANTHROPIC_API_KEY");
+    }
+
+    const content = images.map((img) => ({
+      type: "image",
+      source: {
+        type: "base64",
+        // image/jpg is not accepted here
+        media_type: img.mimeType === "image/jpg" ? "image/jpeg" : img.mimeType,
+        data: img.buffer.toString("base64"),
+      },
+    }));
+    content.push({ type: "text", text: prompt });
+
+    try {
+      const response = await axios.post(
+        API_URL,
+        {
+          model,
+          max_tokens: maxOutputTokens,
+          temperature,
+          ...(json && { system: JSON_SYSTEM_PROMPT }),
+          messages: [{ role: "user", content }],
+        },
+        {
+          headers: {
+            "x-api-key": this.apiKey,
+            "anthropic-version": API_VERSION,
+            "Content-Type": "application/json",
+          },
+          timeout: this.timeoutMs,
+        }
+      );
+
+      const text = (response.data.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("");
+
+      return { text, provider: this.name, model };
+    } catch (err) {
+      throw providerError("Anthropic", err);
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
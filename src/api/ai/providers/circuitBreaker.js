@@ -0,0 +1,77 @@
+/**
+ * Per-backend circuit breaker ("provider:model" keys).
+ *
+ * closed    → calls allowed; consecutive failures are counted
+ * open      → after `failureThreshold` failures; calls skipped for `cooldownMs`
+ * half-open → after the cooldown one trial call is let through;
+ *             success closes the circuit, failure opens it again
+ *
+ * State is per process.
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold = 3, cooldownMs = 60000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.circuits = new Map();
+  }
+
+  /**
+   * Whether a call to `key` may go ahead now
+   */
+  allow(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit || circuit.state === "closed") return true;
+
+    // Open until the cooldown passes; a half-open trial that never reported
+    // back (e.g. cancelled) is replaced after another cooldown
+    if (Date.now() >= circuit.openUntil) {
+      circuit.state = "half-open";
+      circuit.openUntil = Date.now() + this.cooldownMs;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess(key) {
+    this.circuits.delete(key);
+  }
+
+  /**
+   * @returns {boolean} true when this failure opened the circuit
+   */
+  recordFailure(key) {
+    const circuit = this.circuits.get(key) || { state: "closed", failures: 0 };
+    circuit.failures++;
+
+    const opens =
+      circuit.state === "half-open" ||
+      circuit.failures >= this.failureThreshold;
+
+    if (opens) {
+      circuit.state = "open";
+      circuit.openUntil = Date.now() + this.cooldownMs;
+    }
+
+    this.circuits.set(key, circuit);
+    return opens;
+  }
+
+  /**
+   * Snapshot for logs / health output
+   */
+  status() {
+    return Object.fromEntries(
+      [...this.circuits].map(([key, c]) => [
+        key,
+        {
+          state: c.state,
+          failures: c.failures,
+          openUntil: c.openUntil ? new Date(c.openUntil).toISOString() : null,
+        },
+      ])
+    );
+  }
+}
+
+module.exports = CircuitBreaker;
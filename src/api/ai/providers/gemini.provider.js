@@ -0,0 +1,73 @@
+const {
+  GoogleGenerativeAI,
+  GoogleGenerativeAIAbortError,
+} = require("@google/generative-ai");
+const { missingKeyError } = require("./providerError");
+
+/**
+ * Google Gemini via the official SDK
+ */
+class GeminiProvider {
+  constructor({ apiKey, defaultModel, timeoutMs }) {
+    this.name = "gemini";
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel;
+    this.timeoutMs = timeoutMs;
+    this.genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+  }
+
+  async generate({
+    prompt,
+    images = [],
+    json = false,
+    maxOutputTokens = 4096,
+    temperature = 0.2,
+    model = this.defaultModel,
+  }) {
+    if (!this.genAI) {
+      throw missingKeyError("Gemini", "GEMINI_API_KEY");
+    }
+
+    const generativeModel = this.genAI.getGenerativeModel(
+      {
+        model,
+        generationConfig: {
+          maxOutputTokens,
+          temperature,
+          ...(json && { responseMimeType: "application/json" }),
+        },
+      },
+      { timeout: this.timeoutMs }
+    );
+
+    const parts = [{ text: prompt }];
+    for (const img of images) {
+      parts.push({
+        inlineData: {
+          data: img.buffer.toString("base64"),
+          mimeType: img.mimeType,
+        },
+      });
+    }
+
+    let result;
+    try {
+      result = await generativeModel.generateContent({
+        contents: [{ role: "user", parts }],
+      });
+    } catch (err) {
+      // The SDK aborts the request at `timeout`; report it like axios would
+      if (err instanceof GoogleGenerativeAIAbortError) {
+        const error = new Error(`Gemini API timeout after ${this.timeoutMs}ms`);
+        error.status = 504;
+        error.code = "ETIMEDOUT";
+        throw error;
+      }
+      throw err;
+    }
+
+    return { text: result.response.text(), provider: this.name, model };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,121 @@
+const config = require("../../../config");
+const GeminiProvider = require("./gemini.provider");
+const OpenAIProvider = require("./openai.provider");
+const AnthropicProvider = require("./anthropic.provider");
+const StubProvider = require("./stub.provider");
+
+const PROVIDER_NAMES = ["gemini", "openai", "anthropic", "stub"];
+
+const instances = new Map();
+
+/**
+ * Get a text/vision model provider (created once per process).
+ *
+ * Every provider exposes the same interface:
+ *   name, defaultModel
+ *   generate({ task, prompt, images, json, maxOutputTokens, temperature, model })
+ *     → Promise<{ text, provider, model }>
+ *
+ * images: [{ buffer: Buffer, mimeType: string }]
+ * json:   ask for a single JSON object (native JSON mode where the API has one)
+ * task:   logical step name (e.g. "visualSnapshot"), used by the stub provider
+ *
+ * @param {string} name - gemini | openai | anthropic | stub (default: AI_PROVIDER)
+ */
+function getProvider(name = config.ai.provider) {
+  if (instances.has(name)) return instances.get(name);
+
+  const { timeoutMs, models } = config.ai;
+  let provider;
+
+  switch (name) {
+    case "gemini":
+      provider = new GeminiProvider({
+        apiKey: config.ai.geminiApiKey,
+        defaultModel: models.gemini,
+        timeoutMs,
+      });
+      break;
+    case "openai":
+      provider = new OpenAIProvider({
+        apiKey: config.ai.openaiApiKey,
+        defaultModel: models.openai,
+        timeoutMs,
+      });
+      break;
+    case "anthropic":
+      provider = new AnthropicProvider({
+        apiKey: config.ai.anthropicApiKey,
+        defaultModel: models.anthropic,
+        timeoutMs,
+      });
+      break;
+    case "stub":
+      provider = new StubProvider({ defaultModel: models.stub });
+      break;
+    default: {
+      const error = new Error(`Unknown AI provider: ${name}`);
+      error.status = 400;
+      error.code = "UNSUPPORTED_AI_PROVIDER";
+      throw error;
+    }
+  }
+
+  instances.set(name, provider);
+  return provider;
+}
+
+/**
+ * Pick provider + model for one call: per-request choice first, then
+ * AI_PROVIDER / AI_MODEL, then the provider's default model.
+ *
+ * @param {Object} [selection] - { provider, model } from the request
+ * @returns {{ provider: Object, model: string }}
+ */
+function resolveProvider({ provider: name, model } = {}) {
+  const provider = getProvider(name || config.ai.provider);
+
+  const configuredModel =
+    provider.name === config.ai.provider ? config.ai.model : null;
+
+  return {
+    provider,
+    model: model || configuredModel || provider.defaultModel,
+  };
+}
+
+/**
+ * Backends to try for one call: the resolved selection, then AI_FALLBACKS
+ * in order (duplicates and unknown providers dropped).
+ *
+ * @param {Object} [selection] - { provider, model } from the request
+ * @returns {Array<{ provider: Object, model: string, key: string }>}
+ */
+function resolveChain(selection = {}) {
+  const chain = [];
+  const seen = new Set();
+
+  const add = ({ provider, model }) => {
+    const key = `${provider.name}:${model}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    chain.push({ provider, model, key });
+  };
+
+  add(resolveProvider(selection));
+
+  for (const fallback of config.ai.fallbacks) {
+    if (!PROVIDER_NAMES.includes(fallback.provider)) continue;
+    const provider = getProvider(fallback.provider);
+    add({ provider, model: fallback.model || provider.defaultModel });
+  }
+
+  return chain;
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  getProvider,
+  resolveProvider,
+  resolveChain,
+};
@@ -0,0 +1,69 @@
+const axios = require("axios");
+const { providerError, missingKeyError } = require("./providerError");
+
+const API_URL = "https://api.openai.com/v1/chat/completions";
+
+/**
+ * OpenAI Chat Completions (vision via data: URLs, JSON mode via response_format)
+ */
+class OpenAIProvider {
+  constructor({ apiKey, defaultModel, timeoutMs }) {
+    this.name = "openai";
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async generate({
+    prompt,
+    images = [],
+    json = false,
+    maxOutputTokens = 4096,
+    temperature = 0.2,
+    model = this.defaultModel,
+  }) {
+    if (!this.apiKey) {
+      throw missingKeyError("OpenAI", "OPENAI_API_KEY");
+    }
+
+    const content = [{ type: "text", text: prompt }];
+    for (const img of images) {
+      content.push({
+        type: "image_url",
+        image_url: {
+          url: `data:${img.mimeType};base64,${img.buffer.toString("base64")}`,
+        },
+      });
+    }
+
+    try {
+      const response = await axios.post(
+        API_URL,
+        {
+          model,
+          messages: [{ role: "user", content }],
+          max_completion_tokens: maxOutputTokens,
+          temperature,
+          ...(json && { response_format: { type: "json_object" } }),
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${this.apiKey}`,
+            "Content-Type": "application/json",
+          },
+          timeout: this.timeoutMs,
+        }
+      );
+
+      return {
+        text: response.data.choices?.[0]?.message?.content || "",
+        provider: this.name,
+        model,
+      };
+    } catch (err) {
+      throw providerError("OpenAI", err);
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,35 @@
+/**
+ * Wrap an axios failure from a provider API. The HTTP status stays in the
+ * message so the service's retry check (429 / 503 / rate / overload) sees it.
+ *
+ * @param {string} label - e.g. "OpenAI"
+ * @param {Error} err
+ */
+const providerError = (label, err) => {
+  if (!err.response) return err;
+
+  const status = err.response.status;
+  const detail = err.response.data?.error?.message || err.message;
+  const error = new Error(`${label} API error (${status}): ${detail}`);
+  error.status = status;
+  return error;
+};
+
+/**
+ * A provider without an API key. 503 so the service treats it as an
+ * unavailable backend and moves on to the next AI_FALLBACKS entry.
+ *
+ * @param {string} label - e.g. "OpenAI"
+ * @param {string} envVar - e.g. "OPENAI_API_KEY"
+ */
+const missingKeyError = (label, envVar) => {
+  const error = new Error(`${label} API key is required (${envVar})`);
+  error.status = 503;
+  error.code = "AI_PROVIDER_NOT_CONFIGURED";
+  return error;
+};
+
+module.exports = {
+  providerError,
+  missingKeyError,
+};
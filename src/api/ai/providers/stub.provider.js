@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * No network, no API key. Answers are canned per task, with a short
+ * fingerprint of the prompt + images so different inputs stay distinguishable.
+ */
+class StubProvider {
+  constructor({ defaultModel }) {
+    this.name = "stub";
+    this.defaultModel = defaultModel;
+  }
+
+  async generate({ task, prompt, images = [], model = this.defaultModel }) {
+    const fixture = FIXTURES[task];
+    if (!fixture) {
+      throw new Error(`Stub provider has no fixture for task: ${task}`);
+    }
+
+    const hash = crypto.createHash("sha256").update(prompt || "");
+    images.forEach((img) => hash.update(img.buffer));
+    const fingerprint = hash.digest("hex").slice(0, 8);
+
+    const output = fixture({ prompt, images, fingerprint });
+
+    return {
+      text: typeof output === "string" ? output : JSON.stringify(output),
+      provider: this.name,
+      model,
+    };
+  }
+}
+
+const productIdentification = (fingerprint) => ({
+  brand: "Stub Brand",
+  model: `Model ${fingerprint}`,
+  category: "Toys & Hobbies",
+  upc: null,
+  mpn: `STUB-${fingerprint}`,
+  confidence: "high",
+});
+
+const listing = (fingerprint) => ({
+  productIdentification: productIdentification(fingerprint),
+  title: `Stub Brand Model ${fingerprint} Collectible Figure`,
+  subtitle: null,
+  description: {
+    plainText: "Stub listing description for offline development.",
+    structure: {
+      hook: "Stub product for testing.",
+      condition: "Pre-owned, good condition.",
+      keyFeatures: ["Deterministic output"],
+      specs: ["Brand: Stub Brand"],
+      included: ["Item only"],
+      sellerNote: "Ships fast.",
+    },
+  },
+  condition: { grade: "Good", flaws: ["none visible"] },
+  weight: { value: 8, unit: "oz", confidence: "medium" },
+  dimensions: {
+    length: 6,
+    width: 4,
+    height: 2,
+    unit: "inches",
+    confidenceLevel: "medium",
+  },
+  pricing: {
+    suggestedPrice: 19.99,
+    priceRange: { min: 14.99, max: 24.99 },
+    currency: "USD",
+    confidenceScore: 0.5,
+    rationale: "Stub pricing",
+    marketAnalysis: {
+      soldListingsAnalyzed: 0,
+      averageSoldPrice: null,
+      priceDistribution: "n/a",
+      competitivePosition: "n/a",
+    },
+    strategyRecommendation: {
+      listingFormat: "Fixed Price",
+      auctionStartPrice: null,
+      bestOfferEnabled: true,
+      bestOfferAutoAccept: null,
+      bestOfferAutoDecline: null,
+      shippingStrategy: "Calculated",
+      reasoning: "Stub strategy",
+    },
+  },
+  shipping: {
+    recommendedService: "USPS Ground Advantage",
+    estimatedCost: 5.5,
+    handlingTime: "1 business day",
+    packageType: "Package",
+    requiresSignature: false,
+    fragile: false,
+    sellerTemplateMatch: null,
+  },
+  itemSpecifics: {
+    Brand: "Stub Brand",
+    Model: `Model ${fingerprint}`,
+    Condition: "Good",
+    Type: "Figure",
+  },
+  seo: { keywords: ["stub", "figure"] },
+  listingRecommendations: {
+    bestOfferEnabled: true,
+    internationalShipping: false,
+    returnsAccepted: true,
+    returnPeriod: "30 days",
+    returnShippingPaidBy: "Buyer",
+    promotedListings: {
+      recommended: false,
+      suggestedAdRate: "0%",
+      reasoning: "Stub",
+    },
+  },
+});
+
+// One answer per agentic task (see ai.agentic2.js)
+const FIXTURES = {
+  visualSnapshot: ({ fingerprint }) => ({
+    productIdentification: productIdentification(fingerprint),
+    condition: {
+      grade: "Good",
+      numericScore: 7,
+      description: "Light wear",
+      flaws: [],
+    },
+    weight: { value: 8, unit: "oz", confidence: "medium" },
+    dimensions: {
+      length: 6,
+      width: 4,
+      height: 2,
+      unit: "inches",
+      confidenceLevel: "medium",
+    },
+    compliance: { isEbayCompliant: true, code: null },
+    rawVisualNotes: {
+      visibleText: [],
+      logoHints: [],
+      possibleSubcategories: [],
+    },
+  }),
+
+  listing: ({ fingerprint }) => listing(fingerprint),
+
+  // One product per image
+  bulkSeparation: ({ images, fingerprint }) => ({
+    products: images.map((img, idx) => ({
+      ...listing(`${fingerprint}-${idx + 1}`),
+      imageIndices: [idx],
+      separationReasoning: "Stub: one product per image",
+    })),
+    bulkSummary: {
+      totalImagesUploaded: images.length,
+      distinctProductsDetected: images.length,
+      imageAssignmentConfidence: 1,
+      unassignedImages: [],
+      processingNotes: "Stub separation",
+    },
+  }),
+
+  htmlTemplate: ({ fingerprint }) =>
+    `<div class="listing"><h1>Stub listing ${fingerprint}</h1><p>Stub description.</p></div>`,
+
+  termsOfService: () => ({
+    returnPolicy: {
+      summary: "We accept returns within 30 days of delivery.",
+      fullText: "Stub return policy.",
+      keyPoints: ["Returns accepted within 30 days"],
+    },
+    warranty: {
+      offered: false,
+      summary: "Items sold as-is with no warranty unless otherwise stated",
+      fullText: "Stub warranty terms.",
+      duration: null,
+    },
+    shippingPolicy: {
+      summary: "Fast shipping with tracking provided for all orders",
+      fullText: "Stub shipping policy.",
+      keyPoints: ["Ships within 1 business day"],
+    },
+  }),
+
+  // First candidate listed in the prompt
+  categoryChoice: ({ prompt }) => ({
+    categoryId: (prompt.match(/categoryId: (\d+)/) || [])[1] || null,
+    confidence: 0.5,
+    reasoning: "Stub: first candidate",
+  }),
+
+  // First allowed value of every aspect listed in the prompt
+  aspectFill: ({ prompt }) => {
+    const listed = prompt.match(/<aspects>([\s\S]*?)<\/aspects>/);
+    const aspects = listed ? JSON.parse(listed[1]) : [];
+
+    return {
+      aspects: aspects
+        .filter((aspect) => aspect.allowedValues?.length)
+        .map((aspect) => ({
+          name: aspect.name,
+          values: [aspect.allowedValues[0]],
+          source: "ai",
+        })),
+    };
+  },
+
+  imageQuality: ({ images }) => ({
+    images: images.map((img, idx) => ({ index: idx, usable: true })),
+    summary: { usableImages: images.length },
+  }),
+
+  grounding: ({ fingerprint }) => ({
+    productIdentification: productIdentification(fingerprint),
+    compliance: { isEbayCompliant: true },
+  }),
+};
+
+module.exports = StubProvider;
@@ -1,7 +1,12 @@
 const express = require("express");
 const { verifyApiKey } = require("../../../middleware/auth.middleware");
 const { apiLimiter } = require("../../../middleware/rateLimit.middleware");
+const { validate } = require("../../../middleware/validation.middleware");
+const {
+  resolveMarketplace,
+} = require("../../../middleware/marketplace.middleware");
 const geminiController = require("../controllers/gemini.controller");
+const schemas = require("../validators/ai.validator");
 
 const router = express.Router();
 
@@ -9,13 +14,23 @@ const router = express.Router();
 router.use(verifyApiKey);
 router.use(apiLimiter);
 
+// Analysis/generation routes accept options.provider (gemini | openai |
+// anthropic | stub) and options.model to override AI_PROVIDER / AI_MODEL.
+// Image analysis grounds the category in the marketplace's eBay taxonomy
+// (X-EBAY-C-MARKETPLACE-ID header or marketplaceId, default EBAY_US).
+
 /**
  * @route   POST /api/ai/analyze-image
  * @desc    Analyze a single product image and generate listing
  * @access  Private (API Key required)
  * @body    { imageBase64: string, mimeType?: string, options?: object }
  */
-router.post("/analyze-image", geminiController.analyzeImage);
+router.post(
+  "/analyze-image",
+  validate(schemas.analyzeImage),
+  resolveMarketplace,
+  geminiController.analyzeImage
+);
 
 /**
  * @route   POST /api/ai/analyze-images
@@ -23,7 +38,12 @@ router.post("/analyze-image", geminiController.analyzeImage);
  * @access  Private (API Key required)
  * @body    { images: [{ imageBase64: string, mimeType?: string }], options?: object }
  */
-router.post("/analyze-images", geminiController.analyzeImages);
+router.post(
+  "/analyze-images",
+  validate(schemas.analyzeImages),
+  resolveMarketplace,
+  geminiController.analyzeImages
+);
 
 /**
  * @route   POST /api/ai/analyze-bulk
@@ -31,22 +51,35 @@ router.post("/analyze-images", geminiController.analyzeImages);
  * @access  Private (API Key required)
  * @body    { images: [{ imageBase64: string, mimeType?: string }], options?: object }
  */
-router.post("/analyze-bulk", geminiController.analyzeBulkProducts);
+router.post(
+  "/analyze-bulk",
+  validate(schemas.analyzeBulk),
+  resolveMarketplace,
+  geminiController.analyzeBulkProducts
+);
 
 /**
  * @route   POST /api/ai/generate-html
  * @desc    Generate HTML template for a listing
  * @access  Private (API Key required)
- * @body    { listingData: object, options?: { customHtml?: string, hostedImageUrls?: string[], branding?: object } }
+ * @body    { listingData: object, options?: { customHtml?: string, hostedImageUrls?: string[], branding?: object, provider?: string, model?: string } }
  */
-router.post("/generate-html", geminiController.generateHtmlTemplate);
+router.post(
+  "/generate-html",
+  validate(schemas.generateHtml),
+  geminiController.generateHtmlTemplate
+);
 
 /**
  * @route   POST /api/ai/draft-terms
  * @desc    Draft seller Terms of Service
  * @access  Private (API Key required)
- * @body    { sellerInfo?: { businessName?: string, returnPeriod?: string, warrantyOffered?: boolean, ... } }
+ * @body    { sellerInfo?: { businessName?: string, returnPeriod?: string, warrantyOffered?: boolean, ... }, options?: { provider?: string, model?: string } }
  */
-router.post("/draft-terms", geminiController.draftTermsOfService);
+router.post(
+  "/draft-terms",
+  validate(schemas.draftTerms),
+  geminiController.draftTermsOfService
+);
 
 module.exports = router;
@@ -0,0 +1,201 @@
+/**
+ * Schemas for JSON returned by the model (see utils/validator.js for the DSL).
+ *
+ * Only fields the pipeline and clients rely on are declared; extra keys
+ * pass through. Failures are sent back to the model as a repair prompt
+ * (see ai.agentic2.js _generateJson).
+ */
+
+const TITLE_MAX_LENGTH = 80;
+
+const string = { type: "string" };
+const stringList = { type: "array", items: string };
+
+const productIdentification = {
+  type: "object",
+  required: true,
+  properties: {
+    brand: { type: "string", required: true },
+    model: string,
+    category: string,
+    upc: string,
+    mpn: string,
+  },
+};
+
+const weight = {
+  type: "object",
+  properties: {
+    value: { type: "number", min: 0 },
+    unit: string,
+  },
+};
+
+const dimensions = {
+  type: "object",
+  properties: {
+    length: { type: "number", min: 0 },
+    width: { type: "number", min: 0 },
+    height: { type: "number", min: 0 },
+    unit: string,
+  },
+};
+
+// ────────────────────────────────────────────────
+// STEP 1: VISUAL SNAPSHOT
+// ────────────────────────────────────────────────
+
+const visualSnapshot = {
+  productIdentification,
+  condition: {
+    type: "object",
+    properties: {
+      grade: string,
+      flaws: stringList,
+    },
+  },
+  compliance: {
+    type: "object",
+    required: true,
+    properties: {
+      isEbayCompliant: { type: "boolean", required: true },
+    },
+  },
+};
+
+// ────────────────────────────────────────────────
+// STEP 2: LISTING
+// ────────────────────────────────────────────────
+
+const listing = {
+  productIdentification,
+  title: {
+    type: "string",
+    required: true,
+    trim: true,
+    minLength: 1,
+    maxLength: TITLE_MAX_LENGTH,
+  },
+  description: {
+    type: "object",
+    required: true,
+    properties: {
+      plainText: { type: "string", required: true, minLength: 1 },
+    },
+  },
+  condition: {
+    type: "object",
+    properties: {
+      grade: string,
+      flaws: stringList,
+    },
+  },
+  weight,
+  dimensions,
+  pricing: {
+    type: "object",
+    required: true,
+    properties: {
+      suggestedPrice: { type: "number", required: true, min: 0 },
+      priceRange: {
+        type: "object",
+        properties: {
+          min: { type: "number", min: 0 },
+          max: { type: "number", min: 0 },
+        },
+      },
+      currency: string,
+      confidenceScore: { type: "number", min: 0, max: 1 },
+    },
+  },
+  itemSpecifics: { type: "object", required: true },
+  seo: {
+    type: "object",
+    properties: {
+      keywords: stringList,
+    },
+  },
+};
+
+// ────────────────────────────────────────────────
+// CATEGORY CHOICE (categoryId enum is set per call)
+// ────────────────────────────────────────────────
+
+const categoryChoice = {
+  categoryId: { type: "string", required: true },
+  confidence: { type: "number", min: 0, max: 1 },
+  reasoning: string,
+};
+
+// ────────────────────────────────────────────────
+// ASPECT FILL
+// ────────────────────────────────────────────────
+
+const aspectFill = {
+  aspects: {
+    type: "array",
+    required: true,
+    items: {
+      type: "object",
+      required: true,
+      properties: {
+        name: { type: "string", required: true },
+        values: { ...stringList, required: true },
+        source: { type: "string", enum: ["ai", "default"] },
+      },
+    },
+  },
+};
+
+// ────────────────────────────────────────────────
+// BULK SEPARATION / TERMS
+// ────────────────────────────────────────────────
+
+const bulkSeparation = {
+  products: {
+    type: "array",
+    required: true,
+    items: {
+      type: "object",
+      required: true,
+      properties: {
+        productIdentification,
+        title: listing.title,
+        condition: listing.condition,
+        pricing: listing.pricing,
+        itemSpecifics: { type: "object" },
+        imageIndices: {
+          type: "array",
+          items: { type: "integer", min: 0 },
+        },
+      },
+    },
+  },
+  bulkSummary: { type: "object" },
+};
+
+const policySection = {
+  type: "object",
+  required: true,
+  properties: {
+    summary: { type: "string", required: true, minLength: 1 },
+    fullText: string,
+  },
+};
+
+const termsOfService = {
+  returnPolicy: policySection,
+  warranty: policySection,
+  shippingPolicy: policySection,
+};
+
+module.exports = {
+  TITLE_MAX_LENGTH,
+
+  visualSnapshot,
+  listing,
+  categoryChoice,
+  aspectFill,
+  bulkSeparation,
+  termsOfService,
+};
@@ -3,6 +3,7 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 const logger = require("../../../config/logger.config");
 const config = require("../../../config");
+const { parseModelJson } = require("../../../utils/aiJson");
 const { QUALITY_SYSTEM, QUALITY_USER } = require("../prompts/visualID.prompt");
 const {
   GROUNDING_SYSTEM,
@@ -53,8 +54,7 @@ class AIAgentic {
       throw new Error("Empty response from visualImageID");
     }
 
-    const cleaned = this._cleanJson(text);
-    const parsed = this._parseJson(cleaned, correlationId);
+    const parsed = parseModelJson(text, correlationId);
     this._validateSchema(parsed, ["images", "summary"]);
 
     logger.info("Phase 0 complete", {
@@ -103,8 +103,7 @@ class AIAgentic {
       throw new Error("Empty response from visualGrounding");
     }
 
-    const cleaned = this._cleanJson(text);
-    const parsed = this._parseJson(cleaned, correlationId);
+    const parsed = parseModelJson(text, correlationId);
     this._validateSchema(parsed, ["productIdentification", "compliance"]);
 
     logger.info("Phase 1 complete", {
@@ -218,8 +217,7 @@ JSON:
       responseLength: text?.length,
     });
 
-    const cleaned = this._cleanJson(text);
-    const parsed = this._parseJson(cleaned, correlationId);
+    const parsed = parseModelJson(text, correlationId);
 
     logger.info("Phase 2 complete", {
       correlationId,
@@ -332,8 +330,7 @@ Rules:
       preview: text.slice(0, 200),
     });
 
-    const cleaned = this._cleanJson(text);
-    const parsed = this._parseJson(cleaned, correlationId);
+    const parsed = parseModelJson(text, correlationId);
 
     logger.info("Phase 3 complete", {
       correlationId,
@@ -458,8 +455,7 @@ CRITICAL RULES:
       preview: text.slice(0, 200),
     });
 
-    const cleaned = this._cleanJson(text);
-    const parsed = this._parseJson(cleaned, correlationId);
+    const parsed = parseModelJson(text, correlationId);
 
     // ✅ POST-PROCESS: Ensure item specifics are filled
     if (parsed.itemSpecifics) {
@@ -515,103 +511,6 @@ CRITICAL RULES:
   // UTILITIES
   // ===========================================================================
 
-  // services/ai.agentic.js
-
-  _cleanJson(text) {
-    if (!text || typeof text !== "string") return "";
-
-    let cleaned = text.trim();
-
-    // 1️⃣ Remove markdown code fences (``` or ```json)
-    cleaned = cleaned.replace(/^```[a-zA-Z]*\s*/, "");
-    cleaned = cleaned.replace(/\s*```$/i, "");
-    cleaned = cleaned.replace(/```/g, "");
-    cleaned = cleaned.trim();
-
-    // 2️⃣ Extract JSON object boundaries
-    const firstBrace = cleaned.indexOf("{");
-    const lastBrace = cleaned.lastIndexOf("}");
-
-    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-      cleaned = cleaned.substring(firstBrace, lastBrace + 1);
-    } else if (firstBrace !== -1) {
-      // ⚠️ Truncated JSON — attempt recovery
-      logger.warn("Attempting JSON recovery (truncated response detected)");
-      cleaned = cleaned.substring(firstBrace);
-      cleaned = this._attemptJsonRecovery(cleaned);
-    } else {
-      // No JSON found at all
-      throw new Error("No JSON object found in AI response");
-    }
-
-    return cleaned.trim();
-  }
-
-  // Attempt to recover truncated JSON by closing open structures
-  _attemptJsonRecovery(truncatedJson) {
-    let braceCount = 0;
-    let bracketCount = 0;
-    let inString = false;
-    let escaped = false;
-
-    for (let i = 0; i < truncatedJson.length; i++) {
-      const char = truncatedJson[i];
-
-      if (escaped) {
-        escaped = false;
-        continue;
-      }
-
-      if (char === "\\") {
-        escaped = true;
-        continue;
-      }
-
-      if (char === '"' && !escaped) {
-        inString = !inString;
-        continue;
-      }
-
-      if (!inString) {
-        if (char === "{") braceCount++;
-        else if (char === "}") braceCount--;
-        else if (char === "[") bracketCount++;
-        else if (char === "]") bracketCount--;
-      }
-    }
-
-    // Close unterminated string
-    if (inString) {
-      truncatedJson += '"';
-    }
-
-    // Close open arrays
-    while (bracketCount > 0) {
-      truncatedJson += "]";
-      bracketCount--;
-    }
-
-    // Close open objects
-    while (braceCount > 0) {
-      truncatedJson += "}";
-      braceCount--;
-    }
-
-    return truncatedJson;
-  }
-
-  _parseJson(text, correlationId) {
-    try {
-      return JSON.parse(text);
-    } catch (err) {
-      logger.error("JSON parse failed", {
-        correlationId,
-        preview: text.slice(0, 500),
-      });
-      throw new Error("Invalid JSON from AI");
-    }
-  }
-
   _validateSchema(data, requiredFields) {
     for (const field of requiredFields) {
       if (!data[field]) {
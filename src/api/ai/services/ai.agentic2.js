@@ -1,21 +1,34 @@
 // services/ai.agentic.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const logger = require("../../../config/logger.config");
-const config = require("../../../config");
+const { resolveProvider } = require("../providers");
+const schemas = require("../schemas/listing.schema");
+const { checkModelJson, parseModelJson } = require("../../../utils/aiJson");
+const { buildJsonRepairPrompt } = require("../prompts/jsonRepair.prompt");
 const { QUALITY_SYSTEM, QUALITY_USER } = require("../prompts/visualID.prompt");
 const {
   GROUNDING_SYSTEM,
   GROUNDING_USER,
 } = require("../prompts/grounding.prompt");
-
+const {
+  buildBulkSeparationPrompt,
+} = require("../prompts/bulkSeparation.prompt");
+const { buildHtmlTemplatePrompt } = require("../prompts/htmlTemplate.prompt");
+const {
+  buildTermsOfServicePrompt,
+} = require("../prompts/termsOfService.prompt");
+const {
+  buildCategoryChoicePrompt,
+} = require("../prompts/categoryChoice.prompt");
+const { buildAspectFillPrompt } = require("../prompts/aspectFill.prompt");
+const { buildMarketDataSection } = require("../prompts/marketData.prompt");
+
+/**
+ * Model calls go through ../providers (AI_PROVIDER / AI_MODEL by default).
+ * Public methods accept a per-request { provider, model } selection as
+ * options.ai (or a trailing `ai` argument where there are no options).
+ */
 class AIAgentic {
-  constructor() {
-    this.genAI = new GoogleGenerativeAI(config.ai.geminiApiKey);
-    this.filterModel = "gemini-2.5-flash"; // Vision + high-accuracy extraction
-    this.reasoningModel = "gemini-2.5-flash"; // Text-only reasoning/listing
-  }
-
   // ===========================================================================
   // PUBLIC HIGH-LEVEL API
   // ===========================================================================
@@ -26,9 +39,13 @@ class AIAgentic {
    *  2) Listing generation from snapshot + market/seller context
    *
    * @param {Array<{buffer: Buffer, mimeType: string, index?: number}>} buffers
-   * @param {Object} options { marketData, sellerConfig, userProvidedCondition }
+   * @param {Object} options { marketData, loadMarketData, sellerConfig, userProvidedCondition, currency, onStage, ai }
+   *   onStage({ stage, message, ... }) is called as each step finishes;
+   *   loadMarketData(productIdentification) → comparables, used when no
+   *   marketData was supplied
    * @param {string|null} correlationId
-   * @returns {Promise<Object>} listing payload in full _mapToListingPayload shape
+   * @returns {Promise<Object>} listing payload in full _mapToListingPayload
+   *   shape, plus the visualSnapshot it was generated from
    */
   async generateCompleteListing(buffers, options = {}, correlationId = null) {
     const startTime = Date.now();
@@ -39,8 +56,15 @@ class AIAgentic {
       imageCount: buffers.length,
     });
 
+    const { onStage, ai = {} } = options;
+
     // 1) Visual snapshot (vision-heavy, accurate)
-    const visualSnapshot = await this.generateVisualSnapshot(buffers, cid);
+    const visualSnapshot = await this.generateVisualSnapshot(buffers, cid, ai);
+
+    this._emitStage(onStage, "visual_snapshot", "Visual snapshot done", {
+      brand: visualSnapshot.productIdentification?.brand || null,
+      compliant: visualSnapshot.compliance?.isEbayCompliant,
+    });
 
     // Early compliance rejection / manual review
     if (!visualSnapshot.compliance.isEbayCompliant) {
@@ -55,7 +79,7 @@ class AIAgentic {
         details: visualSnapshot,
         metadata: {
           correlationId: cid,
-          code: code,
+          code: visualSnapshot.compliance.code || null,
           processingTime: Date.now() - startTime,
         },
       };
@@ -63,31 +87,62 @@ class AIAgentic {
 
     // 2) Listing generation from snapshot + context
     const {
-      marketData = [],
+      loadMarketData,
       sellerConfig = {},
       userProvidedCondition = null,
+      currency,
     } = options;
 
+    let marketData = options.marketData || [];
+    let marketDataSource = marketData.length ? "client" : "none";
+
+    if (!marketData.length && typeof loadMarketData === "function") {
+      marketData =
+        (await loadMarketData(visualSnapshot.productIdentification || {})) ||
+        [];
+      if (marketData.length) marketDataSource = "browse";
+
+      this._emitStage(
+        onStage,
+        "market_data",
+        `Market data: ${marketData.length} comparable listing(s)`,
+        { comparables: marketData.length }
+      );
+    }
+
     const listingCore = await this.generateListingFromSnapshot(
       visualSnapshot,
       {
         marketData,
         sellerConfig,
         userProvidedCondition,
+        currency,
+        ai,
       },
       cid
     );
 
+    this._emitStage(onStage, "listing", "Listing generated", {
+      title: listingCore.title || null,
+    });
+
     const processingTime = Date.now() - startTime;
 
     // listingCore is already shaped like _mapToListingPayload,
-    // but we also inject/override metadata to match client expectations
+    // but we also inject/override metadata to match client expectations.
+    // visualSnapshot is kept for later steps (aspect filling) and removed
+    // from the response by the caller.
     const finalPayload = {
       ...listingCore,
+      visualSnapshot,
       metadata: {
         ...(listingCore.metadata || {}),
         correlationId: cid,
         processingTime,
+        marketData: {
+          source: marketDataSource,
+          comparables: marketData.length,
+        },
       },
     };
 
@@ -113,6 +168,7 @@ class AIAgentic {
    *
    * @param {Array<{buffer: Buffer, mimeType: string, index?: number}>} buffers
    * @param {string|null} correlationId
+   * @param {Object} [ai] - { provider, model }
    * @returns {Promise<Object>} visual snapshot JSON
    *
    * Shape:
@@ -126,22 +182,13 @@ class AIAgentic {
    *   rawVisualNotes: {...}
    * }
    */
-  async generateVisualSnapshot(buffers, correlationId = null) {
+  async generateVisualSnapshot(buffers, correlationId = null, ai = {}) {
     const cid = correlationId || `ai-visual-${Date.now()}`;
     logger.info("AIAgentic - Visual Snapshot", {
       correlationId: cid,
       imageCount: buffers.length,
     });
 
-    const model = this.genAI.getGenerativeModel({
-      model: this.filterModel,
-      generationConfig: {
-        maxOutputTokens: 4096,
-        temperature: 0.2, // ✅ Lower for more deterministic brand detection
-        responseMimeType: "application/json",
-      },
-    });
-
     const prompt = `
 You are an expert eBay product identifier with deep knowledge of brands, logos, packaging, and product markings.
 
@@ -232,32 +279,19 @@ EXAMPLES OF GOOD BRAND IDENTIFICATION:
 ANALYZE THE IMAGES NOW AND IDENTIFY THE PRODUCT:
 `;
 
-    const parts = [{ text: prompt }];
-    for (const img of buffers) {
-      parts.push({
-        inlineData: {
-          data: img.buffer.toString("base64"),
-          mimeType: img.mimeType,
-        },
-      });
-    }
-
-    const result = await model.generateContent({
-      contents: [{ role: "user", parts }],
-    });
-
-    const text = result.response.text();
-    if (!text) {
-      throw new Error("Empty response from generateVisualSnapshot");
-    }
-
-    logger.debug("Visual Snapshot raw response length", {
-      correlationId: cid,
-      responseLength: text?.length,
-    });
-
-    const cleaned = this._cleanJson(text);
-    const parsed = this._parseJson(cleaned, cid);
+    const parsed = await this._generateJson(
+      {
+        task: "visualSnapshot",
+        prompt,
+        images: buffers,
+        json: true,
+        maxOutputTokens: 4096,
+        temperature: 0.2, // ✅ Lower for more deterministic brand detection
+      },
+      schemas.visualSnapshot,
+      ai,
+      cid
+    );
 
     logger.info("AIAgentic - Visual Snapshot complete", {
       correlationId: cid,
@@ -280,7 +314,8 @@ ANALYZE THE IMAGES NOW AND IDENTIFY THE PRODUCT:
    * Generate full listing payload from a visualSnapshot + context.
    *
    * @param {Object} visualSnapshot - output of generateVisualSnapshot
-   * @param {Object} options { marketData, sellerConfig, userProvidedCondition }
+   * @param {Object} options { marketData, sellerConfig, userProvidedCondition, currency, ai }
+   *   currency is the marketplace currency (default USD)
    * @param {string|null} correlationId
    * @returns {Promise<Object>} listing payload in _mapToListingPayload shape
    */
@@ -292,7 +327,7 @@ ANALYZE THE IMAGES NOW AND IDENTIFY THE PRODUCT:
     const cid = correlationId || `ai-listing-${Date.now()}`;
     logger.info("AIAgentic - Listing from snapshot", { correlationId: cid });
 
-    const { marketData = [] } = options;
+    const { marketData = [], currency = "USD" } = options;
 
     const productId = visualSnapshot.productIdentification || {};
     const condition = visualSnapshot.condition || {};
@@ -300,15 +335,6 @@ ANALYZE THE IMAGES NOW AND IDENTIFY THE PRODUCT:
     const dimensions = visualSnapshot.dimensions || {};
     const visualNotes = visualSnapshot.rawVisualNotes || {};
 
-    const model = this.genAI.getGenerativeModel({
-      model: this.reasoningModel,
-      generationConfig: {
-        maxOutputTokens: 4096,
-        temperature: 0.35,
-        responseMimeType: "application/json",
-      },
-    });
-
     const brand = productId.brand || "Unbranded";
     const modelName = productId.model || "Unknown";
     const category = productId.category || "Other";
@@ -365,7 +391,7 @@ Generate a COMPLETE listing JSON that matches this schema (NO markdown):
   "pricing": {
     "suggestedPrice": number,
     "priceRange": { "min": number, "max": number },
-    "currency": "USD",
+    "currency": "${currency}",
     "confidenceScore": 0-1,
     "rationale": "string",
     "marketAnalysis": {
@@ -425,6 +451,8 @@ USE THESE VISUAL VALUES AS GROUND TRUTH (do not contradict them):
 Visual snapshot:
 ${JSON.stringify(visualSnapshot, null, 2)}
 
+${buildMarketDataSection(marketData)}
+
 RULES:
 - Brand, Model, Category must come from productIdentification above.
 - Keep description <= 400 words.
@@ -435,23 +463,18 @@ RULES:
 - DO NOT invent new top-level keys or remove any of the required ones.
 `;
 
-    const result = await model.generateContent({
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-    });
-
-    const text = result.response.text();
-    if (!text) {
-      throw new Error("Empty response from generateListingFromSnapshot");
-    }
-
-    logger.debug("Listing from snapshot raw response", {
-      correlationId: cid,
-      responseLength: text?.length,
-      preview: text.slice(0, 200),
-    });
-
-    const cleaned = this._cleanJson(text);
-    const parsed = this._parseJson(cleaned, cid);
+    const parsed = await this._generateJson(
+      {
+        task: "listing",
+        prompt,
+        json: true,
+        maxOutputTokens: 4096,
+        temperature: 0.35,
+      },
+      schemas.listing,
+      options.ai,
+      cid
+    );
 
     // Post-process itemSpecifics: ensure Brand/Model/Condition filled
     if (parsed.itemSpecifics) {
@@ -512,6 +535,9 @@ RULES:
       flaws: condition.flaws || [],
     };
 
+    // Prices are in the marketplace currency, whatever the model wrote
+    if (parsed.pricing) parsed.pricing.currency = currency;
+
     parsed.weight = parsed.weight || weight;
     parsed.dimensions = parsed.dimensions || dimensions;
 
@@ -524,6 +550,195 @@ RULES:
     return parsed;
   }
 
+  // ===========================================================================
+  // BULK SEPARATION, HTML TEMPLATE, TERMS OF SERVICE
+  // Prompts are shared with the legacy gemini.service.js
+  // ===========================================================================
+
+  /**
+   * Split a bulk upload into distinct products (single vision call).
+   *
+   * @param {Array<{buffer: Buffer, mimeType: string, index?: number}>} buffers
+   * @param {Object} options { marketData, sellerConfig, currency, ai }
+   * @param {string|null} correlationId
+   * @returns {Promise<{products: Array<Object>, bulkSummary: Object|null}>}
+   */
+  async separateBulkProducts(buffers, options = {}, correlationId = null) {
+    const cid = correlationId || `ai-bulk-${Date.now()}`;
+    logger.info("AIAgentic - Bulk separation", {
+      correlationId: cid,
+      imageCount: buffers.length,
+    });
+
+    const parsed = await this._generateJson(
+      {
+        task: "bulkSeparation",
+        prompt: buildBulkSeparationPrompt(options),
+        images: buffers,
+        json: true,
+        maxOutputTokens: 8192,
+        temperature: 0.2,
+      },
+      schemas.bulkSeparation,
+      options.ai,
+      cid
+    );
+
+    logger.info("AIAgentic - Bulk separation complete", {
+      correlationId: cid,
+      productsDetected: parsed.products.length,
+      unassignedImages: parsed.bulkSummary?.unassignedImages?.length || 0,
+    });
+
+    return {
+      products: parsed.products,
+      bulkSummary: parsed.bulkSummary || null,
+    };
+  }
+
+  /**
+   * Generate an eBay-safe HTML description from listing data.
+   *
+   * @param {Object} listingData
+   * @param {Object} options { customHtml, hostedImageUrls, branding, ai }
+   * @param {string|null} correlationId
+   * @returns {Promise<string>} HTML
+   */
+  async generateHtmlTemplate(listingData, options = {}, correlationId = null) {
+    const cid = correlationId || `ai-html-${Date.now()}`;
+    logger.info("AIAgentic - HTML template", { correlationId: cid });
+
+    const text = await this._generate(
+      {
+        task: "htmlTemplate",
+        prompt: buildHtmlTemplatePrompt(listingData, options),
+        maxOutputTokens: 8192,
+        temperature: 0.4,
+      },
+      options.ai,
+      cid
+    );
+
+    if (!text) {
+      throw new Error("Empty response from generateHtmlTemplate");
+    }
+
+    // Strip ```html fences if the model added them anyway
+    const html = text
+      .trim()
+      .replace(/^```[a-zA-Z]*\s*/, "")
+      .replace(/\s*```$/, "")
+      .trim();
+
+    if (!html.includes("<")) {
+      throw new Error("Invalid HTML template response");
+    }
+
+    logger.info("AIAgentic - HTML template complete", {
+      correlationId: cid,
+      htmlLength: html.length,
+    });
+
+    return html;
+  }
+
+  /**
+   * Draft seller Terms of Service.
+   *
+   * @param {Object} sellerInfo { businessName, returnPeriod, warrantyOffered, ... }
+   * @param {string|null} correlationId
+   * @param {Object} [ai] - { provider, model }
+   * @returns {Promise<Object>} { returnPolicy, warranty, shippingPolicy, ... }
+   */
+  async draftTermsOfService(sellerInfo = {}, correlationId = null, ai = {}) {
+    const cid = correlationId || `ai-terms-${Date.now()}`;
+    logger.info("AIAgentic - Terms of Service", { correlationId: cid });
+
+    return this._generateJson(
+      {
+        task: "termsOfService",
+        prompt: buildTermsOfServicePrompt(sellerInfo),
+        json: true,
+        maxOutputTokens: 4096,
+        temperature: 0.3,
+      },
+      schemas.termsOfService,
+      ai,
+      cid
+    );
+  }
+
+  /**
+   * Choose one leaf category among Taxonomy API candidates (text only).
+   *
+   * @param {Object} listing - listing payload (title, productIdentification, itemSpecifics)
+   * @param {Array<{categoryId, categoryPath}>} candidates
+   * @param {Object} [ai] - { provider, model }
+   * @returns {Promise<{categoryId, confidence, reasoning}>}
+   */
+  async chooseCategory(listing, candidates, ai = {}, correlationId = null) {
+    const cid = correlationId || `ai-category-${Date.now()}`;
+    logger.info("AIAgentic - Category choice", {
+      correlationId: cid,
+      candidates: candidates.length,
+    });
+
+    return this._generateJson(
+      {
+        task: "categoryChoice",
+        prompt: buildCategoryChoicePrompt(listing, candidates),
+        json: true,
+        maxOutputTokens: 512,
+        temperature: 0,
+      },
+      {
+        ...schemas.categoryChoice,
+        categoryId: {
+          ...schemas.categoryChoice.categoryId,
+          enum: candidates.map((c) => c.categoryId),
+        },
+      },
+      ai,
+      cid
+    );
+  }
+
+  /**
+   * Fill category aspects from the visual snapshot (text only).
+   *
+   * @param {Object} visualSnapshot - output of generateVisualSnapshot
+   * @param {Object} listing - listing payload (title, itemSpecifics)
+   * @param {Array<{name, required, mode, cardinality, allowedValues}>} aspects
+   * @param {Object} [ai] - { provider, model }
+   * @returns {Promise<{aspects: Array<{name, values, source}>}>}
+   */
+  async fillAspects(
+    visualSnapshot,
+    listing,
+    aspects,
+    ai = {},
+    correlationId = null
+  ) {
+    const cid = correlationId || `ai-aspects-${Date.now()}`;
+    logger.info("AIAgentic - Aspect fill", {
+      correlationId: cid,
+      aspects: aspects.length,
+    });
+
+    return this._generateJson(
+      {
+        task: "aspectFill",
+        prompt: buildAspectFillPrompt(visualSnapshot, listing, aspects),
+        json: true,
+        maxOutputTokens: 2048,
+        temperature: 0.1,
+      },
+      schemas.aspectFill,
+      ai,
+      cid
+    );
+  }
+
   // ===========================================================================
   // LEGACY PHASE METHODS (OPTIONAL)
   // Kept for backward compatibility if you still call them individually.
@@ -537,36 +752,23 @@ RULES:
       imageCount: buffers.length,
     });
 
-    const model = this.genAI.getGenerativeModel({
-      model: this.filterModel,
-      generationConfig: {
+    const text = await this._generate(
+      {
+        task: "imageQuality",
+        prompt: `${QUALITY_SYSTEM}\n\n${QUALITY_USER}`,
+        images: buffers,
         maxOutputTokens: 1024,
         temperature: 0.3,
       },
-    });
-
-    const parts = [{ text: QUALITY_SYSTEM }, { text: QUALITY_USER }];
-
-    for (const img of buffers) {
-      parts.push({
-        inlineData: {
-          data: img.buffer.toString("base64"),
-          mimeType: img.mimeType,
-        },
-      });
-    }
-
-    const result = await model.generateContent({
-      contents: [{ role: "user", parts }],
-    });
+      {},
+      correlationId
+    );
 
-    const text = result.response.text();
     if (!text) {
       throw new Error("Empty response from visualImageID");
     }
 
-    const cleaned = this._cleanJson(text);
-    const parsed = this._parseJson(cleaned, correlationId);
+    const parsed = parseModelJson(text, correlationId);
 
     logger.info("Phase 0 complete", {
       correlationId,
@@ -582,37 +784,24 @@ RULES:
       imageCount: buffers.length,
     });
 
-    const model = this.genAI.getGenerativeModel({
-      model: this.filterModel,
-      generationConfig: {
+    const text = await this._generate(
+      {
+        task: "grounding",
+        prompt: `${GROUNDING_SYSTEM}\n\n${GROUNDING_USER}`,
+        images: buffers,
+        json: true,
         maxOutputTokens: 2048,
         temperature: 0.2,
-        responseMimeType: "application/json",
       },
-    });
-
-    const parts = [{ text: GROUNDING_SYSTEM }, { text: GROUNDING_USER }];
-
-    for (const img of buffers) {
-      parts.push({
-        inlineData: {
-          data: img.buffer.toString("base64"),
-          mimeType: img.mimeType,
-        },
-      });
-    }
-
-    const result = await model.generateContent({
-      contents: [{ role: "user", parts }],
-    });
+      {},
+      correlationId
+    );
 
-    const text = result.response.text();
     if (!text) {
       throw new Error("Empty response from visualGrounding");
     }
 
-    const cleaned = this._cleanJson(text);
-    const parsed = this._parseJson(cleaned, correlationId);
+    const parsed = parseModelJson(text, correlationId);
 
     logger.info("Phase 1 complete", {
       correlationId,
@@ -630,92 +819,99 @@ RULES:
   // UTILITIES
   // ===========================================================================
 
-  _cleanJson(text) {
-    if (!text || typeof text !== "string") return "";
-
-    let cleaned = text.trim();
-
-    // Remove markdown fences
-    cleaned = cleaned.replace(/^```[a-zA-Z]*\s*/, "");
-    cleaned = cleaned.replace(/\s*```$/i, "");
-    cleaned = cleaned.replace(/```/g, "");
-    cleaned = cleaned.trim();
-
-    // Extract JSON object boundaries
-    const firstBrace = cleaned.indexOf("{");
-    const lastBrace = cleaned.lastIndexOf("}");
-
-    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-      cleaned = cleaned.substring(firstBrace, lastBrace + 1);
-    } else if (firstBrace !== -1) {
-      logger.warn("Attempting JSON recovery (truncated response detected)");
-      cleaned = cleaned.substring(firstBrace);
-      cleaned = this._attemptJsonRecovery(cleaned);
-    } else {
-      throw new Error("No JSON object found in AI response");
-    }
-
-    return cleaned.trim();
-  }
-
-  _attemptJsonRecovery(truncatedJson) {
-    let braceCount = 0;
-    let bracketCount = 0;
-    let inString = false;
-    let escaped = false;
+  /**
+   * One model call through the selected provider
+   *
+   * @param {Object} request - { task, prompt, images, json, maxOutputTokens, temperature }
+   * @param {Object} [ai] - per-request { provider, model }
+   * @returns {Promise<string>} raw model text
+   */
+  async _generate(request, ai = {}, correlationId = null) {
+    const { provider, model } = resolveProvider(ai);
 
-    for (let i = 0; i < truncatedJson.length; i++) {
-      const char = truncatedJson[i];
+    logger.debug("AIAgentic - model call", {
+      correlationId,
+      task: request.task,
+      provider: provider.name,
+      model,
+      imageCount: request.images?.length || 0,
+    });
 
-      if (escaped) {
-        escaped = false;
-        continue;
-      }
+    const { text } = await provider.generate({ ...request, model });
+    return text;
+  }
 
-      if (char === "\\") {
-        escaped = true;
-        continue;
-      }
+  /**
+   * Model call that must return JSON matching `schema`.
+   * Invalid output gets one targeted repair call (text only: the previous
+   * reply + the list of problems) before giving up.
+   *
+   * @throws {Error} "Invalid JSON from AI ..." (code AI_OUTPUT_INVALID, not
+   *   retried) when repair fails
+   */
+  async _generateJson(request, schema, ai = {}, correlationId = null) {
+    const text = await this._generate(request, ai, correlationId);
+    if (!text) {
+      throw new Error(`Empty response from ${request.task}`);
+    }
 
-      if (char === '"' && !escaped) {
-        inString = !inString;
-        continue;
-      }
+    const first = checkModelJson(text, schema, correlationId);
+    if (first.errors.length === 0) return first.value;
 
-      if (!inString) {
-        if (char === "{") braceCount++;
-        else if (char === "}") braceCount--;
-        else if (char === "[") bracketCount++;
-        else if (char === "]") bracketCount--;
-      }
-    }
+    logger.warn("AIAgentic - output failed validation, requesting repair", {
+      correlationId,
+      task: request.task,
+      errors: first.errors,
+    });
 
-    if (inString) {
-      truncatedJson += '"';
-    }
+    const repaired = await this._generate(
+      {
+        task: request.task,
+        prompt: buildJsonRepairPrompt(text, first.errors),
+        json: true,
+        maxOutputTokens: request.maxOutputTokens,
+        temperature: 0,
+      },
+      ai,
+      correlationId
+    );
 
-    while (bracketCount > 0) {
-      truncatedJson += "]";
-      bracketCount--;
+    const second = checkModelJson(repaired, schema, correlationId);
+    if (second.errors.length === 0) {
+      logger.info("AIAgentic - repair succeeded", {
+        correlationId,
+        task: request.task,
+        fixed: first.errors.length,
+      });
+      return second.value;
     }
 
-    while (braceCount > 0) {
-      truncatedJson += "}";
-      braceCount--;
-    }
+    const summary = second.errors
+      .slice(0, 5)
+      .map((e) => `${e.field} ${e.message}`)
+      .join("; ");
 
-    return truncatedJson;
+    const error = new Error(
+      `Invalid JSON from AI (${request.task}): ${summary}`
+    );
+    error.code = "AI_OUTPUT_INVALID";
+    error.errors = second.errors;
+    throw error;
   }
 
-  _parseJson(text, correlationId) {
+  /**
+   * Report a finished pipeline step; listener errors never break the pipeline
+   */
+  _emitStage(onStage, stage, message, data = {}) {
+    if (typeof onStage !== "function") return;
+
     try {
-      return JSON.parse(text);
+      onStage({ stage, message, ...data });
     } catch (err) {
-      logger.error("JSON parse failed", {
-        correlationId,
-        preview: text.slice(0, 500),
+      logger.warn("AIAgentic - stage listener failed", {
+        stage,
+        error: err.message,
       });
-      throw new Error("Invalid JSON from AI");
     }
   }
 }
@@ -0,0 +1,216 @@
+// services/aspectFill.service.js
+
+const logger = require("../../../config/logger.config");
+const taxonomyService = require("../../ebay/services/taxonomy.service");
+const aspectCheckService = require("../../ebay/services/aspectCheck.service");
+const aiAgentic = require("./ai.agentic2");
+const { normalizeEbayError } = require("../../../utils/ebayError");
+
+// Aspects sent to the model, and allowed values listed per aspect
+const MAX_ASPECTS = 40;
+const MAX_PROMPT_VALUES = 60;
+
+// Neutral values eBay accepts when an aspect genuinely does not apply
+const NEUTRAL_VALUES = ["Does Not Apply", "Unbranded", "Not Applicable"];
+
+/**
+ * Fill a grounded category's required and recommended aspects.
+ *
+ * The model fills what it can from the visual snapshot; every value is then
+ * mapped to eBay's canonical spelling. Each aspect is tagged:
+ *   ai        - derived by the model (or from its earlier itemSpecifics)
+ *   defaulted - a neutral value such as "Does Not Apply"
+ *   missing   - no supportable value
+ *
+ * SELECTION_ONLY values that match no allowed value are dropped.
+ */
+class AspectFillService {
+  /**
+   * @param {Object} listing - listing payload (title, itemSpecifics)
+   * @param {Object} visualSnapshot - output of generateVisualSnapshot
+   * @param {Object} options - { categoryId, marketplaceId, ai }
+   * @returns {Promise<{ itemSpecifics, aspects, summary }|null>} null when
+   *   the category's aspects could not be loaded
+   */
+  async fillAspects(
+    listing,
+    visualSnapshot,
+    options = {},
+    correlationId = null
+  ) {
+    const { categoryId, marketplaceId, ai } = options;
+
+    let metadata;
+    try {
+      metadata = await taxonomyService.getCategoryAspects(categoryId, {
+        marketplaceId,
+      });
+    } catch (err) {
+      logger.warn("Category aspects unavailable, keeping AI item specifics", {
+        correlationId,
+        categoryId,
+        ...normalizeEbayError(err),
+      });
+      return null;
+    }
+
+    const targets = (metadata.aspects || [])
+      .filter(
+        (aspect) =>
+          aspect.aspectConstraint?.aspectRequired ||
+          aspect.aspectConstraint?.aspectUsage === "RECOMMENDED"
+      )
+      .slice(0, MAX_ASPECTS)
+      .map((aspect) => this._describe(aspect));
+
+    if (!targets.length) {
+      return {
+        itemSpecifics: listing.itemSpecifics || {},
+        aspects: [],
+        summary: { ai: 0, defaulted: 0, missing: 0 },
+      };
+    }
+
+    const filled = await this._askModel(
+      listing,
+      visualSnapshot,
+      targets,
+      ai,
+      correlationId
+    );
+
+    const existing = this._byName(
+      Object.entries(listing.itemSpecifics || {}).map(([name, values]) => ({
+        name,
+        values: Array.isArray(values) ? values : [values],
+        source: "ai",
+      }))
+    );
+
+    const aspects = targets.map((target) => {
+      const key = target.name.toLowerCase();
+      return this._resolve(target, filled.get(key) || existing.get(key));
+    });
+
+    // Category aspects first, then any other specifics the model produced
+    const itemSpecifics = {};
+    aspects
+      .filter((aspect) => aspect.values.length)
+      .forEach((aspect) => {
+        itemSpecifics[aspect.name] =
+          aspect.cardinality === "MULTI" ? aspect.values : aspect.values[0];
+      });
+    Object.entries(listing.itemSpecifics || {}).forEach(([name, value]) => {
+      if (!targets.some((t) => t.name.toLowerCase() === name.toLowerCase())) {
+        itemSpecifics[name] = value;
+      }
+    });
+
+    const summary = { ai: 0, defaulted: 0, missing: 0 };
+    aspects.forEach((aspect) => summary[aspect.source]++);
+
+    logger.info("Category aspects filled", {
+      correlationId,
+      categoryId,
+      ...summary,
+      missingRequired: aspects
+        .filter((a) => a.required && a.source === "missing")
+        .map((a) => a.name),
+    });
+
+    return { itemSpecifics, aspects, summary };
+  }
+
+  // ===========================================================================
+  // INTERNAL
+  // ===========================================================================
+
+  _describe(aspect) {
+    const constraint = aspect.aspectConstraint || {};
+    return {
+      name: aspect.localizedAspectName,
+      required: !!constraint.aspectRequired,
+      mode: constraint.aspectMode || "FREE_TEXT",
+      cardinality: constraint.itemToAspectCardinality || "SINGLE",
+      maxLength: constraint.aspectMaxLength || null,
+      allowedValues: (aspect.aspectValues || []).map((v) => v.localizedValue),
+    };
+  }
+
+  /**
+   * Model answer keyed by lowercased aspect name; empty when the call fails
+   */
+  async _askModel(listing, visualSnapshot, targets, ai, correlationId) {
+    try {
+      const { aspects } = await aiAgentic.fillAspects(
+        visualSnapshot,
+        listing,
+        targets.map(({ maxLength, allowedValues, ...target }) => ({
+          ...target,
+          ...(allowedValues.length && {
+            allowedValues: allowedValues.slice(0, MAX_PROMPT_VALUES),
+          }),
+        })),
+        ai,
+        correlationId
+      );
+      return this._byName(aspects);
+    } catch (err) {
+      logger.warn("Aspect fill failed, using AI item specifics only", {
+        correlationId,
+        error: err.message,
+      });
+      return new Map();
+    }
+  }
+
+  _byName(aspects) {
+    return new Map(
+      aspects.map((aspect) => [String(aspect.name).toLowerCase(), aspect])
+    );
+  }
+
+  /**
+   * Canonical values and source tag for one aspect
+   */
+  _resolve(target, answer) {
+    const { allowedValues, maxLength, ...aspect } = target;
+
+    let values = (answer?.values || [])
+      .filter((v) => v !== null && v !== undefined && String(v).trim())
+      .map((v) => {
+        const value = String(v).trim();
+        const canonical = aspectCheckService.canonicalValue(
+          value,
+          allowedValues
+        );
+        if (canonical) return canonical;
+        return aspect.mode === "SELECTION_ONLY" ? null : value;
+      })
+      .filter(Boolean)
+      .map((v) => (maxLength ? v.slice(0, maxLength) : v));
+
+    values = [...new Set(values)];
+    if (aspect.cardinality !== "MULTI") values = values.slice(0, 1);
+
+    if (values.length) {
+      const neutral = values.every((v) => NEUTRAL_VALUES.includes(v));
+      return {
+        ...aspect,
+        values,
+        source: answer.source === "default" || neutral ? "defaulted" : "ai",
+      };
+    }
+
+    // Required but unknown: use a neutral value when the category offers one
+    const fallback = aspect.required
+      ? NEUTRAL_VALUES.find((v) => allowedValues.includes(v))
+      : null;
+
+    return fallback
+      ? { ...aspect, values: [fallback], source: "defaulted" }
+      : { ...aspect, values: [], source: "missing" };
+  }
+}
+
+module.exports = new AspectFillService();
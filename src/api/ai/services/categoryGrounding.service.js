@@ -0,0 +1,173 @@
+// services/categoryGrounding.service.js
+
+const logger = require("../../../config/logger.config");
+const taxonomyService = require("../../ebay/services/taxonomy.service");
+const aiAgentic = require("./ai.agentic2");
+const { normalizeEbayError } = require("../../../utils/ebayError");
+
+// Candidates offered to the model
+const MAX_CANDIDATES = 8;
+
+/**
+ * Turn the model's free-text category into a real eBay leaf category.
+ *
+ * 1. Ask the Taxonomy API for suggestions using the title, "brand model"
+ *    and the last segment of the AI category path as queries
+ * 2. Merge them (matched by more queries first, then best rank)
+ * 3. Let the model pick one candidate ID (skipped with a single candidate;
+ *    falls back to the top suggestion if the model call fails)
+ * 4. Resolve the pick to its best-scoring leaf (TaxonomyService)
+ *
+ * Taxonomy failures never fail the analysis: the category is left null.
+ */
+class CategoryGroundingService {
+  /**
+   * @param {Object} listing - listing payload from the AI pipeline
+   * @param {Object} options - { marketplaceId, ai: { provider, model } }
+   * @returns {Promise<{ categoryId, categoryName, categoryPath, parentCategoryId, source, alternatives }>}
+   */
+  async groundCategory(listing, options = {}, correlationId = null) {
+    const { marketplaceId, ai } = options;
+    const queries = this._queries(listing);
+
+    const empty = {
+      categoryId: null,
+      categoryName: null,
+      categoryPath: null,
+      parentCategoryId: null,
+      source: null,
+      alternatives: [],
+    };
+
+    if (!queries.length) return empty;
+
+    let candidates;
+    try {
+      candidates = await this._candidates(queries, marketplaceId);
+    } catch (err) {
+      logger.warn("Category suggestions failed, leaving category unset", {
+        correlationId,
+        ...normalizeEbayError(err),
+      });
+      return empty;
+    }
+
+    if (!candidates.length) {
+      logger.warn("No category suggestions for listing", {
+        correlationId,
+        queries,
+      });
+      return empty;
+    }
+
+    let chosen = candidates[0];
+    let source = "suggestion";
+
+    if (candidates.length > 1) {
+      try {
+        const choice = await aiAgentic.chooseCategory(
+          listing,
+          candidates,
+          ai,
+          correlationId
+        );
+        chosen =
+          candidates.find((c) => c.categoryId === choice.categoryId) || chosen;
+        source = "ai";
+      } catch (err) {
+        logger.warn("Category choice failed, using top suggestion", {
+          correlationId,
+          error: err.message,
+        });
+      }
+    }
+
+    let leaf;
+    try {
+      leaf = await taxonomyService.resolveLeafCategory(chosen.categoryId, {
+        marketplaceId,
+        title: listing.title,
+        aspects: listing.itemSpecifics,
+        categoryPath: chosen.categoryPath,
+      });
+    } catch (err) {
+      logger.warn("Leaf category lookup failed, leaving category unset", {
+        correlationId,
+        categoryId: chosen.categoryId,
+        ...normalizeEbayError(err),
+      });
+      return { ...empty, alternatives: candidates };
+    }
+
+    logger.info("Category grounded", {
+      correlationId,
+      categoryId: leaf.categoryId,
+      categoryPath: leaf.categoryPath,
+      source,
+      candidates: candidates.length,
+    });
+
+    return {
+      categoryId: leaf.categoryId,
+      categoryName: leaf.categoryName,
+      categoryPath: leaf.categoryPath,
+      parentCategoryId:
+        leaf.categoryId === chosen.categoryId ? null : chosen.categoryId,
+      source,
+      alternatives: candidates.filter((c) => c !== chosen),
+    };
+  }
+
+  // ===========================================================================
+  // INTERNAL
+  // ===========================================================================
+
+  _queries(listing) {
+    const product = listing.productIdentification || {};
+    const pathLeaf = (product.category || "").split(">").pop().trim();
+
+    const queries = [
+      listing.title,
+      [product.brand, product.model].filter(Boolean).join(" "),
+      pathLeaf !== "Other" && pathLeaf,
+    ]
+      .map((q) => (q || "").trim())
+      .filter(Boolean);
+
+    return [...new Set(queries)];
+  }
+
+  /**
+   * One suggestion call per query; a failed query is skipped unless all fail
+   */
+  async _candidates(queries, marketplaceId) {
+    const settled = await Promise.allSettled(
+      queries.map((q) =>
+        taxonomyService.getCategorySuggestions(q, { marketplaceId })
+      )
+    );
+
+    const fulfilled = settled.filter((s) => s.status === "fulfilled");
+    if (!fulfilled.length) throw settled[0].reason;
+
+    const merged = new Map();
+    fulfilled.forEach(({ value }) =>
+      value.forEach((suggestion) => {
+        const seen = merged.get(suggestion.categoryId);
+        if (seen) {
+          seen.hits++;
+          seen.rank = Math.min(seen.rank, suggestion.rank);
+        } else {
+          merged.set(suggestion.categoryId, { ...suggestion, hits: 1 });
+        }
+      })
+    );
+
+    return [...merged.values()]
+      .sort((a, b) => b.hits - a.hits || a.rank - b.rank)
+      .slice(0, MAX_CANDIDATES)
+      .map(({ hits, ...candidate }) => candidate);
+  }
+}
+
+module.exports = new CategoryGroundingService();
@@ -2,6 +2,14 @@ const { GoogleGenerativeAI } = require("@google/generative-ai");
 const crypto = require("crypto");
 const config = require("../../../config");
 const logger = require("../../../config/logger.config");
+const { parseModelJson } = require("../../../utils/aiJson");
+const {
+  buildBulkSeparationPrompt,
+} = require("../prompts/bulkSeparation.prompt");
+const { buildHtmlTemplatePrompt } = require("../prompts/htmlTemplate.prompt");
+const {
+  buildTermsOfServicePrompt,
+} = require("../prompts/termsOfService.prompt");
 
 class GeminiService {
   constructor() {
@@ -278,8 +286,7 @@ class GeminiService {
       responseLength: text.length,
     });
 
-    const cleaned = this._cleanJsonResponse(text);
-    const data = this._parseJsonSafely(cleaned, correlationId);
+    const data = parseModelJson(text, correlationId);
 
     return this._mapToListingPayload(data, options);
   }
@@ -316,8 +323,7 @@ class GeminiService {
       throw new Error("Empty response from Gemini API");
     }
 
-    const cleaned = this._cleanJsonResponse(text);
-    const data = this._parseJsonSafely(cleaned, correlationId);
+    const data = parseModelJson(text, correlationId);
 
     return this._mapToListingPayload(data, options);
   }
@@ -350,8 +356,7 @@ class GeminiService {
       throw new Error("Empty response from Gemini API");
     }
 
-    const cleaned = this._cleanJsonResponse(text);
-    const data = this._parseJsonSafely(cleaned, correlationId);
+    const data = parseModelJson(text, correlationId);
 
     // Expected format: { products: [{...}, {...}] }
     if (!data.products || !Array.isArray(data.products)) {
@@ -401,8 +406,7 @@ class GeminiService {
       throw new Error("Empty Terms of Service response from Gemini API");
     }
 
-    const cleaned = this._cleanJsonResponse(text);
-    const data = this._parseJsonSafely(cleaned, correlationId);
+    const data = parseModelJson(text, correlationId);
 
     return data;
   }
@@ -734,321 +738,15 @@ ${
   }
 
   _buildBulkSeparationPrompt(options = {}) {
-    const { sellerConfig = {}, marketData = [] } = options;
-
-    return `You are an expert at identifying and separating multiple products from bulk image uploads for eBay listing creation.
-
-**TASK**: Analyze ALL uploaded images and identify DISTINCT PRODUCTS. Each unique product should get its own listing.
-
-**SEPARATION LOGIC:**
-- If images show the SAME product from different angles → Group as ONE product
-- If images show DIFFERENT products → Separate into MULTIPLE products
-- Look for: different brands, models, colors, sizes, SKUs, or completely different items
-- A "set" or "bundle" of identical items = ONE product listing
-
-**OUTPUT FORMAT (VALID JSON ONLY):**
-
-\`\`\`json
-{
-  "products": [
-    {
-      "productId": 1,
-      "imageIndices": [0, 1, 2],
-      "separationReasoning": "Nike Air Max sneakers - images 0, 1, 2 show same pair from different angles",
-      
-      "productIdentification": {
-        "brand": "Nike",
-        "model": "Air Max 90",
-        "category": "Clothing, Shoes & Accessories > Men's Shoes > Athletic Shoes"
-      },
-
-      "title": "Nike Air Max 90 White Black Leather Men's Size 10.5 Pre-Owned",
-      "subtitle": null,
-      
-      "condition": {
-        "grade": "Used",
-        "numericScore": 8.0,
-        "description": "Good pre-owned condition with minor creasing"
-      },
-
-      "weight": {
-        "estimatedLbs": 2.0,
-        "estimatedOz": 32,
-        "estimatedKg": 0.91,
-        "confidenceLevel": "high",
-        "requiresManualVerification": false
-      },
-
-      "pricing": {
-        "suggestedPrice": 75.00,
-        "priceRange": { "min": 65.00, "max": 85.00 },
-        "currency": "USD",
-        "confidenceScore": 0.80,
-        "strategyRecommendation": {
-          "listingFormat": "Fixed Price",
-          "bestOfferEnabled": true,
-          "shippingStrategy": "Buyer Pays"
-        }
-      },
-
-      "shipping": {
-        "recommendedService": "USPS Priority Mail",
-        "estimatedCost": 9.50,
-        "handlingTime": "1 business day"
-      },
-
-      "itemSpecifics": {
-        "Brand": "Nike",
-        "Model": "Air Max 90",
-        "Size": "10.5",
-        "Color": "White/Black"
-      },
-
-      "seoOptimization": {
-        "primaryKeywords": ["nike air max", "mens sneakers", "athletic shoes"]
-      },
-
-      "legalDisclaimers": {
-        "pricing": "AI-suggested prices are estimates. Seller is responsible for final pricing.",
-        "condition": "AI condition assessment is preliminary. Seller must verify accuracy.",
-        "accuracy": "All AI content is advisory. Seller ensures listing compliance."
-      }
-    },
-    {
-      "productId": 2,
-      "imageIndices": [3, 4],
-      "separationReasoning": "Adidas Ultraboost sneakers - images 3, 4 show DIFFERENT product than product 1",
-      
-      ... (complete listing data for product 2)
-    }
-  ],
-  
-  "bulkSummary": {
-    "totalImagesUploaded": 5,
-    "distinctProductsDetected": 2,
-    "imageAssignmentConfidence": 0.95,
-    "unassignedImages": [],
-    "processingNotes": "All images successfully assigned to products. High confidence in separation."
-  }
-}
-\`\`\`
-
-**SEPARATION RULES:**
-
-1. **Different Products:**
-   - Different brands (Nike vs Adidas)
-   - Different models within same brand (iPhone 13 vs iPhone 14)
-   - Different colors of same model IF sold separately
-   - Different sizes IF sold separately
-   - Completely different categories (shoes vs electronics)
-
-2. **Same Product (multiple angles):**
-   - Front, back, side views of SAME item
-   - Close-ups of logos, tags, defects on SAME item
-   - Different lighting/background but clearly SAME physical item
-   - Packaging + unboxed shots of SAME product
-
-3. **Edge Cases:**
-   - **Pairs/Sets**: If images show matching pair (shoes, earbuds), treat as ONE product
-   - **Bundles**: If seller intends to sell items together, treat as ONE bundle listing
-   - **Variations**: If images show size tag + product, group together
-   - **Ambiguous**: If uncertain, ASK in processingNotes and default to SEPARATE listings
-
-4. **Quality Checks:**
-   - Flag poor quality images that can't be confidently assigned
-   - Note if additional photos needed to confirm product identity
-   - Warn if images don't clearly show distinct products
-
-**Each product listing must include:**
-- Complete product identification
-- Full listing data (title, description structure, condition, pricing, shipping)
-- Weight estimation (MANDATORY)
-- SEO optimization
-- Legal disclaimers
-
-**RESPOND ONLY WITH THE JSON OBJECT. NO MARKDOWN, NO EXPLANATIONS.**`;
+    return buildBulkSeparationPrompt(options);
   }
 
   _buildHtmlTemplatePrompt(listingData, options = {}) {
-    const { customHtml = null, hostedImageUrls = [], branding = {} } = options;
-
-    const {
-      storeName = "Our Store",
-      logoUrl = null,
-      primaryColor = "#0066CC",
-      secondaryColor = "#F0F0F0",
-    } = branding;
-
-    return `You are an expert HTML template designer for eBay listings.
-
-**TASK**: Generate a professional, mobile-responsive HTML listing template using the provided listing data.
-
-**LISTING DATA:**
-${JSON.stringify(listingData, null, 2)}
-
-**HOSTED IMAGE URLs (embed these):**
-${
-  hostedImageUrls.length > 0
-    ? JSON.stringify(hostedImageUrls, null, 2)
-    : "None provided - use placeholder image tags"
-}
-
-**BRANDING:**
-- Store Name: ${storeName}
-- Logo URL: ${logoUrl || "None"}
-- Primary Color: ${primaryColor}
-- Secondary Color: ${secondaryColor}
-
-${
-  customHtml
-    ? `
-**CUSTOM HTML TEMPLATE (enhance this):**
-${customHtml}
-`
-    : ""
-}
-
-**REQUIREMENTS:**
-
-1. **Structure:**
-   - Clean, professional design
-   - Mobile-responsive (eBay mobile app compatible)
-   - Clear sections: Hero Image, Condition, Features, Specs, Shipping, Returns
-   - Strong call-to-action buttons
-
-2. **Image Embedding:**
-   - Use provided hosted image URLs
-   - Format: <img src="URL" alt="description" style="max-width:100%; height:auto;">
-   - Include image gallery if multiple images provided
-
-3. **Typography:**
-   - Readable fonts (Arial, Helvetica, sans-serif)
-   - Clear hierarchy (h2, h3 tags)
-   - Sufficient line spacing
-
-4. **Color Scheme:**
-   - Use branding colors consistently
-   - Ensure good contrast for readability
-   - Professional, not garish
-
-5. **Content Sections:**
-   - **Header**: Store name/logo, item title
-   - **Hero Image**: Main product photo
-   - **Condition Banner**: Highlight condition grade with visual indicator
-   - **Key Features**: Bullet points with icons
-   - **Detailed Description**: Organized paragraphs
-   - **Specifications Table**: Clean 2-column table
-   - **What's Included**: Checklist format
-   - **Shipping & Returns**: Clear policies with icons
-   - **Footer**: Store policies, contact info, social proof
-
-6. **eBay Compliance:**
-   - No external links (eBay blocks them)
-   - No JavaScript or active content
-   - Inline CSS only (no external stylesheets)
-   - No forms or input elements
-   - Max width: 800px for optimal display
-
-7. **Enhancements:**
-   - Use HTML entities for special characters (&nbsp;, &mdash;, etc.)
-   - Add subtle borders and shadows for visual depth
-   - Include trust badges (Top Rated Seller, Fast Shipping, etc.)
-   - Mobile-first responsive design
-
-**RESPOND WITH ONLY THE HTML CODE. NO EXPLANATIONS, NO MARKDOWN CODE FENCES.**`;
+    return buildHtmlTemplatePrompt(listingData, options);
   }
 
   _buildTermsOfServicePrompt(sellerInfo = {}) {
-    const {
-      businessName = "Seller",
-      returnPeriod = "30 days",
-      warrantyOffered = false,
-      restockingFee = false,
-      internationalShipping = false,
-    } = sellerInfo;
-
-    return `You are a legal expert specializing in e-commerce seller policies.
-
-**TASK**: Draft comprehensive Terms of Service for an eBay seller.
-
-**SELLER INFORMATION:**
-${JSON.stringify(sellerInfo, null, 2)}
-
-**OUTPUT FORMAT (JSON):**
-
-\`\`\`json
-{
-  "returnPolicy": {
-    "summary": "We accept returns within ${returnPeriod} of delivery.",
-    "fullText": "Detailed return policy paragraph covering: acceptance period, condition requirements, restocking fees, return shipping costs, refund timeline, non-returnable items.",
-    "keyPoints": [
-      "Returns accepted within ${returnPeriod}",
-      "Item must be in original condition",
-      "Buyer pays return shipping unless item defective",
-      "Refund processed within 3 business days of receipt"
-    ]
-  },
-
-  "warranty": {
-    "offered": ${warrantyOffered},
-    "summary": ${
-      warrantyOffered
-        ? '"Limited warranty covering manufacturing defects"'
-        : '"Items sold as-is with no warranty unless otherwise stated"'
-    },
-    "fullText": "Detailed warranty terms",
-    "duration": ${warrantyOffered ? '"90 days"' : "null"}
-  },
-
-  "shippingPolicy": {
-    "summary": "Fast shipping with tracking provided for all orders",
-    "fullText": "Detailed shipping policy covering: handling time, carriers used, international shipping, tracking, insurance, delivery timeframes, lost package procedures.",
-    "keyPoints": [
-      "Ships within 1 business day",
-      "Tracking number provided",
-      ${
-        internationalShipping
-          ? '"International shipping available"'
-          : '"Domestic shipping only"'
-      },
-      "Not responsible for carrier delays"
-    ]
-  },
-
-  "disclaimers": {
-    "accuracyDisclaimer": "We strive for accuracy in all listings. If you receive an item significantly different from description, contact us immediately for resolution.",
-    "colorDisclaimer": "Colors may appear slightly different due to monitor settings and lighting in photos.",
-    "brandDisclaimer": "Brand names are used for identification purposes only. We are not affiliated with or endorsed by mentioned brands.",
-    "liabilityLimitation": "Our liability is limited to the purchase price of the item. We are not liable for indirect, incidental, or consequential damages."
-  },
-
-  "contactPolicy": {
-    "summary": "Contact us through eBay messaging for all inquiries. We respond within 24 hours.",
-    "fullText": "Detailed contact and customer service policy",
-    "responseTime": "24 hours or less"
-  },
-
-  "disputeResolution": {
-    "summary": "We encourage buyers to contact us directly before opening eBay cases. We're committed to fair resolution.",
-    "fullText": "Detailed dispute resolution process and escalation procedures."
-  },
-
-  "privacyStatement": {
-    "summary": "We respect your privacy. Personal information is used only for order fulfillment and is never sold to third parties.",
-    "fullText": "Brief privacy policy covering data collection, usage, and protection."
-  }
-}
-\`\`\`
-
-**REQUIREMENTS:**
-- Professional, friendly tone
-- Legally sound but accessible language
-- Protect seller while being fair to buyers
-- eBay policy compliant
-- Clear, concise bullet points
-- Detailed full-text versions for legal protection
-
-**RESPOND ONLY WITH THE JSON OBJECT. NO MARKDOWN, NO EXPLANATIONS.**`;
+    return buildTermsOfServicePrompt(sellerInfo);
   }
 
   // ============================================================================
@@ -1135,61 +833,6 @@ ${JSON.stringify(sellerInfo, null, 2)}
     return false;
   }
 
-  _cleanJsonResponse(text) {
-    if (!text || typeof text !== "string") return "";
-
-    let cleaned = text.trim();
-
-    // 1️⃣ Remove markdown code fences like ```json or ```lang (only at start)
-    cleaned = cleaned.replace(/^```[a-zA-Z]*\s*/, "");
-
-    // Remove closing ``` at the end
-    cleaned = cleaned.replace(/\s*```$/, "");
-
-    // 2️⃣ Remove any remaining triple backticks (fallback safety)
-    cleaned = cleaned.replace(/```/g, "");
-
-    cleaned = cleaned.trim();
-
-    // 3️⃣ Extract JSON object if extra text exists
-    const firstBrace = cleaned.indexOf("{");
-    const lastBrace = cleaned.lastIndexOf("}");
-
-    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-      cleaned = cleaned.substring(firstBrace, lastBrace + 1);
-    }
-
-    return cleaned.trim();
-  }
-
-  _parseJsonSafely(jsonString, correlationId) {
-    try {
-      return JSON.parse(jsonString);
-    } catch (err) {
-      logger.error("JSON parse error", {
-        correlationId,
-        error: err.message,
-        jsonPreview: jsonString.slice(0, 1000),
-      });
-
-      // Attempt to fix common JSON issues
-      try {
-        // Remove trailing commas
-        let fixed = jsonString.replace(/,(\s*[}\]])/g, "$1");
-        // Fix unquoted keys
-        fixed = fixed.replace(/(\w+):/g, '"$1":');
-
-        return JSON.parse(fixed);
-      } catch (retryErr) {
-        logger.error("JSON repair attempt failed", {
-          correlationId,
-          error: retryErr.message,
-        });
-        throw new Error("AI response could not be parsed as valid JSON");
-      }
-    }
-  }
-
   _validateImageInput(base64, mimeType) {
     if (!base64 || typeof base64 !== "string") {
       throw new Error("Invalid base64 string provided");
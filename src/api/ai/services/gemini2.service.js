@@ -1,25 +1,37 @@
-// services/gemini.service.js
+// services/gemini2.service.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const crypto = require("crypto");
 const config = require("../../../config");
 const logger = require("../../../config/logger.config");
+const { resolveChain } = require("../providers");
+const CircuitBreaker = require("../providers/circuitBreaker");
+const categoryGrounding = require("./categoryGrounding.service");
+const aspectFill = require("./aspectFill.service");
+const marketDataService = require("../../ebay/services/marketData.service");
+const { normalizeEbayError } = require("../../../utils/ebayError");
+const { getMarketplace } = require("../../../config/marketplaces");
+
+// Connection-level failures that say nothing about the request itself
+const NETWORK_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+];
 
 class GeminiService {
   constructor() {
-    if (!config.ai.geminiApiKey) {
-      throw new Error("Gemini API key is required");
-    }
-
-    this.genAI = new GoogleGenerativeAI(config.ai.geminiApiKey);
-    this.modelName = "gemini-2.5-flash";
-
     // ✅ FIX: Lazy load AIAgentic to avoid circular dependency
     this._aiAgentic = null;
 
     this.maxRetries = 3;
     this.initialDelayMs = 1500;
 
+    // Skips provider/model backends that keep failing (see _retryWithFallback)
+    this.breaker = new CircuitBreaker(config.ai.circuitBreaker);
+
     this.MAX_IMAGES_PER_REQUEST = 16;
     this.MAX_IMAGE_SIZE_MB = 20;
     this.ALLOWED_MIME_TYPES = [
@@ -43,244 +55,6 @@ class GeminiService {
   // PUBLIC API
   // ===========================================================================
 
-  // async analyzeMultipleImages(images, options = {}) {
-  //   const startTime = Date.now();
-  //   const correlationId = this._correlationId();
-
-  //   logger.info("Starting multi-image analysis", {
-  //     correlationId,
-  //     imageCount: images?.length,
-  //   });
-
-  //   if (!Array.isArray(images) || images.length === 0) {
-  //     throw new Error("Images array must not be empty");
-  //   }
-
-  //   if (images.length > this.MAX_IMAGES_PER_REQUEST) {
-  //     throw new Error(
-  //       `Too many images. Maximum ${this.MAX_IMAGES_PER_REQUEST} allowed`
-  //     );
-  //   }
-
-  //   // Validate and prepare buffers
-  //   const buffers = [];
-  //   for (let i = 0; i < images.length; i++) {
-  //     const img = images[i];
-  //     this._validateImage(img.base64, img.mimeType);
-
-  //     const buffer = Buffer.from(img.base64, "base64");
-  //     const sizeMB = (buffer.length / (1024 * 1024)).toFixed(2);
-
-  //     logger.debug("Image validation passed", {
-  //       mimeType: img.mimeType || "image/jpeg",
-  //       sizeMB,
-  //     });
-
-  //     buffers.push({
-  //       index: i,
-  //       mimeType: img.mimeType || "image/jpeg",
-  //       buffer,
-  //     });
-  //   }
-
-  //   // =========================================================================
-  //   // PHASE 0: Image Quality & Role Assignment
-  //   // =========================================================================
-  //   // let visualAnalysis = null;
-  //   let selectedBuffers = buffers;
-
-  //   // try {
-  //   //   visualAnalysis = await this._retryWithBackoff(
-  //   //     () => this.aiAgentic.visualImageID(buffers, correlationId),
-  //   //     "visualImageID",
-  //   //     correlationId
-  //   //   );
-
-  //   //   selectedBuffers = buffers.filter((b) =>
-  //   //     visualAnalysis.summary.recommendedForAI.includes(b.index)
-  //   //   );
-
-  //   //   if (selectedBuffers.length === 0) {
-  //   //     logger.warn("Phase 0 rejected all images, using fallback", {
-  //   //       correlationId,
-  //   //     });
-  //   //     selectedBuffers = [buffers[0]];
-  //   //   }
-
-  //   //   logger.info("Phase 0 complete", {
-  //   //     correlationId,
-  //   //     usableImages: visualAnalysis.summary.usableImages,
-  //   //     selectedCount: selectedBuffers.length,
-  //   //   });
-  //   // } catch (err) {
-  //   //   logger.error("Phase 0 failed, continuing with all images", {
-  //   //     correlationId,
-  //   //     error: err.message,
-  //   //   });
-  //   //   selectedBuffers = buffers;
-  //   // }
-
-  //   // =========================================================================
-  //   // PHASE 1: Visual Grounding - Product ID + Compliance
-  //   // =========================================================================
-  //   logger.info("Starting Phase 1: Visual Grounding", { correlationId });
-
-  //   const groundingResult = await this._retryWithBackoff(
-  //     () => this.aiAgentic.visualGrounding(selectedBuffers, correlationId),
-  //     "visualGrounding",
-  //     correlationId
-  //   );
-
-  //   logger.info("Phase 1 complete", {
-  //     correlationId,
-  //     compliant: groundingResult.compliance.isEbayCompliant,
-  //     confidence: groundingResult.productIdentification.confidence,
-  //   });
-
-  //   // ❌ REJECT: eBay policy violation
-  //   if (!groundingResult.compliance.isEbayCompliant) {
-  //     logger.warn("Product rejected: eBay policy violation", {
-  //       correlationId,
-  //       violationCategory: groundingResult.compliance.violationCategory,
-  //       reason: groundingResult.compliance.reason,
-  //     });
-
-  //     return {
-  //       success: false,
-  //       rejected: true,
-  //       reason: "EBAY_POLICY_VIOLATION",
-  //       details: groundingResult,
-  //       metadata: {
-  //         correlationId,
-  //         processingTime: Date.now() - startTime,
-  //       },
-  //     };
-  //   }
-
-  //   // ⚠️ REQUIRE REVIEW: Low confidence or restricted
-  //   if (groundingResult.recommendations.reviewNeeded) {
-  //     logger.info("Product requires manual review", {
-  //       correlationId,
-  //       guidance: groundingResult.recommendations.guidance,
-  //     });
-
-  //     return {
-  //       success: false,
-  //       rejected: false,
-  //       requiresReview: true,
-  //       reason: "MANUAL_REVIEW_REQUIRED",
-  //       details: groundingResult,
-  //       metadata: {
-  //         correlationId,
-  //         processingTime: Date.now() - startTime,
-  //       },
-  //     };
-  //   }
-
-  //   // =========================================================================
-  //   // PHASE 2: Physical Attributes - Weight, Dimensions, Condition
-  //   // =========================================================================
-  //   logger.info("Starting Phase 2: Physical Attributes", { correlationId });
-
-  //   const physicalAttributes = await this._retryWithBackoff(
-  //     () =>
-  //       this.aiAgentic.extractPhysicalAttributes(
-  //         selectedBuffers,
-  //         groundingResult.productIdentification,
-  //         correlationId
-  //       ),
-  //     "extractPhysicalAttributes",
-  //     correlationId
-  //   );
-
-  //   logger.info("Phase 2 complete", {
-  //     correlationId,
-  //     weight: physicalAttributes.weight?.estimatedLbs,
-  //     condition: physicalAttributes.condition?.grade,
-  //   });
-
-  //   // =========================================================================
-  //   // PHASE 3: Pricing Strategy & Shipping
-  //   // =========================================================================
-  //   logger.info("Starting Phase 3: Pricing Strategy", { correlationId });
-
-  //   const pricingStrategy = await this._retryWithBackoff(
-  //     () =>
-  //       this.aiAgentic.analyzePricingStrategy(
-  //         groundingResult.productIdentification,
-  //         physicalAttributes,
-  //         options.marketData || [],
-  //         options.sellerConfig || {},
-  //         correlationId
-  //       ),
-  //     "analyzePricingStrategy",
-  //     correlationId
-  //   );
-
-  //   logger.info("Phase 3 complete", {
-  //     correlationId,
-  //     price: pricingStrategy.pricing?.suggestedPrice,
-  //     format: pricingStrategy.pricing?.strategyRecommendation?.listingFormat,
-  //   });
-
-  //   // =========================================================================
-  //   // PHASE 4: Listing Content - Title, Description, SEO
-  //   // =========================================================================
-  //   logger.info("Starting Phase 4: Listing Content", { correlationId });
-
-  //   const listingContent = await this._retryWithBackoff(
-  //     () =>
-  //       this.aiAgentic.generateListingContent(
-  //         groundingResult.productIdentification,
-  //         physicalAttributes,
-  //         pricingStrategy,
-  //         correlationId
-  //       ),
-  //     "generateListingContent",
-  //     correlationId
-  //   );
-
-  //   logger.info("Phase 4 complete", {
-  //     correlationId,
-  //     titleLength: listingContent.title?.length,
-  //     keywordsCount: listingContent.seoOptimization?.primaryKeywords?.length,
-  //   });
-
-  //   // =========================================================================
-  //   // FINAL ASSEMBLY - Map to exact payload structure
-  //   // =========================================================================
-  //   const processingTime = Date.now() - startTime;
-
-  //   const finalPayload = this._mapToListingPayload(
-  //     {
-  //       productIdentification: groundingResult.productIdentification,
-  //       title: listingContent.title,
-  //       subtitle: listingContent.subtitle,
-  //       description: listingContent.description,
-  //       condition: physicalAttributes.condition,
-  //       weight: physicalAttributes.weight,
-  //       dimensions: physicalAttributes.dimensions,
-  //       pricing: pricingStrategy.pricing,
-  //       shipping: pricingStrategy.shipping,
-  //       itemSpecifics: listingContent.itemSpecifics,
-  //       seoOptimization: listingContent.seoOptimization,
-  //       listingRecommendations: listingContent.listingRecommendations,
-  //       qualityChecks: physicalAttributes.qualityChecks,
-  //       complianceFlags: listingContent.complianceFlags,
-  //     },
-  //     { processingTime }
-  //   );
-
-  //   logger.info("Multi-image analysis complete", {
-  //     correlationId,
-  //     processingTime,
-  //     brand: finalPayload.productIdentification.brand,
-  //     category: finalPayload.productIdentification.category,
-  //     price: finalPayload.pricing.suggestedPrice,
-  //   });
-
-  //   return finalPayload;
-  // }
   async analyzeMultipleImages(images, options = {}) {
     const startTime = Date.now();
     const correlationId = this._correlationId();
@@ -290,53 +64,39 @@ class GeminiService {
       imageCount: images?.length,
     });
 
-    if (!Array.isArray(images) || images.length === 0) {
-      throw new Error("Images array must not be empty");
-    }
-
-    if (images.length > this.MAX_IMAGES_PER_REQUEST) {
-      throw new Error(
-        `Too many images. Maximum ${this.MAX_IMAGES_PER_REQUEST} allowed`
-      );
-    }
-
-    // Validate and prepare buffers
-    const buffers = [];
-    for (let i = 0; i < images.length; i++) {
-      const img = images[i];
-      this._validateImage(img.base64, img.mimeType);
-
-      const buffer = Buffer.from(img.base64, "base64");
-      const sizeMB = (buffer.length / (1024 * 1024)).toFixed(2);
-
-      logger.debug("Image validation passed", {
-        mimeType: img.mimeType || "image/jpeg",
-        sizeMB,
-      });
+    const buffers = this._prepareBuffers(images);
+    const { currency } = getMarketplace(options.marketplaceId);
 
-      buffers.push({
-        index: i,
-        mimeType: img.mimeType || "image/jpeg",
-        buffer,
-      });
-    }
-
-    // Single high-level agentic call (2 internal Gemini calls)
-    const listingPayload = await this._retryWithBackoff(
-      () =>
+    // Single high-level agentic call (2 internal model calls)
+    const {
+      result: { visualSnapshot, ...listingPayload },
+      ...backend
+    } = await this._retryWithFallback(
+      (ai) =>
         this.aiAgentic.generateCompleteListing(
           buffers,
           {
             marketData: options.marketData || [],
+            loadMarketData: (product) =>
+              this._loadMarketData(product, options, correlationId),
             sellerConfig: options.sellerConfig || {},
             userProvidedCondition: options.userProvidedCondition || null,
+            currency,
+            onStage: options.onStage,
+            ai,
           },
           correlationId
         ),
       "generateCompleteListing",
-      correlationId
+      correlationId,
+      options
     );
 
+    listingPayload.metadata = {
+      ...(listingPayload.metadata || {}),
+      ...backend,
+    };
+
     // If agentic flow decided to reject / require review, just return that object
     if (listingPayload.rejected || listingPayload.requiresReview) {
       logger.info("Multi-image analysis completed with non-success state", {
@@ -349,6 +109,59 @@ class GeminiService {
       return listingPayload;
     }
 
+    // Replace the free-text category path with a real eBay leaf category,
+    // chosen by the same backend that produced the listing
+    const category = await categoryGrounding.groundCategory(
+      listingPayload,
+      {
+        marketplaceId: options.marketplaceId,
+        ai: { provider: backend.provider, model: backend.model },
+      },
+      correlationId
+    );
+    options.onStage?.({
+      stage: "category",
+      message: category.categoryId
+        ? `Category grounded: ${category.categoryPath}`
+        : "Category could not be grounded",
+      categoryId: category.categoryId,
+    });
+
+    Object.assign(listingPayload, {
+      categoryId: category.categoryId,
+      categoryName: category.categoryName,
+      categoryPath: category.categoryPath,
+      parentCategoryId: category.parentCategoryId,
+      categorySource: category.source,
+      categoryAlternatives: category.alternatives,
+    });
+
+    // Fill the category's item specifics with eBay's allowed spellings
+    if (category.categoryId) {
+      const filled = await aspectFill.fillAspects(
+        listingPayload,
+        visualSnapshot,
+        {
+          categoryId: category.categoryId,
+          marketplaceId: options.marketplaceId,
+          ai: { provider: backend.provider, model: backend.model },
+        },
+        correlationId
+      );
+
+      if (filled) {
+        listingPayload.itemSpecifics = filled.itemSpecifics;
+        listingPayload.aspectDetails = filled.aspects;
+        listingPayload.aspectSummary = filled.summary;
+
+        options.onStage?.({
+          stage: "aspects",
+          message: `Item specifics filled: ${filled.summary.missing} missing`,
+          ...filled.summary,
+        });
+      }
+    }
+
     // Ensure processingTime is set if not already
     const processingTime =
       listingPayload.metadata?.processingTime ?? Date.now() - startTime;
@@ -364,12 +177,130 @@ class GeminiService {
       processingTime,
       brand: listingPayload.productIdentification?.brand,
       category: listingPayload.productIdentification?.category,
+      categoryId: listingPayload.categoryId,
       price: listingPayload.pricing?.suggestedPrice,
     });
 
     return listingPayload;
   }
 
+  /**
+   * BULK MODE: separate DIFFERENT products from one upload.
+   * Each product is mapped to the same payload shape as analyzeMultipleImages.
+   *
+   * @param {Array<{base64: string, mimeType: string}>} images
+   * @param {Object} options { marketData, sellerConfig, marketplaceId, signal, onStage, provider, model }
+   * @returns {Promise<Array<Object>>} one listing payload per product
+   */
+  async analyzeBulkProducts(images, options = {}) {
+    const startTime = Date.now();
+    const correlationId = this._correlationId();
+
+    logger.info("Starting bulk product separation", {
+      correlationId,
+      imageCount: images?.length,
+    });
+
+    const buffers = this._prepareBuffers(images);
+    const { currency } = getMarketplace(options.marketplaceId);
+
+    const {
+      result: { products, bulkSummary },
+      ...backend
+    } = await this._retryWithFallback(
+      (ai) =>
+        this.aiAgentic.separateBulkProducts(
+          buffers,
+          {
+            marketData: options.marketData || [],
+            sellerConfig: options.sellerConfig || {},
+            currency,
+            ai,
+          },
+          correlationId
+        ),
+      "separateBulkProducts",
+      correlationId,
+      options
+    );
+
+    options.onStage?.({
+      stage: "bulk_separation",
+      message: `Bulk separation done: ${products.length} product(s)`,
+      productsDetected: products.length,
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    const payloads = products.map((product) => ({
+      ...this._mapToListingPayload(product, {
+        processingTime,
+        backend,
+        currency,
+      }),
+      imageIndices: Array.isArray(product.imageIndices)
+        ? product.imageIndices.filter((i) => i >= 0 && i < buffers.length)
+        : [],
+      separationReasoning: product.separationReasoning || null,
+    }));
+
+    logger.info("Bulk product separation complete", {
+      correlationId,
+      processingTime,
+      productsDetected: payloads.length,
+      assignmentConfidence: bulkSummary?.imageAssignmentConfidence,
+    });
+
+    return payloads;
+  }
+
+  /**
+   * Generate an HTML listing template
+   *
+   * @param {Object} listingData
+   * @param {Object} options { customHtml, hostedImageUrls, branding, provider, model }
+   * @returns {Promise<string>} HTML
+   */
+  async generateHtmlTemplate(listingData, options = {}) {
+    const correlationId = this._correlationId();
+    logger.info("Generating HTML template", { correlationId });
+
+    const { result } = await this._retryWithFallback(
+      (ai) =>
+        this.aiAgentic.generateHtmlTemplate(
+          listingData,
+          { ...options, ai },
+          correlationId
+        ),
+      "generateHtmlTemplate",
+      correlationId,
+      options
+    );
+
+    return result;
+  }
+
+  /**
+   * Draft seller Terms of Service
+   *
+   * @param {Object} sellerInfo { businessName, returnPeriod, warrantyOffered, ... }
+   * @param {Object} options { provider, model }
+   * @returns {Promise<Object>} { returnPolicy, warranty, shippingPolicy, ... }
+   */
+  async draftTermsOfService(sellerInfo = {}, options = {}) {
+    const correlationId = this._correlationId();
+    logger.info("Drafting Terms of Service", { correlationId });
+
+    const { result } = await this._retryWithFallback(
+      (ai) => this.aiAgentic.draftTermsOfService(sellerInfo, correlationId, ai),
+      "draftTermsOfService",
+      correlationId,
+      options
+    );
+
+    return result;
+  }
+
   // ===========================================================================
   // PAYLOAD MAPPING (Exact structure from your spec)
   // ===========================================================================
@@ -444,7 +375,7 @@ class GeminiService {
           min: this._parseFloat(pricing.priceRange?.min, 0),
           max: this._parseFloat(pricing.priceRange?.max, 0),
         },
-        currency: pricing.currency || "USD",
+        currency: options.currency || pricing.currency || "USD",
         confidenceScore: pricing.confidenceScore || 0.5,
         rationale: pricing.rationale || null,
         marketAnalysis: pricing.marketAnalysis || {
@@ -555,7 +486,8 @@ class GeminiService {
       // Metadata
       metadata: {
         generatedAt: new Date().toISOString(),
-        modelVersion: this.modelName,
+        modelVersion: options.backend?.model || null,
+        ...options.backend,
         processingTime: options.processingTime || null,
       },
     };
@@ -565,11 +497,85 @@ class GeminiService {
   // UTILITIES
   // ===========================================================================
 
-  async _retryWithBackoff(fn, name, correlationId) {
+  /**
+   * Run `fn(ai)` on the selected backend, then on each AI_FALLBACKS entry,
+   * each with the full retry budget. Backends whose circuit is open are
+   * skipped; an aborted signal stops the chain. Only backend failures
+   * (see _isBackendFailure) count against the circuit and move on to the
+   * next backend; any other error is rethrown as is.
+   *
+   * @param {Function} fn - (ai: { provider, model }) => Promise
+   * @param {Object} options - { provider, model, signal } from the request
+   * @returns {Promise<{ result, provider, model, fallbackUsed }>}
+   */
+  async _retryWithFallback(fn, name, correlationId, options = {}) {
+    const chain = resolveChain(this._aiSelection(options));
+    let lastError = null;
+
+    for (const [index, backend] of chain.entries()) {
+      if (!this.breaker.allow(backend.key)) {
+        logger.warn(`${name}: skipping ${backend.key} (circuit open)`, {
+          correlationId,
+        });
+        continue;
+      }
+
+      try {
+        const result = await this._retryWithBackoff(
+          () => fn({ provider: backend.provider.name, model: backend.model }),
+          `${name} [${backend.key}]`,
+          correlationId,
+          options.signal
+        );
+
+        this.breaker.recordSuccess(backend.key);
+
+        if (index > 0) {
+          logger.warn(`${name}: served by fallback ${backend.key}`, {
+            correlationId,
+          });
+        }
+
+        return {
+          result,
+          provider: backend.provider.name,
+          model: backend.model,
+          fallbackUsed: index > 0,
+        };
+      } catch (err) {
+        if (options.signal?.aborted || !this._isBackendFailure(err)) throw err;
+
+        lastError = err;
+        if (this.breaker.recordFailure(backend.key)) {
+          logger.error(`${name}: circuit opened for ${backend.key}`, {
+            correlationId,
+            cooldownMs: this.breaker.cooldownMs,
+          });
+        }
+      }
+    }
+
+    if (lastError) throw lastError;
+
+    const error = new Error(
+      `All AI backends are unavailable (circuit open): ${chain
+        .map((b) => b.key)
+        .join(", ")}`
+    );
+    error.status = 503;
+    error.code = "AI_UNAVAILABLE";
+    throw error;
+  }
+
+  /**
+   * @param {AbortSignal} [signal] - checked before every attempt
+   */
+  async _retryWithBackoff(fn, name, correlationId, signal = null) {
     let attempt = 0;
     let delay = this.initialDelayMs;
 
     while (attempt < this.maxRetries) {
+      signal?.throwIfAborted();
       attempt++;
 
       logger.debug(`${name}: attempt ${attempt}/${this.maxRetries}`, {
@@ -602,7 +608,13 @@ class GeminiService {
     }
   }
 
+  /**
+   * Output that failed validation was already given a repair call;
+   * re-running the whole pipeline for it is not worth it
+   */
   _isRetryableError(err) {
+    if (err?.code === "AI_OUTPUT_INVALID") return false;
+
     const msg = err?.message?.toLowerCase() || "";
     return (
       msg.includes("timeout") ||
@@ -610,12 +622,61 @@ class GeminiService {
       msg.includes("overload") ||
       msg.includes("503") ||
       msg.includes("429") ||
-      msg.includes("quota") ||
-      msg.includes("invalid json") ||
-      msg.includes("json parse")
+      msg.includes("quota")
     );
   }
 
+  /**
+   * Errors that say the backend is unhealthy rather than the request bad:
+   * 408 / 429 / 5xx responses and network failures. Judged on status and
+   * code only - a model's bad output is not the backend failing.
+   */
+  _isBackendFailure(err) {
+    if (err?.code === "AI_OUTPUT_INVALID") return false;
+
+    const status = err?.status || err?.response?.status;
+    if (status) return status >= 500 || status === 408 || status === 429;
+
+    return NETWORK_ERROR_CODES.includes(err?.code);
+  }
+
+  /**
+   * Validate base64 images and convert them to buffers for the agentic layer
+   */
+  _prepareBuffers(images) {
+    if (!Array.isArray(images) || images.length === 0) {
+      throw new Error("Images array must not be empty");
+    }
+
+    if (images.length > this.MAX_IMAGES_PER_REQUEST) {
+      throw new Error(
+        `Too many images. Maximum ${this.MAX_IMAGES_PER_REQUEST} allowed`
+      );
+    }
+
+    const buffers = [];
+    for (let i = 0; i < images.length; i++) {
+      const img = images[i];
+      this._validateImage(img.base64, img.mimeType);
+
+      const buffer = Buffer.from(img.base64, "base64");
+      const sizeMB = (buffer.length / (1024 * 1024)).toFixed(2);
+
+      logger.debug("Image validation passed", {
+        mimeType: img.mimeType || "image/jpeg",
+        sizeMB,
+      });
+
+      buffers.push({
+        index: i,
+        mimeType: img.mimeType || "image/jpeg",
+        buffer,
+      });
+    }
+
+    return buffers;
+  }
+
   _validateImage(base64, mimeType = "image/jpeg") {
     if (!base64) {
       throw new Error("Missing base64 image data");
@@ -636,11 +697,45 @@ class GeminiService {
     }
   }
 
+  /**
+   * Comparable listings for the identified brand / model, scoped to the
+   * snapshot's category. Pricing goes on without them when the lookup
+   * fails or MARKET_DATA_ENABLED=false.
+   */
+  async _loadMarketData(product, options, correlationId) {
+    if (!config.marketData.enabled) return [];
+
+    try {
+      const result = await marketDataService.findComparables(
+        {
+          brand: product.brand,
+          model: product.model,
+          categoryHint: product.category,
+        },
+        { marketplaceId: options.marketplaceId }
+      );
+      return result?.items || [];
+    } catch (err) {
+      logger.warn("Market data lookup failed, pricing without it", {
+        correlationId,
+        ...normalizeEbayError(err),
+      });
+      return [];
+    }
+  }
+
   _parseFloat(value, defaultValue) {
     const parsed = parseFloat(value);
     return isNaN(parsed) ? defaultValue : parsed;
   }
 
+  /**
+   * Per-request provider/model choice ({} → AI_PROVIDER / AI_MODEL)
+   */
+  _aiSelection(options = {}) {
+    return { provider: options.provider, model: options.model };
+  }
+
   _correlationId() {
     return `gemini-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
   }
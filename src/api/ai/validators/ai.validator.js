@@ -0,0 +1,123 @@
+/**
+ * Request schemas for /api/ai routes (see utils/validator.js for the DSL).
+ */
+
+const { PROVIDER_NAMES } = require("../providers");
+
+const MAX_IMAGES_PER_REQUEST = 16;
+const ALLOWED_MIME_TYPES = [
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/webp",
+];
+
+const mimeType = {
+  type: "string",
+  default: "image/jpeg",
+  enum: ALLOWED_MIME_TYPES,
+};
+
+const images = {
+  type: "array",
+  required: true,
+  minItems: 1,
+  maxItems: MAX_IMAGES_PER_REQUEST,
+  items: {
+    type: "object",
+    required: true,
+    properties: {
+      imageBase64: { type: "string", required: true, minLength: 1 },
+      mimeType,
+    },
+  },
+};
+
+// Per-request model choice; defaults to AI_PROVIDER / AI_MODEL
+const providerOptions = {
+  provider: { type: "string", enum: PROVIDER_NAMES },
+  model: { type: "string", minLength: 1, maxLength: 100 },
+};
+
+const analysisOptions = {
+  type: "object",
+  properties: {
+    ...providerOptions,
+    userProvidedCondition: { type: "string" },
+    marketData: { type: "array" },
+    sellerConfig: { type: "object" },
+    hostedImageUrls: { type: "array", items: { type: "string" } },
+  },
+};
+
+// ?async=true → run as a job (GET /api/jobs/:jobId)
+const asyncQuery = {
+  async: { type: "boolean", default: false },
+};
+
+const analyzeImage = {
+  body: {
+    imageBase64: { type: "string", required: true, minLength: 1 },
+    mimeType,
+    options: analysisOptions,
+  },
+};
+
+const analyzeImages = {
+  query: asyncQuery,
+  body: {
+    images,
+    options: analysisOptions,
+  },
+};
+
+const analyzeBulk = {
+  query: asyncQuery,
+  body: {
+    images,
+    options: analysisOptions,
+  },
+};
+
+const generateHtml = {
+  body: {
+    listingData: { type: "object", required: true },
+    options: {
+      type: "object",
+      properties: {
+        ...providerOptions,
+        customHtml: { type: "string" },
+        hostedImageUrls: { type: "array", items: { type: "string" } },
+        branding: { type: "object" },
+      },
+    },
+  },
+};
+
+const draftTerms = {
+  body: {
+    sellerInfo: {
+      type: "object",
+      properties: {
+        businessName: { type: "string" },
+        returnPeriod: { type: "string" },
+        warrantyOffered: { type: "boolean" },
+      },
+    },
+    options: {
+      type: "object",
+      properties: providerOptions,
+    },
+  },
+};
+
+module.exports = {
+  MAX_IMAGES_PER_REQUEST,
+  ALLOWED_MIME_TYPES,
+
+  analyzeImage,
+  analyzeImages,
+  analyzeBulk,
+  generateHtml,
+  draftTerms,
+};
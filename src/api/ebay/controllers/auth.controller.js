@@ -1,4 +1,6 @@
 const authService = require("../services/auth.service");
+const oauthStateService = require("../services/oauthState.service");
+const sessionService = require("../services/session.service");
 const {
   successResponse,
   errorResponse,
@@ -8,7 +10,7 @@ const logger = require("../../../config/logger.config");
 class AuthController {
   async generateAuthUrl(req, res) {
     try {
-      const result = authService.generateAuthUrl();
+      const result = await authService.generateAuthUrl();
       logger.info("Auth URL requested", { state: result.state });
       successResponse(res, result);
     } catch (error) {
@@ -19,16 +21,43 @@ class AuthController {
 
   async exchangeToken(req, res) {
     try {
-      const { code, state } = req.body;
-
-      if (!code || !state) {
-        return errorResponse(res, "Code and state are required", 400);
+      const { code, state, marketplaceId } = req.body;
+
+      try {
+        await oauthStateService.consume(state);
+      } catch (stateError) {
+        logger.warn("OAuth state rejected", { code: stateError.code });
+        return errorResponse(res, stateError.message, stateError.status, {
+          code: stateError.code,
+        });
       }
 
-      logger.info("Exchanging authorization code", { state });
+      logger.info("Exchanging authorization code");
       const tokens = await authService.exchangeToken(code);
       logger.info("Token exchange successful");
-      successResponse(res, tokens);
+
+      // Seller identity is best-effort; the session works without it
+      let profile = null;
+      try {
+        profile = await authService.getUserProfile(tokens.access_token);
+      } catch (profileError) {
+        logger.warn("Could not resolve seller profile for session", {
+          status: profileError.response?.status,
+        });
+      }
+
+      const session = await sessionService.createSession(tokens, profile, {
+        marketplaceId,
+      });
+
+      // The eBay tokens stay on the server; the client gets the session ID
+      successResponse(res, {
+        session_id: session.sessionId,
+        session_expires_at: session.expiresAt,
+        seller_id: session.sellerId,
+        username: session.username,
+        marketplace_id: session.marketplaceId,
+      });
     } catch (error) {
       logger.error("Token exchange failed", {
         error: error.message,
@@ -48,10 +77,6 @@ class AuthController {
     try {
       const { refresh_token } = req.body;
 
-      if (!refresh_token) {
-        return errorResponse(res, "Refresh token is required", 400);
-      }
-
       logger.info("Refreshing access token");
       const tokens = await authService.refreshToken(refresh_token);
       logger.info("Token refresh successful");
@@ -90,6 +115,59 @@ class AuthController {
     }
   }
 
+  async getSession(req, res) {
+    if (!req.sessionId) {
+      return errorResponse(res, "Request was not made with a session", 400);
+    }
+
+    try {
+      const session = await sessionService.getSession(req.sessionId);
+      successResponse(res, session);
+    } catch (error) {
+      logger.error("Session lookup failed", { error: error.message });
+      errorResponse(res, "Failed to load session", 500);
+    }
+  }
+
+  async updateSession(req, res) {
+    if (!req.sessionId) {
+      return errorResponse(res, "Request was not made with a session", 400);
+    }
+
+    try {
+      const session = await sessionService.updateSession(
+        req.sessionId,
+        req.body
+      );
+      successResponse(res, session, "Session updated");
+    } catch (error) {
+      logger.error("Session update failed", { error: error.message });
+      errorResponse(
+        res,
+        error.status === 401 ? error.message : "Failed to update session",
+        error.status || 500
+      );
+    }
+  }
+
+  async revokeSession(req, res) {
+    if (!req.sessionId) {
+      return errorResponse(res, "Request was not made with a session", 400);
+    }
+
+    try {
+      await sessionService.revokeSession(req.sessionId);
+      successResponse(res, null, "Session revoked");
+    } catch (error) {
+      logger.error("Session revoke failed", { error: error.message });
+      errorResponse(res, "Failed to revoke session", 500);
+    }
+  }
+
+  async getAppTokenMetrics(req, res) {
+    successResponse(res, authService.getApplicationTokenMetrics());
+  }
+
   async getToken(req, res) {
     successResponse(res, { token: req.accessToken });
   }
@@ -0,0 +1,85 @@
+const catalogService = require("../services/catalog.service");
+const {
+  successResponse,
+  errorResponse,
+} = require("../../../utils/apiResponse");
+const logger = require("../../../config/logger.config");
+
+const MATCH_FIELDS = ["upc", "mpn", "brand", "model", "title"];
+
+class CatalogController {
+  /**
+   * POST /api/ebay/catalog/match
+   * Candidate catalog products (ePIDs) for a UPC / MPN / brand + model
+   */
+  async matchProducts(req, res) {
+    if (!MATCH_FIELDS.some((field) => req.body[field])) {
+      return errorResponse(res, "Validation failed", 400, {
+        errors: [
+          {
+            field: "(root)",
+            message: `requires at least one of ${MATCH_FIELDS.join(", ")}`,
+          },
+        ],
+      });
+    }
+
+    try {
+      const { categoryId } = req.body;
+      const { marketplaceId } = req.marketplace;
+
+      const candidates = await catalogService.findMatches(req.body, {
+        marketplaceId,
+        categoryId,
+      });
+
+      successResponse(
+        res,
+        { candidates, best: candidates[0] || null },
+        candidates.length
+          ? `${candidates.length} catalog product(s) found`
+          : "No catalog products found"
+      );
+    } catch (error) {
+      logger.error("Catalog match failed", { error: error.message });
+      errorResponse(
+        res,
+        "Failed to search the product catalog",
+        error.response?.status || 500,
+        error.response?.data
+      );
+    }
+  }
+
+  /**
+   * GET /api/ebay/catalog/products/:epid
+   * Full catalog product: aspects, identifiers and stock images
+   */
+  async getProduct(req, res) {
+    try {
+      const { epid } = req.params;
+      const { marketplaceId } = req.marketplace;
+
+      const product = await catalogService.getProduct(epid, { marketplaceId });
+
+      successResponse(res, product);
+    } catch (error) {
+      logger.error("Catalog product retrieval failed", {
+        error: error.message,
+      });
+
+      if (error.response?.status === 404) {
+        return errorResponse(res, "Catalog product not found", 404);
+      }
+
+      errorResponse(
+        res,
+        "Failed to get catalog product",
+        error.response?.status || 500,
+        error.response?.data
+      );
+    }
+  }
+}
+
+module.exports = new CatalogController();
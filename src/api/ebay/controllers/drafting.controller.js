@@ -1,6 +1,17 @@
 const draftingService = require("../services/drafting.service");
+const jobService = require("../../jobs/services/job.service");
 const logger = require("../../../config/logger.config");
 
+const summarizeDrafts = (results, requested) => ({
+  requested,
+  succeeded: results.filter((r) => r.success).length,
+  created: results.filter((r) => r.action === "created").length,
+  updated: results.filter((r) => r.action === "updated").length,
+  failed: results.filter((r) => !r.success).length,
+  // Drafted, but not publishable until item specifics are completed
+  aspectsIncomplete: results.filter((r) => r.success && r.aspectCheck).length,
+});
+
 /**
  * Drafting Controller
  * Handles draft-only listing creation and retrieval
@@ -19,6 +30,10 @@ class DraftingController {
    *     }
    *   ]
    * }
+   *
+   * ?async=true queues a job and answers 202 { jobId } right away;
+   * poll GET /api/jobs/:jobId for progress and per-SKU results, or follow
+   * GET /api/jobs/:jobId/events (SSE) for live chunk and failure events.
    */
   async batchCreateDrafts(req, res) {
     logger.info("DraftingController.batchCreateDrafts:request", {
@@ -27,24 +42,46 @@ class DraftingController {
     });
 
     try {
-      const accessToken = req.accessToken;
+      // Shape validated by schemas.batchCreateDrafts
       const { drafts } = req.body;
 
-      if (!Array.isArray(drafts) || drafts.length === 0) {
-        return res.status(400).json({
-          success: false,
-          error: "Drafts array is required",
-        });
-      }
+      const { marketplaceId } = req.marketplace;
 
-      // Basic validation (cheap & fast)
-      for (const d of drafts) {
-        if (!d.sku || !d.inventoryItem || !d.offer) {
-          return res.status(400).json({
-            success: false,
-            error: "Each draft must contain sku, inventoryItem, and offer",
-          });
-        }
+      if (req.query.async) {
+        const auth = req.auth;
+        const job = await jobService.enqueue(
+          {
+            type: "draft.batch",
+            total: drafts.length,
+            meta: { marketplaceId, skus: drafts.map((d) => d.sku) },
+          },
+          async ({ signal, addResults, stage }) => {
+            const results = await draftingService.batchCreateDrafts(
+              auth,
+              drafts,
+              {
+                marketplaceId,
+                signal,
+                onProgress: (event) =>
+                  event.type === "items"
+                    ? addResults(event.items)
+                    : stage(event),
+              }
+            );
+            return summarizeDrafts(results, drafts.length);
+          }
+        );
+
+        return res.status(202).json({
+          success: true,
+          message: "Draft batch queued",
+          data: {
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`,
+          },
+        });
       }
 
       logger.info("Starting batch draft creation", {
@@ -52,59 +89,106 @@ class DraftingController {
       });
 
       const results = await draftingService.batchCreateDrafts(
-        accessToken,
-        drafts
+        req.auth,
+        drafts,
+        { marketplaceId }
       );
       logger.info("DraftingController.batchCreateDrafts:response", {
         results,
       });
 
+      return res.json({
+        success: true,
+        data: results,
+        meta: summarizeDrafts(results, drafts.length),
+      });
+    } catch (err) {
+      logger.error("Batch draft creation failed", {
+        error: err.response?.data || err.message,
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: "Failed to create drafts",
+        details: err.response?.data || err.message,
+      });
+    }
+  }
+
+  /**
+   * Publish existing draft offers
+   *
+   * Expected body (either or both):
+   * {
+   *   offerIds: ["1234567890"],
+   *   skus: ["SKU123"]
+   * }
+   */
+  async publishDrafts(req, res) {
+    const { offerIds = [], skus = [] } = req.body;
+
+    if (offerIds.length === 0 && skus.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: {
+          errors: [
+            { field: "offerIds", message: "offerIds or skus is required" },
+          ],
+        },
+      });
+    }
+
+    try {
+      const results = await draftingService.publishDrafts(
+        req.auth,
+        { offerIds, skus },
+        { marketplaceId: req.marketplace.marketplaceId }
+      );
+
       return res.json({
         success: true,
         data: results,
         meta: {
-          requested: drafts.length,
+          requested: results.length,
           succeeded: results.filter((r) => r.success).length,
           failed: results.filter((r) => !r.success).length,
         },
       });
     } catch (err) {
-      logger.error("Batch draft creation failed", {
+      logger.error("Draft publish failed", {
         error: err.response?.data || err.message,
       });
 
       return res.status(500).json({
         success: false,
-        error: "Failed to create drafts",
+        error: "Failed to publish drafts",
         details: err.response?.data || err.message,
       });
     }
   }
 
   /**
-   * Retrieve draft offers from eBay
+   * Retrieve draft offers from eBay (all pages, filtered)
    * Query params:
-   *   limit (default 200)
-   *   offset (default 0)
+   *   limit (default 200), cursor (meta.next of the previous page)
+   *   status (UNPUBLISHED | PUBLISHED | ALL, default UNPUBLISHED)
+   *   skuPrefix, categoryId, marketplaceId, createdAfter, createdBefore
    */
   async getDraftOffers(req, res) {
     try {
-      const accessToken = req.accessToken;
-      const limit = parseInt(req.query.limit || "200", 10);
-      const offset = parseInt(req.query.offset || "0", 10);
-
-      const drafts = await draftingService.getDraftOffers(accessToken, {
-        limit,
-        offset,
-      });
+      const result = await draftingService.getDraftOffers(req.auth, req.query);
 
       return res.json({
         success: true,
-        data: drafts,
+        data: result.drafts,
         meta: {
-          count: drafts.length,
-          limit,
-          offset,
+          count: result.drafts.length,
+          total: result.total,
+          scanned: result.scanned,
+          limit: req.query.limit,
+          next: result.next,
+          truncated: result.truncated,
         },
       });
     } catch (err) {
@@ -112,6 +196,14 @@ class DraftingController {
         error: err.response?.data || err.message,
       });
 
+      if (err.status === 400) {
+        return res.status(400).json({
+          success: false,
+          error: err.message,
+          details: { code: err.code },
+        });
+      }
+
       return res.status(500).json({
         success: false,
         error: "Failed to retrieve draft offers",
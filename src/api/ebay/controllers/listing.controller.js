@@ -4,23 +4,25 @@ const {
   errorResponse,
 } = require("../../../utils/apiResponse");
 const logger = require("../../../config/logger.config");
+const { sendEbayError } = require("../../../utils/ebayError");
 
 class ListingController {
   async publishListing(req, res) {
     try {
       const listingData = req.body;
-      const accessToken = req.accessToken;
 
       logger.info("Publishing listing", {
         sku: listingData.sku,
         title: listingData.title,
         price: listingData.price,
         categoryId: listingData.categoryId,
+        marketplaceId: req.marketplace.marketplaceId,
       });
 
       const result = await listingService.publishListing(
-        accessToken,
-        listingData
+        req.auth,
+        listingData,
+        req.marketplace.marketplaceId
       );
 
       logger.info("Listing published successfully", {
@@ -35,6 +37,15 @@ class ListingController {
         status: error.response?.status,
       });
 
+      // Pre-flight rejections (item specifics, condition) carry their status
+      if (error.status && error.code && !error.response) {
+        return errorResponse(res, error.message, error.status, {
+          code: error.code,
+          ...(error.report && { report: error.report }),
+          ...error.details,
+        });
+      }
+
       const status = error.response?.status || 500;
       const errorData = error.response?.data;
 
@@ -46,6 +57,82 @@ class ListingController {
       errorResponse(res, message, status, errorData?.errors);
     }
   }
+
+  async getOffer(req, res) {
+    const { offerId } = req.params;
+
+    try {
+      const offer = await listingService.getOffer(req.auth, offerId);
+      successResponse(res, offer);
+    } catch (error) {
+      sendEbayError(res, "Failed to fetch offer", error, { offerId });
+    }
+  }
+
+  async updateOffer(req, res) {
+    const { offerId } = req.params;
+
+    try {
+      const offer = await listingService.updateOffer(
+        req.auth,
+        offerId,
+        req.body
+      );
+      successResponse(res, offer, "Offer updated");
+    } catch (error) {
+      sendEbayError(res, "Failed to update offer", error, { offerId });
+    }
+  }
+
+  async withdrawOffer(req, res) {
+    const { offerId } = req.params;
+
+    try {
+      const result = await listingService.withdrawOffer(req.auth, offerId);
+      successResponse(res, result, "Listing ended, offer withdrawn");
+    } catch (error) {
+      sendEbayError(res, "Failed to withdraw offer", error, { offerId });
+    }
+  }
+
+  async deleteOffer(req, res) {
+    const { offerId } = req.params;
+
+    try {
+      await listingService.deleteOffer(req.auth, offerId);
+      successResponse(res, { offerId }, "Offer deleted");
+    } catch (error) {
+      sendEbayError(res, "Failed to delete offer", error, { offerId });
+    }
+  }
+
+  async deleteInventoryItem(req, res) {
+    const { sku } = req.params;
+
+    try {
+      await listingService.deleteInventoryItem(req.auth, sku);
+      successResponse(res, { sku }, "Inventory item deleted");
+    } catch (error) {
+      sendEbayError(res, "Failed to delete inventory item", error, {
+        sku,
+      });
+    }
+  }
+
+  async relistSku(req, res) {
+    const { sku } = req.params;
+
+    try {
+      const result = await listingService.relistSku(
+        req.auth,
+        sku,
+        req.marketplace.marketplaceId
+      );
+      successResponse(res, result, "Listing relisted");
+    } catch (error) {
+      sendEbayError(res, "Failed to relist SKU", error, { sku });
+    }
+  }
 }
 
 module.exports = new ListingController();
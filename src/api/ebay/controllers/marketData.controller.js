@@ -0,0 +1,52 @@
+const marketDataService = require("../services/marketData.service");
+const {
+  successResponse,
+  errorResponse,
+} = require("../../../utils/apiResponse");
+const logger = require("../../../config/logger.config");
+
+class MarketDataController {
+  /**
+   * POST /api/ebay/market-data/comparables
+   * Normalized comparable listings (Browse API) with price statistics
+   */
+  async findComparables(req, res) {
+    try {
+      const { brand, model, title, categoryId, categoryHint, limit } = req.body;
+      const { marketplaceId } = req.marketplace;
+
+      const result = await marketDataService.findComparables(
+        { brand, model, title, categoryId, categoryHint },
+        { marketplaceId, limit }
+      );
+
+      if (!result) {
+        return errorResponse(res, "Validation failed", 400, {
+          errors: [
+            {
+              field: "(root)",
+              message:
+                "requires a brand, model, title or categoryHint to search for",
+            },
+          ],
+        });
+      }
+
+      successResponse(
+        res,
+        result,
+        `${result.items.length} comparable listing(s) found`
+      );
+    } catch (error) {
+      logger.error("Market data lookup failed", { error: error.message });
+      errorResponse(
+        res,
+        "Failed to load market data",
+        error.response?.status || 500,
+        error.response?.data
+      );
+    }
+  }
+}
+
+module.exports = new MarketDataController();
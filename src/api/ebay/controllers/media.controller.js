@@ -10,10 +10,6 @@ class MediaController {
     try {
       const { imageData, filename } = req.body;
 
-      if (!imageData) {
-        return errorResponse(res, "Image data is required", 400);
-      }
-
       logger.info("Uploading image", { filename });
 
       const imageBuffer = Buffer.from(imageData, "base64");
@@ -30,7 +26,7 @@ class MediaController {
       }
 
       const result = await mediaService.uploadImage(
-        req.accessToken,
+        req.auth,
         imageBuffer,
         filename
       );
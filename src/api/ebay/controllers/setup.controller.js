@@ -4,12 +4,15 @@ const {
   errorResponse,
 } = require("../../../utils/apiResponse");
 const logger = require("../../../config/logger.config");
+const config = require("../../../config");
+const { sendEbayError } = require("../../../utils/ebayError");
 
 class SetupController {
   async ensurePolicies(req, res) {
     try {
       const policies = await setupService.ensureDefaultPolicies(
-        req.accessToken
+        req.auth,
+        req.marketplace.marketplaceId
       );
 
       successResponse(res, policies, "Policies ensured successfully");
@@ -33,7 +36,7 @@ class SetupController {
 
   async optInPolicies(req, res) {
     try {
-      await setupService.optInPolicies(req.accessToken);
+      await setupService.optInPolicies(req.auth);
       successResponse(
         res,
         null,
@@ -58,35 +61,42 @@ class SetupController {
   }
 
   async createLocation(req, res) {
+    const merchantLocationKey =
+      req.body?.merchantLocationKey || config.ebay.merchantLocationKey;
+
     try {
-      await setupService.createLocation(req.accessToken);
+      const location = await setupService.createLocation(
+        req.auth,
+        merchantLocationKey,
+        req.body
+      );
+
       successResponse(
         res,
-        { locationKey: "default_location" },
-        "Inventory location created successfully"
+        { locationKey: merchantLocationKey, location },
+        "Inventory location created successfully",
+        201
       );
     } catch (error) {
       if (error.response?.status === 409) {
         return successResponse(
           res,
-          { locationKey: "default_location" },
+          { locationKey: merchantLocationKey },
           "Location already exists"
         );
       }
 
-      errorResponse(
-        res,
-        "Failed to create location",
-        error.response?.status || 500,
-        error.response?.data
-      );
+      sendEbayError(res, "Failed to create location", error);
     }
   }
 
   // ✅ NEW: Get policies
   async getPolicies(req, res) {
     try {
-      const policies = await setupService.getPolicies(req.accessToken);
+      const policies = await setupService.getPolicies(
+        req.auth,
+        req.marketplace.marketplaceId
+      );
 
       successResponse(res, policies, "Policies retrieved successfully");
     } catch (error) {
@@ -106,7 +116,12 @@ class SetupController {
   // ✅ NEW: Get locations
   async getLocations(req, res) {
     try {
-      const locations = await setupService.getLocations(req.accessToken);
+      const { limit = 100, offset } = req.query;
+
+      const locations = await setupService.getLocations(req.auth, {
+        limit,
+        offset,
+      });
 
       successResponse(
         res,
@@ -114,16 +129,73 @@ class SetupController {
         "Inventory locations retrieved successfully"
       );
     } catch (error) {
-      logger.error("Failed to fetch locations", {
-        error: error.response?.data || error.message,
-      });
+      sendEbayError(res, "Failed to fetch locations", error);
+    }
+  }
 
-      errorResponse(
-        res,
-        "Failed to fetch locations",
-        error.response?.status || 500,
-        error.response?.data
+  async getLocation(req, res) {
+    try {
+      const location = await setupService.getLocation(
+        req.auth,
+        req.params.merchantLocationKey
+      );
+
+      successResponse(res, location, "Inventory location retrieved");
+    } catch (error) {
+      sendEbayError(res, "Failed to fetch location", error);
+    }
+  }
+
+  async updateLocation(req, res) {
+    try {
+      const location = await setupService.updateLocation(
+        req.auth,
+        req.params.merchantLocationKey,
+        req.body || {}
       );
+
+      successResponse(res, location, "Inventory location updated");
+    } catch (error) {
+      sendEbayError(res, "Failed to update location", error);
+    }
+  }
+
+  async enableLocation(req, res) {
+    try {
+      const location = await setupService.enableLocation(
+        req.auth,
+        req.params.merchantLocationKey
+      );
+
+      successResponse(res, location, "Inventory location enabled");
+    } catch (error) {
+      sendEbayError(res, "Failed to enable location", error);
+    }
+  }
+
+  async disableLocation(req, res) {
+    try {
+      const location = await setupService.disableLocation(
+        req.auth,
+        req.params.merchantLocationKey
+      );
+
+      successResponse(res, location, "Inventory location disabled");
+    } catch (error) {
+      sendEbayError(res, "Failed to disable location", error);
+    }
+  }
+
+  async deleteLocation(req, res) {
+    try {
+      await setupService.deleteLocation(
+        req.auth,
+        req.params.merchantLocationKey
+      );
+
+      successResponse(res, null, "Inventory location deleted");
+    } catch (error) {
+      sendEbayError(res, "Failed to delete location", error);
     }
   }
 }
@@ -1,4 +1,6 @@
 const taxonomyService = require("../services/taxonomy.service");
+const aspectCheckService = require("../services/aspectCheck.service");
+const metadataService = require("../services/metadata.service");
 const {
   successResponse,
   errorResponse,
@@ -9,16 +11,13 @@ class TaxonomyController {
   async suggestCategory(req, res) {
     try {
       const { title, itemSpecifics } = req.body;
+      const { marketplaceId } = req.marketplace;
 
-      if (!title) {
-        return errorResponse(res, "Title is required", 400);
-      }
-
-      logger.info("Getting category suggestions", { title });
-      const suggestions = await taxonomyService.suggestCategory(
-        title,
-        itemSpecifics
-      );
+      logger.info("Getting category suggestions", { title, marketplaceId });
+      const suggestions = await taxonomyService.suggestCategory(title, {
+        marketplaceId,
+        aspects: itemSpecifics,
+      });
       successResponse(res, suggestions);
     } catch (error) {
       logger.error("Category suggestion failed", { error: error.message });
@@ -26,7 +25,7 @@ class TaxonomyController {
       const fallback = {
         categoryId: "220",
         categoryName: "Toys & Hobbies",
-        allSuggestions: [],
+        candidates: [],
         error: error.message,
       };
 
@@ -37,9 +36,12 @@ class TaxonomyController {
   async getCategoryAspects(req, res) {
     try {
       const { categoryId } = req.params;
+      const { marketplaceId } = req.marketplace;
 
-      logger.info("Getting category aspects", { categoryId });
-      const aspects = await taxonomyService.getCategoryAspects(categoryId);
+      logger.info("Getting category aspects", { categoryId, marketplaceId });
+      const aspects = await taxonomyService.getCategoryAspects(categoryId, {
+        marketplaceId,
+      });
       logger.info("Category aspects retrieved", {
         categoryId,
         aspectCount: aspects.aspects?.length || 0,
@@ -58,6 +60,122 @@ class TaxonomyController {
       );
     }
   }
+
+  /**
+   * GET /api/ebay/category-conditions/:categoryId
+   * Item conditions the category allows (Metadata API)
+   */
+  async getCategoryConditions(req, res) {
+    try {
+      const { categoryId } = req.params;
+      const { marketplaceId } = req.marketplace;
+
+      const policy = await metadataService.getItemConditionPolicy(categoryId, {
+        marketplaceId,
+      });
+
+      successResponse(res, policy);
+    } catch (error) {
+      logger.error("Condition policy retrieval failed", {
+        error: error.message,
+      });
+      errorResponse(
+        res,
+        "Failed to get category conditions",
+        error.response?.status || 500,
+        error.response?.data
+      );
+    }
+  }
+
+  /**
+   * POST /api/ebay/aspects/check
+   * Per-SKU report of missing, invalid and suggested item specifics
+   */
+  async checkAspects(req, res) {
+    try {
+      const { items } = req.body;
+      const { marketplaceId } = req.marketplace;
+
+      const report = await aspectCheckService.checkItems(items, {
+        marketplaceId,
+      });
+
+      successResponse(
+        res,
+        report,
+        report.ready
+          ? "All items have complete item specifics"
+          : `${report.total - report.readyCount} item(s) need attention`
+      );
+    } catch (error) {
+      logger.error("Aspect check failed", { error: error.message });
+      errorResponse(res, "Failed to check item specifics", 500, error.message);
+    }
+  }
+
+  /**
+   * GET /api/ebay/taxonomy/cache
+   * Cache statistics and the category tree versions in use
+   */
+  async getCacheStatus(req, res) {
+    successResponse(res, taxonomyService.getCacheStatus());
+  }
+
+  /**
+   * POST /api/ebay/taxonomy/cache/warm
+   * Pre-load subtrees (and aspects) for the given categories
+   */
+  async warmCache(req, res) {
+    try {
+      const { categoryIds, aspects } = req.body;
+      const { marketplaceId } = req.marketplace;
+
+      logger.info("Warming taxonomy cache", {
+        marketplaceId,
+        categories: categoryIds.length,
+        aspects,
+      });
+
+      const result = await taxonomyService.warmCache(categoryIds, {
+        marketplaceId,
+        aspects,
+      });
+
+      successResponse(res, result, "Taxonomy cache warmed");
+    } catch (error) {
+      logger.error("Taxonomy cache warm failed", { error: error.message });
+      errorResponse(res, "Failed to warm taxonomy cache", 500, error.message);
+    }
+  }
+
+  /**
+   * DELETE /api/ebay/taxonomy/cache[?categoryId=]
+   * Drop one category, or the marketplace's whole tree
+   */
+  async invalidateCache(req, res) {
+    try {
+      const { categoryId } = req.query;
+      const { marketplaceId } = req.marketplace;
+
+      const result = await taxonomyService.invalidateCache({
+        marketplaceId,
+        categoryId,
+      });
+
+      successResponse(res, result, "Taxonomy cache invalidated");
+    } catch (error) {
+      logger.error("Taxonomy cache invalidation failed", {
+        error: error.message,
+      });
+      errorResponse(
+        res,
+        "Failed to invalidate taxonomy cache",
+        500,
+        error.message
+      );
+    }
+  }
 }
 
 module.exports = new TaxonomyController();
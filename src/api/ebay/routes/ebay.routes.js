@@ -5,11 +5,19 @@ const listingController = require("../controllers/listing.controller");
 const taxonomyController = require("../controllers/taxonomy.controller");
 const mediaController = require("../controllers/media.controller");
 const setupController = require("../controllers/setup.controller");
+const catalogController = require("../controllers/catalog.controller");
+const marketDataController = require("../controllers/marketData.controller");
 const {
   verifyApiKey,
+  verifyAdminKey,
   verifyBearerToken,
 } = require("../../../middleware/auth.middleware");
 const { tokenLimiter } = require("../../../middleware/rateLimit.middleware");
+const { validate } = require("../../../middleware/validation.middleware");
+const {
+  resolveMarketplace,
+} = require("../../../middleware/marketplace.middleware");
+const schemas = require("../validators/ebay.validator");
 
 const router = express.Router();
 
@@ -18,36 +26,188 @@ router.use(verifyApiKey);
 
 // Auth routes
 router.get("/auth-url", authController.generateAuthUrl);
-router.post("/exchange-token", tokenLimiter, authController.exchangeToken);
-router.post("/refresh-token", tokenLimiter, authController.refreshToken);
+router.post(
+  "/exchange-token",
+  tokenLimiter,
+  validate(schemas.exchangeToken),
+  authController.exchangeToken
+);
+router.post(
+  "/refresh-token",
+  tokenLimiter,
+  validate(schemas.refreshToken),
+  authController.refreshToken
+);
 router.get("/user-profile", verifyBearerToken, authController.getUserProfile);
 router.get("/get-token", verifyBearerToken, authController.getToken);
+router.get("/session", verifyBearerToken, authController.getSession);
+router.patch(
+  "/session",
+  verifyBearerToken,
+  validate(schemas.updateSession),
+  authController.updateSession
+);
+router.delete("/session", verifyBearerToken, authController.revokeSession);
+router.get(
+  "/app-token/metrics",
+  verifyAdminKey,
+  authController.getAppTokenMetrics
+);
 
 // Taxonomy routes
-router.post("/suggest-category", taxonomyController.suggestCategory);
+router.post(
+  "/suggest-category",
+  resolveMarketplace,
+  validate(schemas.suggestCategory),
+  taxonomyController.suggestCategory
+);
 router.get(
   "/category-aspects/:categoryId",
+  resolveMarketplace,
+  validate(schemas.getCategoryAspects),
   taxonomyController.getCategoryAspects
 );
+router.get(
+  "/category-conditions/:categoryId",
+  resolveMarketplace,
+  validate(schemas.getCategoryConditions),
+  taxonomyController.getCategoryConditions
+);
+
+router.post(
+  "/aspects/check",
+  resolveMarketplace,
+  validate(schemas.checkAspects),
+  taxonomyController.checkAspects
+);
+
+// Taxonomy cache admin
+router.get(
+  "/taxonomy/cache",
+  verifyAdminKey,
+  taxonomyController.getCacheStatus
+);
+router.post(
+  "/taxonomy/cache/warm",
+  verifyAdminKey,
+  resolveMarketplace,
+  validate(schemas.warmTaxonomyCache),
+  taxonomyController.warmCache
+);
+router.delete(
+  "/taxonomy/cache",
+  verifyAdminKey,
+  resolveMarketplace,
+  validate(schemas.invalidateTaxonomyCache),
+  taxonomyController.invalidateCache
+);
+
+// Product catalog (ePIDs)
+router.post(
+  "/catalog/match",
+  resolveMarketplace,
+  validate(schemas.catalogMatch),
+  catalogController.matchProducts
+);
+router.get(
+  "/catalog/products/:epid",
+  resolveMarketplace,
+  validate(schemas.catalogProduct),
+  catalogController.getProduct
+);
+
+// Market data (comparable listings for pricing)
+router.post(
+  "/market-data/comparables",
+  resolveMarketplace,
+  validate(schemas.findComparables),
+  marketDataController.findComparables
+);
 
 // Drafting
 router.post(
   "/draft/batch",
   verifyBearerToken,
+  resolveMarketplace,
+  validate(schemas.batchCreateDrafts),
   draftingController.batchCreateDrafts
 );
 
-router.get("/drafts", verifyBearerToken, draftingController.getDraftOffers);
+router.post(
+  "/draft/publish",
+  verifyBearerToken,
+  resolveMarketplace,
+  validate(schemas.publishDrafts),
+  draftingController.publishDrafts
+);
+
+router.get(
+  "/drafts",
+  verifyBearerToken,
+  validate(schemas.getDraftOffers),
+  draftingController.getDraftOffers
+);
 
 // Listing routes
 router.post(
   "/publish-listing",
   verifyBearerToken,
+  resolveMarketplace,
+  validate(schemas.publishListing),
   listingController.publishListing
 );
 
+// Offer lifecycle
+router.get(
+  "/offers/:offerId",
+  verifyBearerToken,
+  validate(schemas.offerById),
+  listingController.getOffer
+);
+
+router.put(
+  "/offers/:offerId",
+  verifyBearerToken,
+  validate(schemas.updateOffer),
+  listingController.updateOffer
+);
+
+router.post(
+  "/offers/:offerId/withdraw",
+  verifyBearerToken,
+  validate(schemas.offerById),
+  listingController.withdrawOffer
+);
+
+router.delete(
+  "/offers/:offerId",
+  verifyBearerToken,
+  validate(schemas.offerById),
+  listingController.deleteOffer
+);
+
+router.delete(
+  "/inventory/:sku",
+  verifyBearerToken,
+  validate(schemas.inventoryBySku),
+  listingController.deleteInventoryItem
+);
+
+router.post(
+  "/inventory/:sku/relist",
+  verifyBearerToken,
+  resolveMarketplace,
+  validate(schemas.inventoryBySku),
+  listingController.relistSku
+);
+
 // Media routes
-router.post("/upload-image", verifyBearerToken, mediaController.uploadImage);
+router.post(
+  "/upload-image",
+  verifyBearerToken,
+  validate(schemas.uploadImage),
+  mediaController.uploadImage
+);
 
 // Setup routes
 // Setup routes
@@ -60,17 +220,64 @@ router.post(
 router.post(
   "/create-location",
   verifyBearerToken,
+  validate(schemas.createLocation),
   setupController.createLocation
 );
 
 // ✅ NEW
-router.get("/policies", verifyBearerToken, setupController.getPolicies);
+router.get(
+  "/policies",
+  verifyBearerToken,
+  resolveMarketplace,
+  setupController.getPolicies
+);
 
-router.get("/locations", verifyBearerToken, setupController.getLocations);
+router.get(
+  "/locations",
+  verifyBearerToken,
+  validate(schemas.getLocations),
+  setupController.getLocations
+);
+
+router.get(
+  "/locations/:merchantLocationKey",
+  verifyBearerToken,
+  validate(schemas.locationByKey),
+  setupController.getLocation
+);
+
+router.put(
+  "/locations/:merchantLocationKey",
+  verifyBearerToken,
+  validate(schemas.updateLocation),
+  setupController.updateLocation
+);
+
+router.post(
+  "/locations/:merchantLocationKey/enable",
+  verifyBearerToken,
+  validate(schemas.locationByKey),
+  setupController.enableLocation
+);
+
+router.post(
+  "/locations/:merchantLocationKey/disable",
+  verifyBearerToken,
+  validate(schemas.locationByKey),
+  setupController.disableLocation
+);
+
+router.delete(
+  "/locations/:merchantLocationKey",
+  verifyBearerToken,
+  validate(schemas.locationByKey),
+  setupController.deleteLocation
+);
 
 router.post(
   "/ensure-policies",
   verifyBearerToken,
+  resolveMarketplace,
   setupController.ensurePolicies
 );
 
@@ -0,0 +1,251 @@
+const logger = require("../../../config/logger.config");
+const taxonomyService = require("./taxonomy.service");
+const { normalizeEbayError } = require("../../../utils/ebayError");
+const { tokenize } = require("../../../utils/categoryScoring");
+
+// Allowed values listed per missing / invalid aspect
+const MAX_LISTED_VALUES = 25;
+// Closest allowed values offered for an invalid one
+const MAX_SUGGESTED_VALUES = 3;
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+// Case, spacing and punctuation ignored ("64gb" ≈ "64 GB")
+const compact = (value) => normalize(value).replace(/[^a-z0-9]/g, "");
+
+/**
+ * { Brand: "Apple" } / { Brand: ["Apple"] } → Map("brand" → { name, values })
+ * itemSpecifics (AI shape) and aspects (Inventory API shape) are merged.
+ */
+const collectAspects = (...sources) => {
+  const collected = new Map();
+
+  sources.filter(Boolean).forEach((source) =>
+    Object.entries(source).forEach(([name, value]) => {
+      const values = (Array.isArray(value) ? value : [value])
+        .filter((v) => v !== null && v !== undefined && String(v).trim())
+        .map(String);
+      if (!values.length) return;
+
+      const key = normalize(name);
+      const seen = collected.get(key);
+      collected.set(key, {
+        name: seen?.name || name,
+        values: [...new Set([...(seen?.values || []), ...values])],
+      });
+    })
+  );
+
+  return collected;
+};
+
+/**
+ * Pre-flight check of item specifics against a category's aspect metadata
+ * (Taxonomy get_item_aspects_for_category):
+ *
+ *   missing   - required aspects without a value
+ *   invalid   - values outside a SELECTION_ONLY list, too long, or several
+ *               values for a SINGLE aspect
+ *   suggested - recommended aspects without a value, and the closest allowed
+ *               values for invalid ones
+ *
+ * An item is `ready` when nothing is missing or invalid.
+ */
+class AspectCheckService {
+  /**
+   * @param {Array<{ sku, categoryId, itemSpecifics, aspects }>} items
+   * @param {Object} options - { marketplaceId }
+   * @returns {Promise<{ ready, total, readyCount, items }>} one report per SKU
+   */
+  async checkItems(items, { marketplaceId } = {}) {
+    // One aspects lookup per category
+    const metadata = new Map();
+    const aspectsFor = (categoryId) => {
+      if (!metadata.has(categoryId)) {
+        metadata.set(
+          categoryId,
+          taxonomyService.getCategoryAspects(categoryId, { marketplaceId })
+        );
+      }
+      return metadata.get(categoryId);
+    };
+
+    const reports = [];
+    for (const item of items) {
+      reports.push(await this._checkItem(item, aspectsFor));
+    }
+
+    const readyCount = reports.filter((r) => r.ready).length;
+
+    logger.info("Aspect check complete", {
+      marketplaceId,
+      total: reports.length,
+      readyCount,
+      categories: metadata.size,
+    });
+
+    return {
+      ready: readyCount === reports.length,
+      total: reports.length,
+      readyCount,
+      items: reports,
+    };
+  }
+
+  /**
+   * Single-item convenience wrapper around checkItems
+   */
+  async checkItem(item, { marketplaceId } = {}) {
+    const { items } = await this.checkItems([item], { marketplaceId });
+    return items[0];
+  }
+
+  /**
+   * eBay's spelling of `value` from `allowed`, or null when none matches
+   * ignoring case, spacing and punctuation
+   */
+  canonicalValue(value, allowed) {
+    const key = compact(value);
+    if (!key) return null;
+    return allowed.find((candidate) => compact(candidate) === key) || null;
+  }
+
+  // ────────────────────────────────────────────────
+  // INTERNAL
+  // ────────────────────────────────────────────────
+
+  async _checkItem({ sku, categoryId, itemSpecifics, aspects }, aspectsFor) {
+    const report = {
+      sku: sku || null,
+      categoryId: categoryId || null,
+      ready: false,
+      missing: [],
+      invalid: [],
+      suggested: [],
+    };
+
+    if (!categoryId || !/^\d+$/.test(categoryId)) {
+      report.error = { message: "A numeric categoryId is required" };
+      return report;
+    }
+
+    let metadata;
+    try {
+      metadata = await aspectsFor(categoryId);
+    } catch (err) {
+      report.error = normalizeEbayError(err, { categoryId });
+      return report;
+    }
+
+    const supplied = collectAspects(itemSpecifics, aspects);
+
+    for (const aspect of metadata.aspects || []) {
+      const name = aspect.localizedAspectName;
+      const constraint = aspect.aspectConstraint || {};
+      const allowed = (aspect.aspectValues || []).map((v) => v.localizedValue);
+      const selectionOnly = constraint.aspectMode === "SELECTION_ONLY";
+      const value = supplied.get(normalize(name));
+
+      if (!value) {
+        const entry = {
+          name,
+          mode: constraint.aspectMode || "FREE_TEXT",
+          ...(allowed.length && {
+            allowedValues: allowed.slice(0, MAX_LISTED_VALUES),
+          }),
+        };
+
+        if (constraint.aspectRequired) {
+          report.missing.push(entry);
+        } else if (constraint.aspectUsage === "RECOMMENDED") {
+          report.suggested.push({ ...entry, reason: "recommended" });
+        }
+        continue;
+      }
+
+      const problems = [];
+
+      if (
+        constraint.itemToAspectCardinality === "SINGLE" &&
+        value.values.length > 1
+      ) {
+        problems.push({
+          reason: "single_value_only",
+          message: `${name} accepts one value`,
+        });
+      }
+
+      if (constraint.aspectMaxLength) {
+        const tooLong = value.values.filter(
+          (v) => v.length > constraint.aspectMaxLength
+        );
+        if (tooLong.length) {
+          problems.push({
+            reason: "too_long",
+            values: tooLong,
+            message: `${name} values are limited to ${constraint.aspectMaxLength} characters`,
+          });
+        }
+      }
+
+      if (selectionOnly && allowed.length) {
+        const allowedSet = new Set(allowed.map(normalize));
+        const notAllowed = value.values.filter(
+          (v) => !allowedSet.has(normalize(v))
+        );
+
+        if (notAllowed.length) {
+          problems.push({
+            reason: "not_allowed",
+            values: notAllowed,
+            message: `${name} must be one of the category's allowed values`,
+          });
+
+          notAllowed.forEach((v) =>
+            report.suggested.push({
+              name,
+              reason: "closest_match",
+              value: v,
+              suggestions: this._closestValues(v, allowed),
+            })
+          );
+        }
+      }
+
+      problems.forEach((problem) =>
+        report.invalid.push({
+          name,
+          mode: constraint.aspectMode || "FREE_TEXT",
+          ...problem,
+        })
+      );
+    }
+
+    report.ready = !report.missing.length && !report.invalid.length;
+    return report;
+  }
+
+  /**
+   * Allowed values equal to `value` ignoring spacing and punctuation
+   * ("64gb" → "64 GB"), then those sharing the most words with it
+   */
+  _closestValues(value, allowed) {
+    const words = new Set(tokenize(value));
+
+    return allowed
+      .map((candidate) => {
+        if (compact(candidate) === compact(value)) {
+          return { candidate, score: 2 };
+        }
+        const tokens = tokenize(candidate);
+        const shared = tokens.filter((t) => words.has(t)).length;
+        return { candidate, score: tokens.length ? shared / tokens.length : 0 };
+      })
+      .filter((c) => c.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SUGGESTED_VALUES)
+      .map((c) => c.candidate);
+  }
+}
+
+module.exports = new AspectCheckService();
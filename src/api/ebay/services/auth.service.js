@@ -1,11 +1,28 @@
 const axios = require("axios");
 const crypto = require("crypto");
 const EBAY_CONFIG = require("../../../config/ebay.config");
+const config = require("../../../config");
 const logger = require("../../../config/logger.config");
+const oauthStateService = require("./oauthState.service");
 
 class AuthService {
-  generateAuthUrl() {
+  constructor() {
+    this.appToken = null; // { token, expiresAt }
+    this.appTokenRequest = null;
+    this.appTokenMarginMs = config.ebay.appTokenRefreshMarginSeconds * 1000;
+    this.appTokenMetrics = {
+      hits: 0,
+      misses: 0,
+      coalesced: 0,
+      fetches: 0,
+      errors: 0,
+      invalidations: 0,
+    };
+  }
+
+  async generateAuthUrl() {
     const state = crypto.randomBytes(32).toString("base64url");
+    await oauthStateService.issue(state);
 
     logger.debug("Generating auth URL", {
       clientId: EBAY_CONFIG.clientId?.substring(0, 15) + "...",
@@ -23,6 +40,7 @@ class AuthService {
     return {
       url: url.toString(),
       state: state,
+      expires_in: config.oauth.stateTtlSeconds,
     };
   }
 
@@ -72,6 +90,7 @@ class AuthService {
           access_token: response.data.access_token,
           refresh_token: response.data.refresh_token,
           expires_in: response.data.expires_in,
+          refresh_token_expires_in: response.data.refresh_token_expires_in,
           token_type: response.data.token_type,
         };
       } else {
@@ -178,7 +197,89 @@ class AuthService {
     }
   }
 
+  // ────────────────────────────────────────────────
+  // APPLICATION TOKEN (client_credentials, cached)
+  // ────────────────────────────────────────────────
+
+  /**
+   * Application token for public APIs (Taxonomy, Browse, ...).
+   * Cached until shortly before expires_in; concurrent callers
+   * share one in-flight request.
+   */
   async getApplicationToken() {
+    if (
+      this.appToken &&
+      this.appToken.expiresAt - this.appTokenMarginMs > Date.now()
+    ) {
+      this.appTokenMetrics.hits++;
+      return this.appToken.token;
+    }
+
+    if (this.appTokenRequest) {
+      this.appTokenMetrics.coalesced++;
+      return this.appTokenRequest;
+    }
+
+    this.appTokenMetrics.misses++;
+
+    this.appTokenRequest = this._fetchApplicationToken()
+      .then(({ token, expiresIn }) => {
+        this.appToken = { token, expiresAt: Date.now() + expiresIn * 1000 };
+        this.appTokenMetrics.fetches++;
+        return token;
+      })
+      .catch((err) => {
+        this.appTokenMetrics.errors++;
+        throw err;
+      })
+      .finally(() => {
+        this.appTokenRequest = null;
+      });
+
+    return this.appTokenRequest;
+  }
+
+  /**
+   * Drop the cached application token (e.g. after eBay answered 401).
+   * Pass the rejected token so a concurrent caller cannot drop a newer one.
+   */
+  invalidateApplicationToken(reason = "manual", rejectedToken = null) {
+    if (!this.appToken) return;
+    if (rejectedToken && this.appToken.token !== rejectedToken) return;
+
+    logger.warn("Application token invalidated", { reason });
+    this.appToken = null;
+    this.appTokenMetrics.invalidations++;
+  }
+
+  /**
+   * Run `request(appToken)` with the cached application token.
+   * On 401 the token is dropped and the request retried once.
+   */
+  async withApplicationToken(request) {
+    const appToken = await this.getApplicationToken();
+
+    try {
+      return await request(appToken);
+    } catch (err) {
+      if (err.response?.status !== 401) throw err;
+
+      this.invalidateApplicationToken("eBay returned 401", appToken);
+      return request(await this.getApplicationToken());
+    }
+  }
+
+  getApplicationTokenMetrics() {
+    return {
+      ...this.appTokenMetrics,
+      cached: !!this.appToken,
+      expiresAt: this.appToken
+        ? new Date(this.appToken.expiresAt).toISOString()
+        : null,
+    };
+  }
+
+  async _fetchApplicationToken() {
     logger.debug("Generating application token");
 
     const credentials = Buffer.from(
@@ -200,7 +301,10 @@ class AuthService {
       }
     );
 
-    return response.data.access_token;
+    return {
+      token: response.data.access_token,
+      expiresIn: response.data.expires_in,
+    };
   }
 }
 
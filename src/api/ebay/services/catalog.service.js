@@ -0,0 +1,262 @@
+const axios = require("axios");
+const EBAY_CONFIG = require("../../../config/ebay.config");
+const authService = require("./auth.service");
+const logger = require("../../../config/logger.config");
+const { getMarketplace } = require("../../../config/marketplaces");
+const { normalizeEbayError } = require("../../../utils/ebayError");
+const { tokenize } = require("../../../utils/categoryScoring");
+
+const CATALOG_URL = `${EBAY_CONFIG.baseUrl}/commerce/catalog/v1_beta`;
+
+// Results kept per search, and candidates returned
+const SEARCH_LIMIT = 10;
+const MAX_CANDIDATES = 10;
+
+// Confidence of each kind of match before the brand / keyword adjustments
+const MATCH_SCORES = { gtin: 0.9, mpn: 0.7, keywords: 0.4 };
+
+// Identifiers the AI (or a seller) uses when there is none
+const PLACEHOLDER_IDS = ["does not apply", "n/a", "na", "none", "unknown"];
+
+const isIdentifier = (value) =>
+  !!value && !PLACEHOLDER_IDS.includes(String(value).trim().toLowerCase());
+
+/**
+ * [{ localizedName, localizedValues }] → { Name: [values] }
+ */
+const toAspectMap = (aspects = []) =>
+  Object.fromEntries(
+    aspects.map((aspect) => [aspect.localizedName, aspect.localizedValues])
+  );
+
+/**
+ * eBay Catalog API: find catalog products (ePIDs) for an item from its
+ * UPC / MPN / brand / model, and load a product to adopt into a listing.
+ *
+ * Searches run in order of reliability - GTIN, then MPN, then
+ * "brand model" keywords - and stop once a GTIN match is found.
+ */
+class CatalogService {
+  /**
+   * @param {Object} identifiers - { upc, mpn, brand, model, title }
+   * @param {Object} options - { marketplaceId, categoryId }
+   * @returns {Promise<Array<{ epid, title, brand, imageUrl, images, gtins, mpns, aspects, matchedBy, score }>>}
+   *   best match first
+   */
+  async findMatches(identifiers, { marketplaceId, categoryId } = {}) {
+    const { upc, mpn, brand, model, title } = identifiers;
+    const searches = [];
+
+    if (isIdentifier(upc)) searches.push({ matchedBy: "gtin", gtin: upc });
+    if (isIdentifier(mpn)) {
+      searches.push({
+        matchedBy: "mpn",
+        mpn,
+        ...(isIdentifier(brand) && { q: brand }),
+      });
+    }
+
+    const keywords = [brand, model].filter(isIdentifier).join(" ") || title;
+    if (keywords) searches.push({ matchedBy: "keywords", q: keywords });
+
+    const found = new Map();
+    const ran = [];
+
+    for (const { matchedBy, ...params } of searches) {
+      ran.push(matchedBy);
+
+      let summaries;
+      try {
+        summaries = await this._search(
+          {
+            ...params,
+            ...(categoryId && { category_ids: categoryId }),
+          },
+          marketplaceId
+        );
+      } catch (err) {
+        // eBay answers 404 when nothing matches
+        if (err.response?.status === 404) continue;
+        throw err;
+      }
+
+      summaries.forEach((summary) => {
+        if (!found.has(summary.epid)) {
+          found.set(
+            summary.epid,
+            this._candidate(summary, matchedBy, identifiers)
+          );
+        }
+      });
+
+      if (matchedBy === "gtin" && found.size) break;
+    }
+
+    const candidates = [...found.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+
+    logger.info("Catalog matches found", {
+      marketplaceId,
+      searches: ran,
+      candidates: candidates.length,
+      best: candidates[0]?.epid,
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Full catalog product for an ePID
+   *
+   * @returns {Promise<{ epid, title, description, brand, gtins, mpns, imageUrls, aspects, categoryId }>}
+   *   aspects as { Name: [values] }
+   */
+  async getProduct(epid, { marketplaceId } = {}) {
+    const marketplace = getMarketplace(marketplaceId);
+
+    const res = await authService.withApplicationToken((appToken) =>
+      axios.get(`${CATALOG_URL}/product/${epid}`, {
+        headers: {
+          Authorization: `Bearer ${appToken}`,
+          "X-EBAY-C-MARKETPLACE-ID": marketplace.marketplaceId,
+        },
+      })
+    );
+
+    const product = res.data;
+
+    return {
+      epid: product.epid,
+      title: product.title,
+      description: product.description || null,
+      brand: product.brand || null,
+      gtins: [
+        ...(product.gtin || []),
+        ...(product.upc || []),
+        ...(product.ean || []),
+      ],
+      mpns: product.mpn || [],
+      imageUrls: [product.image, ...(product.additionalImages || [])]
+        .filter(Boolean)
+        .map((image) => image.imageUrl),
+      aspects: toAspectMap(product.aspects),
+      categoryId: product.primaryCategoryId || null,
+    };
+  }
+
+  /**
+   * Merge a catalog product into listing data: catalog aspects win over
+   * the supplied item specifics, catalog images are used when none were
+   * given, and the ePID is attached so eBay links the listing to it.
+   *
+   * @returns {Promise<Object>} new listingData (input is not modified)
+   */
+  async adoptProduct(listingData, epid, { marketplaceId } = {}) {
+    let product;
+    try {
+      product = await this.getProduct(epid, { marketplaceId });
+    } catch (err) {
+      const normalized = normalizeEbayError(err, { epid });
+      logger.warn("Catalog product could not be adopted", normalized);
+
+      const error = new Error(
+        normalized.status === 404
+          ? `Catalog product ${epid} not found`
+          : `Catalog product ${epid} could not be loaded`
+      );
+      error.status = normalized.status === 404 ? 404 : 502;
+      error.code = "CATALOG_PRODUCT_UNAVAILABLE";
+      error.details = { epid };
+      throw error;
+    }
+
+    const itemSpecifics = { ...(listingData.itemSpecifics || {}) };
+    Object.entries(product.aspects).forEach(([name, values]) => {
+      const existing = Object.keys(itemSpecifics).find(
+        (key) => key.toLowerCase() === name.toLowerCase()
+      );
+      if (existing) delete itemSpecifics[existing];
+      itemSpecifics[name] = values;
+    });
+
+    if (product.brand) itemSpecifics.Brand = product.brand;
+    if (product.mpns.length) itemSpecifics.MPN = product.mpns[0];
+    if (product.gtins.length) itemSpecifics.UPC = product.gtins;
+
+    logger.info("Catalog product adopted", {
+      sku: listingData.sku,
+      epid: product.epid,
+      aspects: Object.keys(product.aspects).length,
+    });
+
+    return {
+      ...listingData,
+      epid: product.epid,
+      itemSpecifics,
+      imageUrls: listingData.imageUrls?.length
+        ? listingData.imageUrls
+        : product.imageUrls,
+      categoryId: listingData.categoryId || product.categoryId,
+    };
+  }
+
+  // ────────────────────────────────────────────────
+  // INTERNAL
+  // ────────────────────────────────────────────────
+
+  async _search(params, marketplaceId) {
+    const marketplace = getMarketplace(marketplaceId);
+
+    const res = await authService.withApplicationToken((appToken) =>
+      axios.get(`${CATALOG_URL}/product_summary/search`, {
+        params: {
+          ...params,
+          fieldgroups: "MATCHING_PRODUCTS",
+          limit: SEARCH_LIMIT,
+        },
+        headers: {
+          Authorization: `Bearer ${appToken}`,
+          "X-EBAY-C-MARKETPLACE-ID": marketplace.marketplaceId,
+        },
+      })
+    );
+
+    return res.data.productSummaries || [];
+  }
+
+  /**
+   * Shape a product summary and score it: kind of match, adjusted for
+   * brand agreement and brand / model words found in the catalog title
+   */
+  _candidate(summary, matchedBy, { brand, model }) {
+    const brandMatch =
+      isIdentifier(brand) &&
+      !!summary.brand &&
+      summary.brand.toLowerCase() === String(brand).toLowerCase();
+
+    const words = tokenize([brand, model].filter(isIdentifier).join(" "));
+    const titleWords = new Set(tokenize(summary.title));
+    const overlap = words.length
+      ? words.filter((w) => titleWords.has(w)).length / words.length
+      : 0;
+
+    const score =
+      MATCH_SCORES[matchedBy] + (brandMatch ? 0.05 : 0) + 0.05 * overlap;
+
+    return {
+      epid: summary.epid,
+      title: summary.title,
+      brand: summary.brand || null,
+      imageUrl: summary.image?.imageUrl || null,
+      images: (summary.additionalImages || []).map((image) => image.imageUrl),
+      gtins: summary.gtin || [],
+      mpns: summary.mpn || [],
+      aspects: toAspectMap(summary.aspects),
+      matchedBy,
+      score: Math.round(Math.min(score, 1) * 1000) / 1000,
+    };
+  }
+}
+
+module.exports = new CatalogService();
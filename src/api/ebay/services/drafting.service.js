@@ -1,128 +1,276 @@
+const crypto = require("crypto");
 const axios = require("axios");
 const EBAY_CONFIG = require("../../../config/ebay.config");
+const config = require("../../../config");
 const logger = require("../../../config/logger.config");
 const taxonomyService = require("./taxonomy.service");
+const aspectCheckService = require("./aspectCheck.service");
+const metadataService = require("./metadata.service");
+const sessionService = require("./session.service");
+const {
+  getMarketplace,
+  normalizeMarketplaceId,
+} = require("../../../config/marketplaces");
+const { createStore } = require("../../../stores");
+
+// eBay bulk Inventory endpoints accept at most 25 requests per call
+const BULK_LIMIT = 25;
+
+// getOffers maximum page size
+const OFFER_PAGE_SIZE = 200;
+
+// Single-item retries for transient (5xx / 429) failures
+const ITEM_RETRY_ATTEMPTS = 3;
+const ITEM_RETRY_BASE_DELAY_MS = 500;
+
+const isSuccess = (statusCode) => statusCode >= 200 && statusCode < 300;
+
+// No status means the request never got an answer (network error, timeout)
+const isTransient = (statusCode) =>
+  !statusCode || statusCode === 429 || statusCode >= 500;
 
 class DraftingService {
+  constructor() {
+    // offerId -> { sku, marketplaceId, createdAt }; read by whichever
+    // worker serves the createdAfter / createdBefore filters
+    this.registry = createStore("drafts", {
+      driver: config.drafts.registryDriver,
+      shared: true,
+    });
+  }
+
   /**
    * Create drafts using BULK APIs (25 max per batch)
    * Inventory + Draft Offer
+   *
+   * Idempotent per SKU + marketplace: an existing unpublished offer is
+   * updated in place (action "updated") instead of creating a duplicate
+   * (action "created").
+   *
+   * Offers without a marketplaceId are created on `marketplaceId`
+   * (default EBAY_MARKETPLACE_ID). Each draft is priced in, and sent with
+   * the Content-Language of, its own offer's marketplace; chunks never mix
+   * marketplaces.
+   *
+   * Item specifics are checked against the category's aspects; incomplete
+   * drafts are still created, with the report as `aspectCheck` on the result.
+   *
+   * @param {Object} options
+   * @param {string} [options.marketplaceId]
+   * @param {AbortSignal} [options.signal] - stops before the next chunk
+   * @param {Function} [options.onProgress] - awaited with
+   *   { type: "stage", stage, message, chunk, chunks, ... } as steps finish
+   *   and { type: "items", items } after every chunk
    */
-  async batchCreateDrafts(accessToken, drafts) {
+  async batchCreateDrafts(
+    auth,
+    drafts,
+    { marketplaceId, signal, onProgress } = {}
+  ) {
+    const marketplace = getMarketplace(marketplaceId);
+
     logger.info("DraftingService.batchCreateDrafts:start", {
       totalDrafts: drafts.length,
-      batchSize: 25,
+      batchSize: BULK_LIMIT,
+      marketplaceId: marketplace.marketplaceId,
     });
 
+    for (const draft of drafts) {
+      const draftMarketplace = getMarketplace(
+        draft.offer.marketplaceId || marketplace.marketplaceId
+      );
+      draft.offer.marketplaceId = draftMarketplace.marketplaceId;
+
+      const price = draft.offer.pricingSummary?.price;
+      if (price && !price.currency) {
+        price.currency = draftMarketplace.currency;
+      }
+    }
+
     const results = [];
+    const aspectReports = new Map();
+    const batches = this._chunkByMarketplace(drafts);
+    const chunks = batches.length;
+    let processed = 0;
+
+    const reportStage = async (batchIndex, stage, message, data = {}) => {
+      if (onProgress) {
+        await onProgress({
+          type: "stage",
+          stage,
+          message: `Chunk ${batchIndex + 1}/${chunks} ${message}`,
+          chunk: batchIndex + 1,
+          chunks,
+          ...data,
+        });
+      }
+    };
 
     // Process in batches of 25
-    for (let i = 0; i < drafts.length; i += 25) {
-      const chunk = drafts.slice(i, i + 25);
+    for (const [batchIndex, chunk] of batches.entries()) {
+      if (signal?.aborted) {
+        logger.info("DraftingService.batchCreateDrafts:cancelled", {
+          processed,
+          remaining: drafts.length - processed,
+        });
+        break;
+      }
+
+      const batchStart = processed;
+      const chunkStart = results.length;
+      const chunkMarketplace = getMarketplace(chunk[0].offer.marketplaceId);
+      processed += chunk.length;
 
       logger.debug("DraftingService.batch:start", {
-        batchIndex: i / 25,
-        batchStart: i,
+        batchIndex,
+        batchStart,
         batchCount: chunk.length,
+        marketplaceId: chunkMarketplace.marketplaceId,
         skus: chunk.map((d) => d.sku),
       });
 
       try {
+        // Resolved per chunk so long batches survive token expiry
+        const accessToken = await sessionService.resolveAccessToken(auth);
+        const headers = {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+          "Content-Language": chunkMarketplace.contentLanguage,
+        };
+
         // ─────────────────────────────────────────────
         // 0️⃣ ENSURE VALID LEAF CATEGORY (SERVER SIDE)
         // ─────────────────────────────────────────────
+        const categorized = [];
         for (const draft of chunk) {
-          let categoryId = draft.offer?.categoryId;
-
-          if (!categoryId || !/^\d+$/.test(categoryId)) {
-            const title =
-              draft.inventoryItem?.product?.title || "Unknown Product";
+          try {
+            await this._ensureLeafCategory(draft);
+          } catch (err) {
+            results.push(
+              this._draftFailure(draft.sku, "category", this._ebayErrors(err))
+            );
+            continue;
+          }
 
-            logger.info("Resolving category on server", {
-              sku: draft.sku,
-              title,
-            });
+          try {
+            await this._ensureCondition(draft);
+            categorized.push(draft);
+          } catch (err) {
+            results.push(
+              this._draftFailure(draft.sku, "condition", this._ebayErrors(err))
+            );
+          }
+        }
 
-            const resolved = await taxonomyService.suggestCategory(title);
+        for (const draft of categorized) {
+          aspectReports.set(draft.sku, await this._checkAspects(draft));
+        }
 
-            draft.offer.categoryId = resolved.categoryId;
+        // ─────────────────────────────────────────────
+        // 1️⃣ BULK INVENTORY ITEMS (per-SKU results)
+        // ─────────────────────────────────────────────
+        const inventory = await this._createInventoryItems(
+          categorized,
+          headers
+        );
 
-            logger.info("Category resolved", {
-              sku: draft.sku,
-              parentCategoryId: resolved.parentCategoryId,
-              leafCategoryId: resolved.categoryId,
-            });
+        const ready = [];
+        for (const draft of categorized) {
+          const item = inventory.get(draft.sku);
+          if (isSuccess(item.statusCode)) {
+            ready.push(draft);
+          } else {
+            results.push(
+              this._draftFailure(draft.sku, "inventory", item.errors)
+            );
           }
         }
 
+        logger.info("DraftingService.inventory:complete", {
+          batchIndex,
+          succeeded: ready.length,
+          failed: categorized.length - ready.length,
+        });
+
+        await reportStage(batchIndex, "inventory", "inventory created", {
+          succeeded: ready.length,
+          failed: chunk.length - ready.length,
+        });
+
+        if (ready.length === 0) continue;
+
         // ─────────────────────────────────────────────
-        // 1️⃣ BULK INVENTORY ITEMS
+        // 2️⃣ REUSE EXISTING OFFERS (safe retries)
         // ─────────────────────────────────────────────
-        logger.debug("DraftingService.inventory:request", {
-          endpoint: "/sell/inventory/v1/bulk_create_or_replace_inventory_item",
-          count: chunk.length,
-        });
+        const toCreate = [];
+        for (const draft of ready) {
+          const existing = await this._lookupExistingOffer(draft, accessToken);
 
-        await axios.post(
-          `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/bulk_create_or_replace_inventory_item`,
-          {
-            requests: chunk.map((d) => ({
-              sku: d.sku,
-              ...d.inventoryItem,
-            })),
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              "Content-Type": "application/json",
-              "Content-Language": "en-US",
-            },
+          if (existing.error) {
+            results.push(
+              this._draftFailure(draft.sku, "lookup", existing.error)
+            );
+          } else if (!existing.offer) {
+            toCreate.push(draft);
+          } else if (existing.offer.status === "PUBLISHED") {
+            results.push(
+              this._draftFailure(
+                draft.sku,
+                "offer",
+                [
+                  {
+                    message:
+                      "SKU already has a live listing; revise it via PUT /offers/:offerId",
+                  },
+                ],
+                existing.offer.offerId
+              )
+            );
+          } else {
+            results.push(
+              await this._updateDraftOffer(
+                draft,
+                existing.offer.offerId,
+                headers
+              )
+            );
           }
-        );
+        }
 
-        logger.info("DraftingService.inventory:success", {
-          batchIndex: i / 25,
-          count: chunk.length,
-        });
+        if (toCreate.length === 0) continue;
 
         // ─────────────────────────────────────────────
-        // 2️⃣ BULK DRAFT OFFERS
+        // 3️⃣ BULK DRAFT OFFERS (new SKUs only)
         // ─────────────────────────────────────────────
-        logger.debug("DraftingService.offers:request", {
-          endpoint: "/sell/inventory/v1/bulk_create_offer",
-          count: chunk.length,
-        });
+        const offers = await this._createOffers(toCreate, headers);
 
-        const offerRes = await axios.post(
-          `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/bulk_create_offer`,
-          {
-            requests: chunk.map((d) => d.offer),
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              "Content-Type": "application/json",
-              "Content-Language": "en-US",
-            },
-          }
+        await this._registerDrafts(
+          offers
+            .map((r, idx) => ({
+              sku: toCreate[idx].sku,
+              offerId: r.offerId,
+              marketplaceId: toCreate[idx].offer.marketplaceId,
+              statusCode: r.statusCode,
+            }))
+            .filter((d) => isSuccess(d.statusCode) && d.offerId)
         );
 
-        logger.debug("DraftingService.offers:response", {
-          responses: offerRes.data.responses?.length,
-        });
+        offers.forEach((r, idx) => {
+          const success = isSuccess(r.statusCode);
 
-        offerRes.data.responses.forEach((r, idx) => {
-          const success = r.statusCode < 300;
-
-          results.push({
-            success,
-            sku: chunk[idx].sku,
-            offerId: r.offerId,
-            error: success ? undefined : r.errors,
-          });
+          results.push(
+            success
+              ? {
+                  success,
+                  sku: toCreate[idx].sku,
+                  offerId: r.offerId,
+                  action: "created",
+                }
+              : this._draftFailure(toCreate[idx].sku, "offer", r.errors)
+          );
 
           logger.debug("DraftingService.offer:result", {
-            sku: chunk[idx].sku,
+            sku: toCreate[idx].sku,
             statusCode: r.statusCode,
             offerId: r.offerId,
             success,
@@ -130,44 +278,650 @@ class DraftingService {
         });
       } catch (err) {
         logger.error("DraftingService.batch:error", {
-          batchIndex: i / 25,
-          batchStart: i,
+          batchIndex,
+          batchStart,
           skus: chunk.map((d) => d.sku),
           error: err.response?.data || err.message,
         });
 
-        chunk.forEach((d) =>
-          results.push({
-            success: false,
-            sku: d.sku,
-            error: "Batch failed",
-          })
-        );
+        const errors = this._ebayErrors(err);
+        chunk
+          .filter((d) => !results.some((r) => r.sku === d.sku))
+          .forEach((d) =>
+            results.push(this._draftFailure(d.sku, "batch", errors))
+          );
+      } finally {
+        const chunkResults = results.slice(chunkStart);
+
+        chunkResults.forEach((result) => {
+          const report = aspectReports.get(result.sku);
+          if (result.success && report && !report.ready) {
+            result.aspectCheck = report;
+          }
+        });
+
+        await reportStage(batchIndex, "chunk", "done", {
+          succeeded: chunkResults.filter((r) => r.success).length,
+          failed: chunkResults.filter((r) => !r.success).length,
+        });
+
+        if (onProgress) {
+          await onProgress({ type: "items", items: chunkResults });
+        }
       }
     }
 
+    // Failures are recorded as they happen; report in request order
+    const position = new Map(drafts.map((d, idx) => [d.sku, idx]));
+    results.sort((a, b) => position.get(a.sku) - position.get(b.sku));
+
     logger.info("DraftingService.batchCreateDrafts:complete", {
       total: drafts.length,
       successCount: results.filter((r) => r.success).length,
       failureCount: results.filter((r) => !r.success).length,
+      aspectsIncomplete: results.filter((r) => r.aspectCheck).length,
     });
 
     return results;
   }
 
   /**
-   * Fetch draft offers from eBay
+   * Publish existing draft offers via bulk_publish_offer (25 per call)
+   *
+   * @param {string|Object} auth
+   * @param {Object} targets - { offerIds?: string[], skus?: string[] }
+   * @param {Object} options - { marketplaceId } used to find offers by SKU
+   * @returns {Promise<Array<{success, sku, offerId, listingId, error}>>}
    */
-  async getDraftOffers(accessToken, { limit = 200, offset = 0 }) {
+  async publishDrafts(
+    auth,
+    { offerIds = [], skus = [] },
+    { marketplaceId } = {}
+  ) {
+    const marketplace = getMarketplace(marketplaceId);
+
+    logger.info("DraftingService.publishDrafts:start", {
+      offerIds: offerIds.length,
+      skus: skus.length,
+      marketplaceId: marketplace.marketplaceId,
+    });
+
+    const results = [];
+
+    // offerId -> sku (null when the caller only gave an offer ID)
+    const targets = new Map(offerIds.map((offerId) => [offerId, null]));
+
+    for (const sku of skus) {
+      try {
+        const offerId = await this._findDraftOfferId(auth, sku, marketplace);
+
+        if (offerId) {
+          targets.set(offerId, sku);
+        } else {
+          results.push(
+            this._draftFailure(sku, "lookup", [
+              {
+                message: `No unpublished offer for SKU on ${marketplace.marketplaceId}`,
+              },
+            ])
+          );
+        }
+      } catch (err) {
+        results.push(this._draftFailure(sku, "lookup", this._ebayErrors(err)));
+      }
+    }
+
+    const entries = [...targets.entries()];
+
+    for (let i = 0; i < entries.length; i += BULK_LIMIT) {
+      const chunk = entries.slice(i, i + BULK_LIMIT);
+
+      try {
+        const accessToken = await sessionService.resolveAccessToken(auth);
+
+        const res = await axios.post(
+          `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/bulk_publish_offer`,
+          { requests: chunk.map(([offerId]) => ({ offerId })) },
+          {
+            headers: {
+              Authorization: `Bearer ${accessToken}`,
+              "Content-Type": "application/json",
+              "Content-Language": marketplace.contentLanguage,
+            },
+          }
+        );
+
+        const byOfferId = new Map(
+          (res.data.responses || []).map((r) => [r.offerId, r])
+        );
+
+        for (const [offerId, sku] of chunk) {
+          const r = byOfferId.get(offerId);
+
+          if (!r || r.statusCode >= 300) {
+            results.push(
+              this._draftFailure(
+                sku,
+                "publish",
+                r?.errors?.length
+                  ? this._ebayErrors(r.errors)
+                  : [{ message: "No response for offer" }],
+                offerId
+              )
+            );
+            continue;
+          }
+
+          results.push({
+            success: true,
+            sku,
+            offerId,
+            listingId: r.listingId || null,
+            ...(r.warnings?.length && { warnings: r.warnings }),
+          });
+        }
+      } catch (err) {
+        logger.error("DraftingService.publish:error", {
+          batchIndex: i / BULK_LIMIT,
+          offerIds: chunk.map(([offerId]) => offerId),
+          error: err.response?.data || err.message,
+        });
+
+        const errors = this._ebayErrors(err);
+        chunk.forEach(([offerId, sku]) =>
+          results.push(this._draftFailure(sku, "publish", errors, offerId))
+        );
+      }
+    }
+
+    logger.info("DraftingService.publishDrafts:complete", {
+      total: results.length,
+      successCount: results.filter((r) => r.success).length,
+      failureCount: results.filter((r) => !r.success).length,
+    });
+
+    return results;
+  }
+
+  /**
+   * List offers across eBay pages, filtered, one result page at a time.
+   *
+   * eBay pages are read only until `limit` matches are found (at most
+   * DRAFT_MAX_OFFER_PAGES per call). `next` records the eBay offset to
+   * resume from plus a hash of the filters, so a cursor replayed with
+   * other filters is rejected (400 CURSOR_FILTER_MISMATCH).
+   *
+   * eBay reports drafts as status UNPUBLISHED and keeps no creation date on
+   * offers, so createdAfter / createdBefore use the draft registry written by
+   * batchCreateDrafts (offers created elsewhere never match a date filter).
+   *
+   * @param {Object} query
+   * @param {number} query.limit - results per page (default 200)
+   * @param {string} query.cursor - `next` token from the previous page
+   * @param {number} query.offset - matches to skip (first page only)
+   * @param {string} query.status - UNPUBLISHED (default) | PUBLISHED | ALL
+   * @param {string} query.skuPrefix
+   * @param {string} query.categoryId
+   * @param {string} query.marketplaceId
+   * @param {string} query.createdAfter - ISO date
+   * @param {string} query.createdBefore - ISO date
+   * @returns {Promise<{drafts, total, scanned, next, truncated}>}
+   *   total is eBay's offer count before filtering; truncated means the
+   *   page limit stopped the scan early (follow `next` to continue)
+   */
+  async getDraftOffers(auth, query = {}) {
+    const { limit = 200, cursor = null, offset = 0 } = query;
+    const filters = this._activeFilters(query);
+    const filterHash = this._filterHash(filters);
+
+    let { ebayOffset, skip } = cursor
+      ? this._decodeCursor(cursor, filterHash)
+      : { ebayOffset: 0, skip: offset };
+
     logger.debug("DraftingService.getDraftOffers:start", {
       limit,
-      offset,
+      ebayOffset,
+      skip,
+      filters,
+    });
+
+    const drafts = [];
+    let scanned = 0;
+    let total = null;
+    let next = null;
+    let truncated = false;
+
+    for (let page = 0; ; page++) {
+      if (page === config.drafts.maxOfferPages) {
+        truncated = true;
+        next = this._encodeCursor(ebayOffset, skip, filterHash);
+        break;
+      }
+
+      const {
+        offers,
+        total: ebayTotal,
+        hasMore,
+      } = await this._fetchOfferPage(auth, ebayOffset);
+      scanned += offers.length;
+      total = ebayTotal;
+
+      const matches = await this._filterOffers(offers, query);
+      const taken = matches.slice(skip, skip + limit - drafts.length);
+      drafts.push(...taken);
+
+      // This eBay page still holds unreturned matches: resume inside it
+      if (skip + taken.length < matches.length) {
+        next = this._encodeCursor(ebayOffset, skip + taken.length, filterHash);
+        break;
+      }
+
+      skip = Math.max(skip - matches.length, 0);
+      ebayOffset += offers.length;
+
+      if (!hasMore) break;
+      if (drafts.length === limit) {
+        next = this._encodeCursor(ebayOffset, skip, filterHash);
+        break;
+      }
+    }
+
+    if (truncated) {
+      logger.warn("DraftingService.getDraftOffers:page limit reached", {
+        maxOfferPages: config.drafts.maxOfferPages,
+        scanned,
+      });
+    }
+
+    logger.info("DraftingService.getDraftOffers:complete", {
+      scanned,
+      returned: drafts.length,
+      hasNext: !!next,
+      truncated,
+    });
+
+    return { drafts, total, scanned, next, truncated };
+  }
+
+  // ────────────────────────────────────────────────
+  // INTERNAL
+  // ────────────────────────────────────────────────
+
+  async _ensureLeafCategory(draft) {
+    const categoryId = draft.offer?.categoryId;
+    if (categoryId && /^\d+$/.test(categoryId)) return;
+
+    const product = draft.inventoryItem?.product || {};
+    const title = product.title || "Unknown Product";
+
+    logger.info("Resolving category on server", {
+      sku: draft.sku,
+      title,
+    });
+
+    const resolved = await taxonomyService.suggestCategory(title, {
+      marketplaceId: draft.offer.marketplaceId,
+      aspects: product.aspects,
+    });
+
+    draft.offer.categoryId = resolved.categoryId;
+
+    logger.info("Category resolved", {
+      sku: draft.sku,
+      parentCategoryId: resolved.parentCategoryId,
+      leafCategoryId: resolved.categoryId,
+      method: resolved.method,
+    });
+  }
+
+  /**
+   * Map the inventory item's condition ("Like New" or an enum) to one the
+   * category allows; conditionDescription is filled from `flaws` if given.
+   * Drafts without a condition are left alone.
+   */
+  async _ensureCondition(draft) {
+    const item = draft.inventoryItem;
+    if (!item?.condition) return;
+
+    const resolved = await metadataService.resolveCondition(
+      {
+        condition: item.condition,
+        conditionDescription: item.conditionDescription,
+        flaws: draft.flaws,
+        categoryId: draft.offer.categoryId,
+      },
+      { marketplaceId: draft.offer.marketplaceId }
+    );
+
+    item.condition = resolved.condition;
+    if (resolved.conditionDescription) {
+      item.conditionDescription = resolved.conditionDescription;
+    } else {
+      delete item.conditionDescription;
+    }
+  }
+
+  /**
+   * Aspect pre-flight for one draft (report only, never throws)
+   */
+  async _checkAspects(draft) {
+    const report = await aspectCheckService.checkItem(
+      {
+        sku: draft.sku,
+        categoryId: draft.offer.categoryId,
+        aspects: draft.inventoryItem?.product?.aspects,
+      },
+      { marketplaceId: draft.offer.marketplaceId }
+    );
+
+    if (!report.ready) {
+      logger.info("Draft item specifics incomplete", {
+        sku: draft.sku,
+        categoryId: draft.offer.categoryId,
+        missing: report.missing.map((a) => a.name),
+        invalid: report.invalid.map((a) => a.name),
+        error: report.error?.message,
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * bulk_create_or_replace_inventory_item, checked per SKU.
+   * Transient failures (whole call or single items) are retried one by one.
+   *
+   * @returns {Promise<Map<string, {statusCode, errors}>>} keyed by SKU
+   */
+  /**
+   * Bulk-sized chunks of drafts sharing one offer marketplace, so each
+   * bulk call carries that marketplace's Content-Language
+   */
+  _chunkByMarketplace(drafts) {
+    const groups = new Map();
+    for (const draft of drafts) {
+      const id = draft.offer.marketplaceId;
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(draft);
+    }
+
+    const chunks = [];
+    for (const group of groups.values()) {
+      for (let i = 0; i < group.length; i += BULK_LIMIT) {
+        chunks.push(group.slice(i, i + BULK_LIMIT));
+      }
+    }
+    return chunks;
+  }
+
+  async _createInventoryItems(drafts, headers) {
+    const results = new Map();
+    if (drafts.length === 0) return results;
+
+    logger.debug("DraftingService.inventory:request", {
+      endpoint: "/sell/inventory/v1/bulk_create_or_replace_inventory_item",
+      count: drafts.length,
+    });
+
+    let responses;
+    try {
+      const res = await axios.post(
+        `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/bulk_create_or_replace_inventory_item`,
+        {
+          requests: drafts.map((d) => ({
+            sku: d.sku,
+            ...d.inventoryItem,
+          })),
+        },
+        { headers }
+      );
+      responses = res.data.responses || [];
+    } catch (err) {
+      const statusCode = err.response?.status;
+      const errors = this._ebayErrors(err);
+
+      if (!isTransient(statusCode)) {
+        drafts.forEach((d) => results.set(d.sku, { statusCode, errors }));
+        return results;
+      }
+
+      logger.warn(
+        "DraftingService.inventory:bulk call failed, retrying items",
+        {
+          statusCode,
+          count: drafts.length,
+        }
+      );
+      responses = [];
+    }
+
+    const bySku = new Map(responses.map((r) => [r.sku, r]));
+
+    for (const draft of drafts) {
+      const item = bySku.get(draft.sku);
+
+      if (item && !isTransient(item.statusCode)) {
+        results.set(draft.sku, {
+          statusCode: item.statusCode,
+          errors: item.errors && this._ebayErrors(item.errors),
+        });
+        continue;
+      }
+
+      // Missing from the response or transient → retry this SKU alone
+      results.set(
+        draft.sku,
+        await this._retryItem("inventory", draft.sku, () =>
+          axios.put(
+            `${
+              EBAY_CONFIG.baseUrl
+            }/sell/inventory/v1/inventory_item/${encodeURIComponent(
+              draft.sku
+            )}`,
+            draft.inventoryItem,
+            { headers }
+          )
+        )
+      );
+    }
+
+    return results;
+  }
+
+  /**
+   * Existing offer for the draft's SKU + marketplace, if any.
+   * Prefers an UNPUBLISHED offer so a live listing is never picked first.
+   *
+   * @returns {Promise<{offer?: Object, error?: Array}>}
+   */
+  async _lookupExistingOffer(draft, accessToken) {
+    const lookup = await this._retryItem("lookup", draft.sku, async () => ({
+      status: 200,
+      data: await this._getOffersForSku(
+        accessToken,
+        draft.sku,
+        draft.offer.marketplaceId
+      ),
+    }));
+
+    if (!isSuccess(lookup.statusCode)) return { error: lookup.errors };
+
+    const offers = lookup.data.filter(
+      (o) => !draft.offer.format || o.format === draft.offer.format
+    );
+
+    return {
+      offer:
+        offers.find((o) => o.status === "UNPUBLISHED") || offers[0] || null,
+    };
+  }
+
+  /**
+   * Replace an unpublished offer in place with the draft's offer
+   */
+  async _updateDraftOffer(draft, offerId, headers) {
+    // sku, marketplaceId and format identify the offer and cannot change
+    const { sku, marketplaceId, format, ...payload } = draft.offer;
+
+    const res = await this._retryItem("offer", draft.sku, () =>
+      axios.put(
+        `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/offer/${offerId}`,
+        payload,
+        { headers }
+      )
+    );
+
+    logger.debug("DraftingService.offer:updated", {
+      sku: draft.sku,
+      offerId,
+      statusCode: res.statusCode,
+    });
+
+    return isSuccess(res.statusCode)
+      ? { success: true, sku: draft.sku, offerId, action: "updated" }
+      : this._draftFailure(draft.sku, "offer", res.errors, offerId);
+  }
+
+  /**
+   * bulk_create_offer, with transient failures retried one by one
+   *
+   * @returns {Promise<Array<{statusCode, offerId, errors}>>} aligned with drafts
+   */
+  async _createOffers(drafts, headers) {
+    logger.debug("DraftingService.offers:request", {
+      endpoint: "/sell/inventory/v1/bulk_create_offer",
+      count: drafts.length,
+    });
+
+    let responses;
+    try {
+      const res = await axios.post(
+        `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/bulk_create_offer`,
+        { requests: drafts.map((d) => d.offer) },
+        { headers }
+      );
+      responses = res.data.responses || [];
+    } catch (err) {
+      const statusCode = err.response?.status;
+      const errors = this._ebayErrors(err);
+
+      if (!isTransient(statusCode)) {
+        return drafts.map(() => ({ statusCode, offerId: null, errors }));
+      }
+
+      logger.warn("DraftingService.offers:bulk call failed, retrying items", {
+        statusCode,
+        count: drafts.length,
+      });
+      responses = [];
+    }
+
+    logger.debug("DraftingService.offers:response", {
+      responses: responses.length,
     });
 
+    const results = [];
+    for (let idx = 0; idx < drafts.length; idx++) {
+      const item = responses[idx];
+
+      if (item && !isTransient(item.statusCode)) {
+        results.push({
+          statusCode: item.statusCode,
+          offerId: item.offerId || null,
+          errors: item.errors && this._ebayErrors(item.errors),
+        });
+        continue;
+      }
+
+      const retried = await this._retryItem("offer", drafts[idx].sku, () =>
+        axios.post(
+          `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/offer`,
+          drafts[idx].offer,
+          { headers }
+        )
+      );
+      results.push({ ...retried, offerId: retried.data?.offerId || null });
+    }
+
+    return results;
+  }
+
+  /**
+   * Retry a single-item call while it fails transiently (5xx / 429 / network)
+   *
+   * @returns {Promise<{statusCode, data?, errors?}>}
+   */
+  async _retryItem(stage, sku, request) {
+    let lastError;
+
+    for (let attempt = 0; attempt < ITEM_RETRY_ATTEMPTS; attempt++) {
+      if (attempt > 0) {
+        await new Promise((r) =>
+          setTimeout(r, ITEM_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1))
+        );
+      }
+
+      try {
+        const res = await request();
+        return { statusCode: res.status, data: res.data };
+      } catch (err) {
+        lastError = err;
+        if (!isTransient(err.response?.status)) break;
+
+        logger.warn("DraftingService.item:transient failure", {
+          stage,
+          sku,
+          attempt: attempt + 1,
+          statusCode: err.response?.status,
+        });
+      }
+    }
+
+    return {
+      statusCode: lastError.response?.status || null,
+      errors: this._ebayErrors(lastError),
+    };
+  }
+
+  /**
+   * eBay error list (or a thrown error) → [{ errorId, message, code? }]
+   * `code` comes from our own pre-flight errors (e.g. CONDITION_NOT_ALLOWED)
+   */
+  _ebayErrors(source) {
+    const errors = Array.isArray(source)
+      ? source
+      : source.response?.data?.errors || [
+          { message: source.message, code: source.code },
+        ];
+
+    return errors.map((e) => ({
+      errorId: e.errorId,
+      message: e.longMessage || e.message,
+      ...(e.code && { code: e.code }),
+    }));
+  }
+
+  _draftFailure(sku, stage, errors, offerId = null) {
+    return {
+      success: false,
+      sku,
+      offerId,
+      stage,
+      error: errors || [{ message: `${stage} failed` }],
+    };
+  }
+
+  /**
+   * One page of /sell/inventory/v1/offer starting at an eBay offset
+   */
+  async _fetchOfferPage(auth, offset) {
+    // Resolved per page so long walks survive token expiry
+    const accessToken = await sessionService.resolveAccessToken(auth);
+
     const res = await axios.get(
       `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/offer`,
       {
-        params: { limit, offset },
+        params: { limit: OFFER_PAGE_SIZE, offset },
         headers: {
           Authorization: `Bearer ${accessToken}`,
         },
@@ -175,14 +929,181 @@ class DraftingService {
     );
 
     const offers = res.data.offers || [];
-    const drafts = offers.filter((o) => o.status === "DRAFT");
+    const total = res.data.total ?? offset + offers.length;
 
-    logger.info("DraftingService.getDraftOffers:complete", {
-      fetched: offers.length,
-      drafts: drafts.length,
-    });
+    return {
+      offers,
+      total,
+      hasMore:
+        !!res.data.next && offers.length > 0 && offset + offers.length < total,
+    };
+  }
+
+  async _filterOffers(offers, query) {
+    const {
+      status = "UNPUBLISHED",
+      skuPrefix,
+      categoryId,
+      marketplaceId,
+      createdAfter,
+      createdBefore,
+    } = query;
 
-    return drafts;
+    const after = createdAfter ? Date.parse(createdAfter) : null;
+    const before = createdBefore ? Date.parse(createdBefore) : null;
+    // "UK" → "EBAY_GB", as eBay reports it on offers
+    const marketplace = normalizeMarketplaceId(marketplaceId);
+
+    const candidates = offers.filter(
+      (o) =>
+        (status === "ALL" || o.status === status) &&
+        (!skuPrefix || o.sku?.startsWith(skuPrefix)) &&
+        (!categoryId || o.categoryId === categoryId) &&
+        (!marketplace || o.marketplaceId === marketplace)
+    );
+
+    const matches = [];
+    for (const offer of candidates) {
+      const entry = await this.registry.get(offer.offerId);
+      const createdAt = entry ? Date.parse(entry.createdAt) : null;
+
+      if (after !== null && (createdAt === null || createdAt < after)) {
+        continue;
+      }
+      if (before !== null && (createdAt === null || createdAt > before)) {
+        continue;
+      }
+
+      matches.push(entry ? { ...offer, createdAt: entry.createdAt } : offer);
+    }
+
+    return matches;
+  }
+
+  async _registerDrafts(drafts) {
+    const ttlMs = config.drafts.registryTtlDays * 24 * 60 * 60 * 1000;
+    const createdAt = new Date().toISOString();
+
+    for (const { sku, offerId, marketplaceId } of drafts) {
+      try {
+        await this.registry.set(
+          offerId,
+          { sku, marketplaceId, createdAt },
+          ttlMs
+        );
+      } catch (err) {
+        // Registry is best-effort metadata; the draft itself exists on eBay
+        logger.warn("DraftingService.registry:write failed", {
+          offerId,
+          error: err.message,
+        });
+      }
+    }
+  }
+
+  _activeFilters(query) {
+    return Object.fromEntries(
+      [
+        "status",
+        "skuPrefix",
+        "categoryId",
+        "marketplaceId",
+        "createdAfter",
+        "createdBefore",
+      ]
+        .filter((key) => query[key] !== undefined)
+        .map((key) => [key, query[key]])
+    );
+  }
+
+  /**
+   * Short, stable fingerprint of the active filters (bound into cursors)
+   */
+  _filterHash(filters) {
+    const canonical = Object.keys(filters)
+      .sort()
+      .map((key) => [key, filters[key]]);
+
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(canonical))
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  _encodeCursor(ebayOffset, skip, filterHash) {
+    return Buffer.from(
+      JSON.stringify({ o: ebayOffset, s: skip, f: filterHash })
+    ).toString("base64url");
+  }
+
+  _decodeCursor(cursor, filterHash) {
+    let decoded = null;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch (e) {
+      // reported below
+    }
+
+    const valid =
+      decoded &&
+      Number.isInteger(decoded.o) &&
+      decoded.o >= 0 &&
+      Number.isInteger(decoded.s) &&
+      decoded.s >= 0 &&
+      typeof decoded.f === "string";
+
+    if (!valid) {
+      throw this._cursorError("INVALID_CURSOR", "Invalid cursor");
+    }
+
+    if (decoded.f !== filterHash) {
+      throw this._cursorError(
+        "CURSOR_FILTER_MISMATCH",
+        "Cursor was issued for different filters; start again without it"
+      );
+    }
+
+    return { ebayOffset: decoded.o, skip: decoded.s };
+  }
+
+  _cursorError(code, message) {
+    const err = new Error(message);
+    err.status = 400;
+    err.code = code;
+    return err;
+  }
+
+  async _findDraftOfferId(auth, sku, marketplace) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+    const offers = await this._getOffersForSku(
+      accessToken,
+      sku,
+      marketplace.marketplaceId
+    );
+
+    const draft = offers.find((o) => o.status === "UNPUBLISHED");
+    return draft?.offerId || null;
+  }
+
+  /**
+   * getOffers for one SKU on one marketplace.
+   * eBay answers 404 when the SKU has no offers at all.
+   */
+  async _getOffersForSku(accessToken, sku, marketplaceId) {
+    try {
+      const res = await axios.get(
+        `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/offer`,
+        {
+          params: { sku, marketplace_id: marketplaceId },
+          headers: { Authorization: `Bearer ${accessToken}` },
+        }
+      );
+      return res.data.offers || [];
+    } catch (err) {
+      if (err.response?.status === 404) return [];
+      throw err;
+    }
   }
 }
 
@@ -2,9 +2,51 @@ const axios = require('axios');
 const EBAY_CONFIG = require('../../../config/ebay.config');
 const config = require('../../../config');
 const logger = require('../../../config/logger.config');
+const { getMarketplace } = require('../../../config/marketplaces');
+const sessionService = require('./session.service');
+const aspectCheckService = require('./aspectCheck.service');
+const metadataService = require('./metadata.service');
+const catalogService = require('./catalog.service');
+
+// Writable fields of an offer (updateOffer is a full replacement)
+const UPDATABLE_OFFER_FIELDS = [
+  'availableQuantity',
+  'categoryId',
+  'listingDescription',
+  'listingDuration',
+  'listingPolicies',
+  'merchantLocationKey',
+  'pricingSummary',
+  'quantityLimitPerBuyer',
+  'secondaryCategoryId',
+  'storeCategoryNames',
+  'tax',
+  'lotSize',
+  'hideBuyerDetails',
+  'includeCatalogProductDetails',
+];
 
 class ListingService {
-  async publishListing(accessToken, listingData) {
+  /**
+   * Create inventory item + offer and publish it
+   *
+   * @param {string|Object} auth - access token or session credentials
+   * @param {Object} listingData
+   * @param {string} [marketplaceId] - defaults to EBAY_MARKETPLACE_ID
+   */
+  async publishListing(auth, listingData, marketplaceId) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+    const marketplace = getMarketplace(marketplaceId);
+
+    // Seller picked a catalog product: its aspects and stock images win
+    if (listingData.epid) {
+      listingData = await catalogService.adoptProduct(
+        listingData,
+        listingData.epid,
+        { marketplaceId: marketplace.marketplaceId }
+      );
+    }
+
     let {
       sku,
       title,
@@ -12,6 +54,7 @@ class ListingService {
       price,
       currency,
       condition,
+      conditionDescription,
       quantity,
       imageUrls,
       categoryId,
@@ -19,6 +62,9 @@ class ListingService {
       shippingWeight,
       flaws,
       seoKeywords,
+      merchantLocationKey,
+      epid,
+      skipAspectCheck,
     } = listingData;
 
     // Validate category ID
@@ -27,6 +73,21 @@ class ListingService {
       categoryId = '220';
     }
 
+    // eBay only rejects missing item specifics at publish time, after the
+    // inventory item and offer exist - check them up front instead
+    if (!skipAspectCheck) {
+      await this._assertAspectsComplete(
+        { sku, categoryId, itemSpecifics },
+        marketplace.marketplaceId
+      );
+    }
+
+    // "Like New" → LIKE_NEW (or the closest condition the category allows)
+    const resolvedCondition = await metadataService.resolveCondition(
+      { condition, conditionDescription, flaws, categoryId },
+      { marketplaceId: marketplace.marketplaceId }
+    );
+
     // Create inventory item
     const productData = {
       title: title,
@@ -58,11 +119,16 @@ class ListingService {
         : [itemSpecifics.UPC];
     }
 
+    if (epid) productData.epid = epid;
+
     const inventoryItemPayload = {
       availability: {
         shipToLocationAvailability: { quantity: quantity || 1 },
       },
-      condition: condition || 'USED_EXCELLENT',
+      condition: resolvedCondition.condition,
+      ...(resolvedCondition.conditionDescription && {
+        conditionDescription: resolvedCondition.conditionDescription,
+      }),
       product: productData,
     };
 
@@ -73,7 +139,7 @@ class ListingService {
         headers: {
           Authorization: `Bearer ${accessToken}`,
           'Content-Type': 'application/json',
-          'Content-Language': 'en-US',
+          'Content-Language': marketplace.contentLanguage,
         },
       }
     );
@@ -99,12 +165,13 @@ class ListingService {
     // Create offer
     const offerPayload = {
       sku: sku,
-      marketplaceId: 'EBAY_US',
+      marketplaceId: marketplace.marketplaceId,
       format: 'FIXED_PRICE',
       listingDescription: fullDescription,
       availableQuantity: quantity || 1,
       categoryId: categoryId,
-      merchantLocationKey: 'default_location',
+      merchantLocationKey:
+        merchantLocationKey || config.ebay.merchantLocationKey,
       listingPolicies: {
         fulfillmentPolicyId: config.ebay.fulfillmentPolicyId,
         paymentPolicyId: config.ebay.paymentPolicyId,
@@ -113,7 +180,7 @@ class ListingService {
       pricingSummary: {
         price: {
           value: price.toString(),
-          currency: currency || 'USD',
+          currency: currency || marketplace.currency,
         },
       },
     };
@@ -136,7 +203,7 @@ class ListingService {
         headers: {
           Authorization: `Bearer ${accessToken}`,
           'Content-Type': 'application/json',
-          'Content-Language': 'en-US',
+          'Content-Language': marketplace.contentLanguage,
         },
       }
     );
@@ -152,7 +219,7 @@ class ListingService {
         headers: {
           Authorization: `Bearer ${accessToken}`,
           'Content-Type': 'application/json',
-          'Content-Language': 'en-US',
+          'Content-Language': marketplace.contentLanguage,
         },
       }
     );
@@ -165,8 +232,256 @@ class ListingService {
       offerId: offerId,
       sku: sku,
       categoryId: categoryId,
+      epid: epid || null,
+      condition: resolvedCondition.condition,
+      conditionRemapped: resolvedCondition.remapped,
+      marketplaceId: marketplace.marketplaceId,
+    };
+  }
+
+  // ────────────────────────────────────────────────
+  // OFFER LIFECYCLE
+  // ────────────────────────────────────────────────
+
+  async getOffer(auth, offerId) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+
+    const res = await axios.get(
+      `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/offer/${offerId}`,
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+
+    return res.data;
+  }
+
+  /**
+   * Revise an offer. eBay's updateOffer replaces the whole offer, so the
+   * current offer is read first and only the given fields are changed.
+   * Published offers are revised live.
+   *
+   * @param {Object} updates - { price, currency, quantity, listingDescription,
+   *   categoryId, merchantLocationKey, listingPolicies }
+   */
+  async updateOffer(auth, offerId, updates) {
+    if (!Object.values(updates).some((value) => value !== undefined)) {
+      throw this._lifecycleError(
+        400,
+        'NO_CHANGES',
+        'No offer fields to update'
+      );
+    }
+
+    const accessToken = await sessionService.resolveAccessToken(auth);
+    const current = await this.getOffer(auth, offerId);
+    const marketplace = getMarketplace(current.marketplaceId);
+
+    const payload = {};
+    for (const field of UPDATABLE_OFFER_FIELDS) {
+      if (current[field] !== undefined) payload[field] = current[field];
+    }
+
+    if (updates.price !== undefined) {
+      payload.pricingSummary = {
+        ...payload.pricingSummary,
+        price: {
+          value: String(updates.price),
+          currency:
+            updates.currency ||
+            current.pricingSummary?.price?.currency ||
+            marketplace.currency,
+        },
+      };
+    }
+    if (updates.quantity !== undefined) {
+      payload.availableQuantity = updates.quantity;
+    }
+    if (updates.listingDescription !== undefined) {
+      payload.listingDescription = updates.listingDescription;
+    }
+    if (updates.categoryId !== undefined) {
+      payload.categoryId = updates.categoryId;
+    }
+    if (updates.merchantLocationKey !== undefined) {
+      payload.merchantLocationKey = updates.merchantLocationKey;
+    }
+    if (updates.listingPolicies !== undefined) {
+      payload.listingPolicies = {
+        ...payload.listingPolicies,
+        ...updates.listingPolicies,
+      };
+    }
+
+    await axios.put(
+      `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/offer/${offerId}`,
+      payload,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          'Content-Language': marketplace.contentLanguage,
+        },
+      }
+    );
+
+    logger.info('Offer updated', {
+      offerId,
+      sku: current.sku,
+      status: current.status,
+      fields: Object.keys(updates),
+    });
+
+    return this.getOffer(auth, offerId);
+  }
+
+  /**
+   * End the live listing; the offer goes back to UNPUBLISHED
+   */
+  async withdrawOffer(auth, offerId) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+
+    const res = await axios.post(
+      `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/offer/${offerId}/withdraw`,
+      {},
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+      }
+    );
+
+    logger.info('Offer withdrawn', {
+      offerId,
+      listingId: res.data?.listingId,
+    });
+
+    return { offerId, listingId: res.data?.listingId || null };
+  }
+
+  /**
+   * Delete an offer (ends the listing if it is published)
+   */
+  async deleteOffer(auth, offerId) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+
+    await axios.delete(
+      `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/offer/${offerId}`,
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+
+    logger.info('Offer deleted', { offerId });
+  }
+
+  /**
+   * Delete an inventory item together with all of its offers and listings
+   */
+  async deleteInventoryItem(auth, sku) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+
+    await axios.delete(
+      `${
+        EBAY_CONFIG.baseUrl
+      }/sell/inventory/v1/inventory_item/${encodeURIComponent(sku)}`,
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+
+    logger.info('Inventory item deleted', { sku });
+  }
+
+  /**
+   * Publish the withdrawn (UNPUBLISHED) offer of a SKU again
+   */
+  async relistSku(auth, sku, marketplaceId) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+    const marketplace = getMarketplace(marketplaceId);
+
+    const res = await axios.get(
+      `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/offer`,
+      {
+        params: { sku, marketplace_id: marketplace.marketplaceId },
+        headers: { Authorization: `Bearer ${accessToken}` },
+      }
+    );
+
+    const offers = res.data.offers || [];
+
+    if (offers.some((o) => o.status === 'PUBLISHED')) {
+      throw this._lifecycleError(
+        409,
+        'ALREADY_PUBLISHED',
+        `SKU ${sku} already has a live listing on ${marketplace.marketplaceId}`
+      );
+    }
+
+    const offer = offers.find((o) => o.status === 'UNPUBLISHED');
+    if (!offer) {
+      throw this._lifecycleError(
+        404,
+        'OFFER_NOT_FOUND',
+        `No withdrawn offer for SKU ${sku} on ${marketplace.marketplaceId}`
+      );
+    }
+
+    const publishResponse = await axios.post(
+      `${EBAY_CONFIG.baseUrl}/sell/inventory/v1/offer/${offer.offerId}/publish`,
+      {},
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          'Content-Language': marketplace.contentLanguage,
+        },
+      }
+    );
+
+    logger.info('SKU relisted', {
+      sku,
+      offerId: offer.offerId,
+      listingId: publishResponse.data.listingId,
+    });
+
+    return {
+      sku,
+      offerId: offer.offerId,
+      listingId: publishResponse.data.listingId,
+      marketplaceId: marketplace.marketplaceId,
     };
   }
+
+  /**
+   * Throws 422 ASPECTS_INCOMPLETE (with the report) when required item
+   * specifics are missing or invalid. A failed aspects lookup only warns.
+   */
+  async _assertAspectsComplete(item, marketplaceId) {
+    const report = await aspectCheckService.checkItem(item, { marketplaceId });
+
+    if (report.error) {
+      logger.warn('Aspect check unavailable, publishing anyway', {
+        sku: item.sku,
+        categoryId: item.categoryId,
+        error: report.error.message,
+      });
+      return;
+    }
+
+    if (report.ready) return;
+
+    const names = [...report.missing, ...report.invalid].map((a) => a.name);
+    const err = this._lifecycleError(
+      422,
+      'ASPECTS_INCOMPLETE',
+      `Missing or invalid item specifics: ${[...new Set(names)].join(', ')}`
+    );
+    err.report = report;
+    throw err;
+  }
+
+  _lifecycleError(status, code, message) {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+  }
 }
 
 module.exports = new ListingService();
@@ -0,0 +1,221 @@
+const axios = require("axios");
+const EBAY_CONFIG = require("../../../config/ebay.config");
+const config = require("../../../config");
+const authService = require("./auth.service");
+const taxonomyService = require("./taxonomy.service");
+const logger = require("../../../config/logger.config");
+const { getMarketplace } = require("../../../config/marketplaces");
+const { CONDITION_IDS } = require("../../../config/conditions");
+const { round, summarizePrices } = require("../../../utils/priceStats");
+const { createStore } = require("../../../stores");
+const { normalizeEbayError } = require("../../../utils/ebayError");
+
+const BROWSE_URL = `${EBAY_CONFIG.baseUrl}/buy/browse/v1`;
+
+// Words the AI pipeline uses when it could not read a brand or model
+const PLACEHOLDER_TERMS = [
+  "unbranded",
+  "unknown",
+  "generic",
+  "n/a",
+  "none",
+  "does not apply",
+];
+
+// Browse API condition ID → Inventory API ConditionEnum
+const CONDITION_BY_ID = Object.fromEntries(
+  Object.entries(CONDITION_IDS).map(([condition, id]) => [id, condition])
+);
+
+const isTerm = (value) =>
+  !!value && !PLACEHOLDER_TERMS.includes(String(value).trim().toLowerCase());
+
+// "Toys & Hobbies > Action Figures" → "Action Figures"
+const pathLeaf = (path) => {
+  const leaf = String(path || "")
+    .split(">")
+    .pop()
+    .trim();
+  return leaf && leaf !== "Other" ? leaf : null;
+};
+
+const amount = (money) => {
+  const value = parseFloat(money?.value);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Comparable listings for AI pricing, from the Browse API item search.
+ *
+ * Results are normalized (price, shipping, ConditionEnum) and cached per
+ * marketplace + category + query for MARKET_DATA_TTL_HOURS. Without a
+ * categoryId the search is scoped to the top Taxonomy suggestion for the
+ * category hint, so generic queries don't match unrelated items.
+ */
+class MarketDataService {
+  constructor() {
+    this.store = createStore("market-data", {
+      driver: config.marketData.cacheDriver,
+    });
+    this.ttlMs = config.marketData.ttlHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * "brand model", or the title (then the category hint's last segment)
+   * when neither was identified
+   */
+  buildQuery({ brand, model, title, categoryHint } = {}) {
+    const terms = [brand, model].filter(isTerm);
+
+    // "Apple Apple iPhone 12" → "Apple iPhone 12"
+    if (
+      terms.length === 2 &&
+      terms[1].toLowerCase().startsWith(terms[0].toLowerCase())
+    ) {
+      terms.shift();
+    }
+
+    const query = terms.length
+      ? terms.join(" ")
+      : title || pathLeaf(categoryHint);
+    return query ? String(query).trim().replace(/\s+/g, " ") : null;
+  }
+
+  /**
+   * @param {Object} product - { brand, model, title, categoryId, categoryHint }
+   *   categoryHint is a free-text category name or "A > B > C" path
+   * @param {Object} options - { marketplaceId, limit }
+   * @returns {Promise<Object|null>} null when there is nothing to search for,
+   *   otherwise { query, marketplaceId, categoryId, currency, total, items,
+   *   summary, fetchedAt, cached }
+   */
+  async findComparables(product = {}, { marketplaceId, limit } = {}) {
+    const marketplace = getMarketplace(marketplaceId);
+    const query = this.buildQuery(product);
+    if (!query) return null;
+
+    const categoryId =
+      product.categoryId ||
+      (await this._categoryFromHint(product.categoryHint, marketplace));
+    const size = limit || config.marketData.limit;
+    const key = [
+      marketplace.marketplaceId,
+      categoryId || "all",
+      size,
+      query.toLowerCase(),
+    ].join(":");
+
+    const cached = await this.store.get(key);
+    if (cached) {
+      logger.debug("Market data cache hit", { key });
+      return { ...cached, cached: true };
+    }
+
+    const res = await authService.withApplicationToken((appToken) =>
+      axios.get(`${BROWSE_URL}/item_summary/search`, {
+        params: {
+          q: query,
+          limit: size,
+          filter: `buyingOptions:{FIXED_PRICE|AUCTION},priceCurrency:${marketplace.currency}`,
+          ...(categoryId && { category_ids: categoryId }),
+        },
+        headers: {
+          Authorization: `Bearer ${appToken}`,
+          "X-EBAY-C-MARKETPLACE-ID": marketplace.marketplaceId,
+        },
+      })
+    );
+
+    const items = (res.data.itemSummaries || [])
+      .map((summary) => this._normalizeItem(summary))
+      .filter(
+        (item) => item.price !== null && item.currency === marketplace.currency
+      );
+
+    const result = {
+      query,
+      marketplaceId: marketplace.marketplaceId,
+      categoryId,
+      currency: marketplace.currency,
+      total: res.data.total || 0,
+      items,
+      summary: summarizePrices(items),
+      fetchedAt: new Date().toISOString(),
+    };
+
+    await this.store.set(key, result, this.ttlMs);
+
+    logger.info("Market data fetched", {
+      query,
+      marketplaceId: marketplace.marketplaceId,
+      categoryId,
+      comparables: items.length,
+      median: result.summary?.median,
+    });
+
+    return { ...result, cached: false };
+  }
+
+  // ────────────────────────────────────────────────
+  // INTERNAL
+  // ────────────────────────────────────────────────
+
+  /**
+   * Top Taxonomy suggestion for a category hint; null when there is no
+   * hint or the lookup fails (the search then runs unscoped)
+   */
+  async _categoryFromHint(categoryHint, marketplace) {
+    const hint = pathLeaf(categoryHint);
+    if (!hint) return null;
+
+    try {
+      const [best] = await taxonomyService.getCategorySuggestions(hint, {
+        marketplaceId: marketplace.marketplaceId,
+      });
+      return best?.categoryId || null;
+    } catch (err) {
+      logger.warn("Market data category lookup failed, searching unscoped", {
+        categoryHint,
+        ...normalizeEbayError(err),
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Browse item summary → { itemId, title, price, currency, shippingCost,
+   * totalPrice, condition, conditionLabel, buyingOption, bidCount, url, imageUrl }
+   *
+   * price is the current bid for auctions; shippingCost is null when
+   * unknown (calculated or local pickup) and 0 for free shipping.
+   */
+  _normalizeItem(summary) {
+    const auction =
+      summary.buyingOptions?.includes("AUCTION") &&
+      !summary.buyingOptions?.includes("FIXED_PRICE");
+    const money = auction
+      ? summary.currentBidPrice || summary.price
+      : summary.price;
+
+    const price = amount(money);
+    const shipping = summary.shippingOptions?.[0]?.shippingCost;
+    const shippingCost = shipping ? amount(shipping) : null;
+
+    return {
+      itemId: summary.itemId,
+      title: summary.title,
+      price,
+      currency: money?.currency || null,
+      shippingCost,
+      totalPrice: price === null ? null : round(price + (shippingCost || 0)),
+      condition: CONDITION_BY_ID[summary.conditionId] || null,
+      conditionLabel: summary.condition || null,
+      buyingOption: auction ? "AUCTION" : "FIXED_PRICE",
+      bidCount: auction ? summary.bidCount || 0 : null,
+      url: summary.itemWebUrl || null,
+      imageUrl: summary.image?.imageUrl || null,
+    };
+  }
+}
+
+module.exports = new MarketDataService();
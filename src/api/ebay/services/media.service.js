@@ -2,9 +2,11 @@ const axios = require("axios");
 const FormData = require("form-data");
 const EBAY_CONFIG = require("../../../config/ebay.config");
 const logger = require("../../../config/logger.config");
+const sessionService = require("./session.service");
 
 class MediaService {
-  async uploadImage(accessToken, imageBuffer, filename) {
+  async uploadImage(auth, imageBuffer, filename) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
     const form = new FormData();
 
     const ext = (filename || "").toLowerCase();
@@ -84,7 +86,7 @@ class MediaService {
       if (mediaError.response?.status === 503) {
         logger.warn("eBay media 503, retrying image upload");
         await new Promise((r) => setTimeout(r, 800));
-        return this.uploadImage(accessToken, imageBuffer, filename);
+        return this.uploadImage(auth, imageBuffer, filename);
       }
 
       if (
@@ -0,0 +1,169 @@
+const axios = require("axios");
+const EBAY_CONFIG = require("../../../config/ebay.config");
+const config = require("../../../config");
+const authService = require("./auth.service");
+const logger = require("../../../config/logger.config");
+const { getMarketplace } = require("../../../config/marketplaces");
+const {
+  CONDITION_IDS,
+  conditionCandidates,
+  acceptsConditionDescription,
+} = require("../../../config/conditions");
+const { createStore } = require("../../../stores");
+
+// eBay limit for offer / inventory item conditionDescription
+const CONDITION_DESCRIPTION_MAX_LENGTH = 1000;
+
+const conditionError = (status, code, message, details) => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+/**
+ * Sell Metadata API: per-category item condition policies, cached per
+ * marketplace + category for TAXONOMY_CONDITIONS_TTL_HOURS.
+ */
+class MetadataService {
+  constructor() {
+    this.store = createStore("condition-policies", {
+      driver: config.taxonomy.cacheDriver,
+    });
+    this.ttlMs = config.taxonomy.ttlHours.conditionPolicies * 60 * 60 * 1000;
+  }
+
+  /**
+   * Allowed conditions for one leaf category
+   *
+   * @returns {Promise<{ categoryId, itemConditionRequired, conditions }>}
+   *   conditions: [{ condition, conditionId, conditionDescription }] where
+   *   condition is the Inventory API enum (null for IDs it has no name for)
+   */
+  async getItemConditionPolicy(categoryId, { marketplaceId } = {}) {
+    const marketplace = getMarketplace(marketplaceId);
+    const key = `${marketplace.marketplaceId}:${categoryId}`;
+
+    const cached = await this.store.get(key);
+    if (cached) return cached;
+
+    const res = await authService.withApplicationToken((appToken) =>
+      axios.get(
+        `${EBAY_CONFIG.baseUrl}/sell/metadata/v1/marketplace/${marketplace.marketplaceId}/get_item_condition_policies`,
+        {
+          params: { filter: `categoryIds:{${categoryId}}` },
+          headers: { Authorization: `Bearer ${appToken}` },
+        }
+      )
+    );
+
+    const policy = (res.data.itemConditionPolicies || [])[0] || {};
+    const enumById = Object.fromEntries(
+      Object.entries(CONDITION_IDS).map(([name, id]) => [id, name])
+    );
+
+    const result = {
+      categoryId,
+      itemConditionRequired: !!policy.itemConditionRequired,
+      conditions: (policy.itemConditions || []).map((c) => ({
+        condition: enumById[c.conditionId] || null,
+        conditionId: c.conditionId,
+        conditionDescription: c.conditionDescription,
+      })),
+    };
+
+    await this.store.set(key, result, this.ttlMs);
+    return result;
+  }
+
+  /**
+   * Map a grade ("Like New") or enum to a ConditionEnum the category allows,
+   * and build conditionDescription from flaws.
+   *
+   * A grade the category doesn't allow is remapped to its closest allowed
+   * equivalent; with none allowed it is rejected (422 CONDITION_NOT_ALLOWED).
+   * If the policy can't be loaded the best mapping is used unchecked.
+   *
+   * @param {Object} item - { condition, conditionDescription, flaws, categoryId }
+   * @returns {Promise<{ condition, conditionId, conditionDescription, requested, remapped, checked }>}
+   */
+  async resolveCondition(item, { marketplaceId } = {}) {
+    const candidates = conditionCandidates(item.condition);
+
+    if (!candidates) {
+      throw conditionError(
+        400,
+        "CONDITION_UNKNOWN",
+        `Unknown condition "${item.condition}"`,
+        { allowed: Object.keys(CONDITION_IDS) }
+      );
+    }
+
+    let policy = null;
+    try {
+      policy = await this.getItemConditionPolicy(item.categoryId, {
+        marketplaceId,
+      });
+    } catch (err) {
+      logger.warn("Condition policy unavailable, using mapped condition", {
+        categoryId: item.categoryId,
+        error: err.response?.data || err.message,
+      });
+    }
+
+    // An empty policy means eBay has no condition rules for the category
+    const allowed = policy?.conditions.length
+      ? policy.conditions.map((c) => c.condition).filter(Boolean)
+      : null;
+
+    const condition = allowed
+      ? candidates.find((c) => allowed.includes(c))
+      : candidates[0];
+
+    if (!condition) {
+      throw conditionError(
+        422,
+        "CONDITION_NOT_ALLOWED",
+        `Condition "${item.condition}" is not allowed in category ${item.categoryId}`,
+        { allowed: policy.conditions }
+      );
+    }
+
+    if (condition !== candidates[0]) {
+      logger.info("Condition remapped for category", {
+        categoryId: item.categoryId,
+        requested: item.condition,
+        condition,
+      });
+    }
+
+    return {
+      condition,
+      conditionId: CONDITION_IDS[condition],
+      conditionDescription: acceptsConditionDescription(condition)
+        ? this._conditionDescription(item)
+        : null,
+      requested: item.condition || null,
+      remapped: condition !== candidates[0],
+      checked: !!allowed,
+    };
+  }
+
+  // ────────────────────────────────────────────────
+  // INTERNAL
+  // ────────────────────────────────────────────────
+
+  /**
+   * Explicit conditionDescription wins; otherwise the AI's flaws
+   */
+  _conditionDescription({ conditionDescription, flaws }) {
+    const text =
+      conditionDescription ||
+      (flaws?.length ? `Flaws: ${flaws.join("; ")}.` : null);
+
+    return text ? text.slice(0, CONDITION_DESCRIPTION_MAX_LENGTH) : null;
+  }
+}
+
+module.exports = new MetadataService();
@@ -0,0 +1,90 @@
+const config = require("../../../config");
+const logger = require("../../../config/logger.config");
+const { createStore } = require("../../../stores");
+
+const STATE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * OAuth `state` bookkeeping for the eBay consent flow.
+ *
+ * Every state minted by generateAuthUrl is stored with a TTL and can be
+ * consumed exactly once by /exchange-token. Consumed states leave a
+ * tombstone behind so replays are reported as such instead of "unknown".
+ */
+class OAuthStateService {
+  constructor() {
+    // Issued on one worker, consumed on whichever gets the callback
+    this.store = createStore("oauth-state", { shared: true });
+    this.ttlMs = config.oauth.stateTtlSeconds * 1000;
+  }
+
+  async issue(state, metadata = {}) {
+    const now = Date.now();
+
+    // Keep the record around for one extra TTL so late callbacks
+    // can be told "expired" rather than "unknown"
+    await this.store.set(
+      state,
+      { issuedAt: now, expiresAt: now + this.ttlMs, ...metadata },
+      this.ttlMs * 2
+    );
+  }
+
+  /**
+   * Validate and burn a state. Throws an error carrying `status` and `code`
+   * when the state is malformed, unknown, expired or already used.
+   */
+  async consume(state) {
+    if (typeof state !== "string" || !STATE_PATTERN.test(state)) {
+      throw this._stateError(400, "INVALID_STATE", "Malformed OAuth state");
+    }
+
+    // take() is atomic: two concurrent exchanges can never both see the record
+    const record = await this.store.take(state);
+
+    if (!record) {
+      throw this._stateError(
+        403,
+        "UNKNOWN_STATE",
+        "OAuth state was not issued by this server"
+      );
+    }
+
+    // Leave a tombstone so a replay is identifiable
+    await this.store.set(
+      state,
+      { ...record, usedAt: record.usedAt || Date.now() },
+      this.ttlMs * 2
+    );
+
+    if (record.usedAt) {
+      logger.warn("OAuth state replay rejected", {
+        usedAt: new Date(record.usedAt).toISOString(),
+      });
+      throw this._stateError(
+        403,
+        "STATE_REPLAYED",
+        "OAuth state has already been used"
+      );
+    }
+
+    if (record.expiresAt <= Date.now()) {
+      throw this._stateError(
+        403,
+        "STATE_EXPIRED",
+        "OAuth state has expired, please restart the sign-in flow"
+      );
+    }
+
+    return record;
+  }
+
+  _stateError(status, code, message) {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+  }
+}
+
+module.exports = new OAuthStateService();
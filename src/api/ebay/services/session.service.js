@@ -0,0 +1,243 @@
+const crypto = require("crypto");
+const config = require("../../../config");
+const logger = require("../../../config/logger.config");
+const { createStore } = require("../../../stores");
+const { encrypt, decrypt } = require("../../../utils/encryption");
+const { normalizeMarketplaceId } = require("../../../config/marketplaces");
+const authService = require("./auth.service");
+
+const SESSION_PREFIX = "sess_";
+
+// eBay refresh tokens live ~18 months; used when eBay omits the expiry
+const DEFAULT_REFRESH_TTL_SECONDS = 18 * 30 * 24 * 60 * 60;
+
+/**
+ * Seller sessions.
+ *
+ * /exchange-token hands the client an opaque session ID; the eBay
+ * access + refresh tokens stay on the server, encrypted at rest.
+ * Access tokens are refreshed transparently when they are expired
+ * or within SESSION_REFRESH_SKEW_SECONDS of expiry.
+ */
+class SessionService {
+  constructor() {
+    this.store = createStore("sessions", {
+      driver: config.session.storeDriver,
+      shared: true,
+    });
+    this.refreshSkewMs = config.session.refreshSkewSeconds * 1000;
+
+    // sessionKey -> Promise, so concurrent requests share one refresh
+    this.inFlightRefreshes = new Map();
+  }
+
+  isSessionId(value) {
+    return typeof value === "string" && value.startsWith(SESSION_PREFIX);
+  }
+
+  /**
+   * Create a session from a fresh token exchange
+   *
+   * @param {Object} tokens - result of authService.exchangeToken
+   * @param {Object} profile - optional eBay identity profile
+   * @param {Object} preferences - { marketplaceId }
+   * @returns {Promise<{sessionId, expiresAt, sellerId, username, marketplaceId}>}
+   *   no token material - safe to hand to the client
+   */
+  async createSession(tokens, profile = null, preferences = {}) {
+    const sessionId =
+      SESSION_PREFIX + crypto.randomBytes(32).toString("base64url");
+    const now = Date.now();
+    const refreshTtlSeconds =
+      tokens.refresh_token_expires_in || DEFAULT_REFRESH_TTL_SECONDS;
+
+    const record = {
+      sellerId: profile?.userId || null,
+      username: profile?.username || null,
+      marketplaceId: normalizeMarketplaceId(preferences.marketplaceId),
+      createdAt: now,
+      refreshTokenExpiresAt: now + refreshTtlSeconds * 1000,
+      accessTokenExpiresAt: now + tokens.expires_in * 1000,
+      tokens: encrypt(
+        JSON.stringify({
+          accessToken: tokens.access_token,
+          refreshToken: tokens.refresh_token,
+        })
+      ),
+    };
+
+    await this.store.set(
+      this._key(sessionId),
+      record,
+      refreshTtlSeconds * 1000
+    );
+
+    logger.info("Seller session created", {
+      sellerId: record.sellerId,
+      username: record.username,
+    });
+
+    return {
+      sessionId,
+      expiresAt: new Date(record.refreshTokenExpiresAt).toISOString(),
+      sellerId: record.sellerId,
+      username: record.username,
+      marketplaceId: record.marketplaceId,
+    };
+  }
+
+  async getSession(sessionId) {
+    const record = await this.store.get(this._key(sessionId));
+    if (!record) return null;
+
+    return {
+      sellerId: record.sellerId,
+      username: record.username,
+      marketplaceId: record.marketplaceId || null,
+      createdAt: new Date(record.createdAt).toISOString(),
+      accessTokenExpiresAt: new Date(record.accessTokenExpiresAt).toISOString(),
+      refreshTokenExpiresAt: new Date(
+        record.refreshTokenExpiresAt
+      ).toISOString(),
+    };
+  }
+
+  /**
+   * Update seller preferences (currently only marketplaceId)
+   */
+  async updateSession(sessionId, { marketplaceId }) {
+    const key = this._key(sessionId);
+    const record = await this.store.get(key);
+
+    if (!record) {
+      throw this._sessionError("SESSION_NOT_FOUND", "Session not found");
+    }
+
+    await this.store.set(
+      key,
+      { ...record, marketplaceId: normalizeMarketplaceId(marketplaceId) },
+      Math.max(record.refreshTokenExpiresAt - Date.now(), 1000)
+    );
+
+    return this.getSession(sessionId);
+  }
+
+  async revokeSession(sessionId) {
+    await this.store.delete(this._key(sessionId));
+    logger.info("Seller session revoked");
+  }
+
+  /**
+   * Return a valid eBay access token for the session,
+   * refreshing it first when it is expired or close to expiry.
+   */
+  async getAccessToken(sessionId) {
+    const key = this._key(sessionId);
+    const record = await this.store.get(key);
+
+    if (!record) {
+      throw this._sessionError("SESSION_NOT_FOUND", "Session not found");
+    }
+
+    if (record.accessTokenExpiresAt - this.refreshSkewMs > Date.now()) {
+      return JSON.parse(decrypt(record.tokens)).accessToken;
+    }
+
+    if (!this.inFlightRefreshes.has(key)) {
+      const refresh = this._refresh(key, record).finally(() =>
+        this.inFlightRefreshes.delete(key)
+      );
+      this.inFlightRefreshes.set(key, refresh);
+    }
+
+    return this.inFlightRefreshes.get(key);
+  }
+
+  /**
+   * Token provider handed to services via req.auth
+   */
+  credentialsFor(sessionId) {
+    return {
+      sessionId,
+      getAccessToken: () => this.getAccessToken(sessionId),
+    };
+  }
+
+  /**
+   * Services accept either a raw access token (legacy clients)
+   * or a credentials object from credentialsFor().
+   */
+  async resolveAccessToken(auth) {
+    if (typeof auth === "string") return auth;
+    if (auth && typeof auth.getAccessToken === "function") {
+      return auth.getAccessToken();
+    }
+    throw new Error("No eBay credentials available");
+  }
+
+  // ────────────────────────────────────────────────
+  // INTERNAL
+  // ────────────────────────────────────────────────
+
+  async _refresh(key, record) {
+    const { refreshToken } = JSON.parse(decrypt(record.tokens));
+
+    logger.info("Refreshing session access token", {
+      sellerId: record.sellerId,
+      expiredAt: new Date(record.accessTokenExpiresAt).toISOString(),
+    });
+
+    let refreshed;
+    try {
+      refreshed = await authService.refreshToken(refreshToken);
+    } catch (e) {
+      const status = e.response?.status;
+      logger.error("Session token refresh failed", {
+        sellerId: record.sellerId,
+        status,
+        error: e.response?.data?.error || e.message,
+      });
+
+      // invalid_grant: refresh token revoked or expired → session is dead
+      if (status === 400 || status === 401) {
+        await this.store.delete(key);
+        throw this._sessionError(
+          "SESSION_EXPIRED",
+          "eBay authorization expired, please sign in again"
+        );
+      }
+
+      throw e;
+    }
+
+    const updated = {
+      ...record,
+      accessTokenExpiresAt: Date.now() + refreshed.expires_in * 1000,
+      tokens: encrypt(
+        JSON.stringify({ accessToken: refreshed.access_token, refreshToken })
+      ),
+    };
+
+    await this.store.set(
+      key,
+      updated,
+      Math.max(record.refreshTokenExpiresAt - Date.now(), 1000)
+    );
+
+    return refreshed.access_token;
+  }
+
+  // Only a hash of the session ID is persisted
+  _key(sessionId) {
+    return crypto.createHash("sha256").update(sessionId).digest("hex");
+  }
+
+  _sessionError(code, message) {
+    const err = new Error(message);
+    err.status = 401;
+    err.code = code;
+    return err;
+  }
+}
+
+module.exports = new SessionService();
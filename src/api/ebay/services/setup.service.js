@@ -1,5 +1,8 @@
 const axios = require("axios");
 const EBAY_CONFIG = require("../../../config/ebay.config");
+const sessionService = require("./session.service");
+const { getMarketplace } = require("../../../config/marketplaces");
+const { normalizeEbayError } = require("../../../utils/ebayError");
 
 /**
  * Simple retry helper for transient eBay failures (503 / LSAS warmup)
@@ -28,12 +31,13 @@ async function retry(fn, { retries = 5, baseDelay = 800, factor = 2 } = {}) {
 class SetupService {
   /**
    * ENTRY POINT
-   * Ensures seller is opted-in and has at least 1 policy of each type.
+   * Ensures seller is opted-in and has at least 1 policy of each type
+   * on the given marketplace (default EBAY_MARKETPLACE_ID).
    */
-  async ensureDefaultPolicies(accessToken) {
+  async ensureDefaultPolicies(auth, marketplaceId) {
     // 1️⃣ Opt-in (idempotent)
     try {
-      await this.optInPolicies(accessToken);
+      await this.optInPolicies(auth);
     } catch (e) {
       if (e.response?.status !== 409) throw e;
     }
@@ -42,14 +46,16 @@ class SetupService {
     await new Promise((r) => setTimeout(r, 1500));
 
     // 3️⃣ Fetch existing policies (retry-safe)
-    const policies = await retry(() => this.getPolicies(accessToken));
+    const policies = await retry(() => this.getPolicies(auth, marketplaceId));
 
     const errors = [];
 
     // 4️⃣ Fulfillment
     if (!policies.fulfillmentPolicies.length) {
       try {
-        await retry(() => this.createDefaultFulfillmentPolicy(accessToken));
+        await retry(() =>
+          this.createDefaultFulfillmentPolicy(auth, marketplaceId)
+        );
       } catch (e) {
         errors.push(this._normalizeError("FULFILLMENT", e));
       }
@@ -58,7 +64,7 @@ class SetupService {
     // 5️⃣ Payment
     if (!policies.paymentPolicies.length) {
       try {
-        await retry(() => this.createDefaultPaymentPolicy(accessToken));
+        await retry(() => this.createDefaultPaymentPolicy(auth, marketplaceId));
       } catch (e) {
         errors.push(this._normalizeError("PAYMENT", e));
       }
@@ -67,14 +73,16 @@ class SetupService {
     // 6️⃣ Returns
     if (!policies.returnPolicies.length) {
       try {
-        await retry(() => this.createDefaultReturnPolicy(accessToken));
+        await retry(() => this.createDefaultReturnPolicy(auth, marketplaceId));
       } catch (e) {
         errors.push(this._normalizeError("RETURN", e));
       }
     }
 
     // 7️⃣ Final verification
-    const finalPolicies = await retry(() => this.getPolicies(accessToken));
+    const finalPolicies = await retry(() =>
+      this.getPolicies(auth, marketplaceId)
+    );
 
     if (
       !finalPolicies.fulfillmentPolicies.length ||
@@ -96,7 +104,8 @@ class SetupService {
   // EBAY API CALLS
   // ────────────────────────────────────────────────
 
-  async optInPolicies(accessToken) {
+  async optInPolicies(auth) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
     await axios.post(
       `${EBAY_CONFIG.baseUrl}/sell/account/v1/program/opt_in`,
       { programType: "SELLING_POLICY_MANAGEMENT" },
@@ -109,22 +118,25 @@ class SetupService {
     );
   }
 
-  async getPolicies(accessToken) {
+  async getPolicies(auth, marketplaceId) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
     const headers = { Authorization: `Bearer ${accessToken}` };
-    const marketplaceId = "EBAY_US";
+    const params = {
+      marketplace_id: getMarketplace(marketplaceId).marketplaceId,
+    };
 
     const [fulfillment, payment, returns] = await Promise.all([
       axios.get(`${EBAY_CONFIG.baseUrl}/sell/account/v1/fulfillment_policy`, {
         headers,
-        params: { marketplace_id: marketplaceId },
+        params,
       }),
       axios.get(`${EBAY_CONFIG.baseUrl}/sell/account/v1/payment_policy`, {
         headers,
-        params: { marketplace_id: marketplaceId },
+        params,
       }),
       axios.get(`${EBAY_CONFIG.baseUrl}/sell/account/v1/return_policy`, {
         headers,
-        params: { marketplace_id: marketplaceId },
+        params,
       }),
     ]);
 
@@ -139,12 +151,14 @@ class SetupService {
   // DEFAULT POLICY CREATORS (VALIDATED)
   // ────────────────────────────────────────────────
 
-  async createDefaultFulfillmentPolicy(accessToken) {
+  async createDefaultFulfillmentPolicy(auth, marketplaceId) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+    const marketplace = getMarketplace(marketplaceId);
     return axios.post(
       `${EBAY_CONFIG.baseUrl}/sell/account/v1/fulfillment_policy`,
       {
         name: "Sellist Default Shipping",
-        marketplaceId: "EBAY_US",
+        marketplaceId: marketplace.marketplaceId,
 
         handlingTime: { unit: "DAY", value: 1 },
 
@@ -155,7 +169,7 @@ class SetupService {
 
             shipToLocations: {
               regionIncluded: [
-                { regionName: "United States", regionType: "COUNTRY" },
+                { regionName: marketplace.regionName, regionType: "COUNTRY" },
               ],
             },
           },
@@ -165,23 +179,27 @@ class SetupService {
     );
   }
 
-  async createDefaultPaymentPolicy(accessToken) {
+  async createDefaultPaymentPolicy(auth, marketplaceId) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+    const marketplace = getMarketplace(marketplaceId);
     return axios.post(
       `${EBAY_CONFIG.baseUrl}/sell/account/v1/payment_policy`,
       {
         name: "Sellist Default Payment",
-        marketplaceId: "EBAY_US",
+        marketplaceId: marketplace.marketplaceId,
       },
       { headers: { Authorization: `Bearer ${accessToken}` } }
     );
   }
 
-  async createDefaultReturnPolicy(accessToken) {
+  async createDefaultReturnPolicy(auth, marketplaceId) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+    const marketplace = getMarketplace(marketplaceId);
     return axios.post(
       `${EBAY_CONFIG.baseUrl}/sell/account/v1/return_policy`,
       {
         name: "Sellist 30 Day Returns",
-        marketplaceId: "EBAY_US",
+        marketplaceId: marketplace.marketplaceId,
         returnsAccepted: true,
         returnPeriod: { unit: "DAY", value: 30 },
         returnShippingCostPayer: "BUYER",
@@ -191,18 +209,170 @@ class SetupService {
   }
 
   // ────────────────────────────────────────────────
-  // UTIL
+  // INVENTORY LOCATIONS (Sell Inventory location API)
   // ────────────────────────────────────────────────
 
-  _normalizeError(policy, e) {
+  /**
+   * Create an inventory location under a caller-chosen key
+   *
+   * @param {string|Object} auth - access token or session credentials
+   * @param {string} merchantLocationKey - max 36 chars, [A-Za-z0-9_-]
+   * @param {Object} location
+   * @param {Object} location.address - { addressLine1, addressLine2, city,
+   *   stateOrProvince, postalCode, country }
+   * @param {string} [location.name]
+   * @param {string} [location.phone]
+   * @param {string[]} [location.locationTypes] - default ["WAREHOUSE"]
+   * @param {string} [location.locationInstructions]
+   * @param {string} [location.locationAdditionalInformation]
+   * @param {boolean} [location.enabled] - default true
+   */
+  async createLocation(auth, merchantLocationKey, location) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+
+    await axios.post(
+      this._locationUrl(merchantLocationKey),
+      {
+        location: { address: location.address },
+        locationTypes: location.locationTypes || ["WAREHOUSE"],
+        merchantLocationStatus:
+          location.enabled === false ? "DISABLED" : "ENABLED",
+        ...(location.name && { name: location.name }),
+        ...(location.phone && { phone: location.phone }),
+        ...(location.locationInstructions && {
+          locationInstructions: location.locationInstructions,
+        }),
+        ...(location.locationAdditionalInformation && {
+          locationAdditionalInformation: location.locationAdditionalInformation,
+        }),
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    return this.getLocation(auth, merchantLocationKey);
+  }
+
+  async getLocations(auth, { limit = 100, offset = 0 } = {}) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+
+    const res = await retry(() =>
+      axios.get(`${EBAY_CONFIG.baseUrl}/sell/inventory/v1/location`, {
+        params: { limit, offset },
+        headers: { Authorization: `Bearer ${accessToken}` },
+      })
+    );
+
     return {
-      policy,
-      status: e.response?.status,
-      errorId: e.response?.data?.errors?.[0]?.errorId,
-      message: e.response?.data?.errors?.[0]?.message,
-      raw: e.response?.data || e.message,
+      locations: res.data.locations || [],
+      total: res.data.total || 0,
+      limit,
+      offset,
     };
   }
+
+  async getLocation(auth, merchantLocationKey) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+
+    const res = await retry(() =>
+      axios.get(this._locationUrl(merchantLocationKey), {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      })
+    );
+
+    return res.data;
+  }
+
+  /**
+   * Update name, phone, hours, instructions or (warehouse) address details
+   */
+  async updateLocation(auth, merchantLocationKey, updates) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+
+    const allowed = [
+      "name",
+      "phone",
+      "locationInstructions",
+      "locationAdditionalInformation",
+      "locationTypes",
+      "locationWebUrl",
+      "operatingHours",
+      "specialHours",
+      "timeZoneId",
+    ];
+
+    const payload = {};
+    for (const key of allowed) {
+      if (updates[key] !== undefined) payload[key] = updates[key];
+    }
+    if (updates.address) {
+      payload.location = { address: updates.address };
+    }
+
+    await axios.post(
+      `${this._locationUrl(merchantLocationKey)}/update_location_details`,
+      payload,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    return this.getLocation(auth, merchantLocationKey);
+  }
+
+  async enableLocation(auth, merchantLocationKey) {
+    return this._setLocationStatus(auth, merchantLocationKey, "enable");
+  }
+
+  async disableLocation(auth, merchantLocationKey) {
+    return this._setLocationStatus(auth, merchantLocationKey, "disable");
+  }
+
+  async deleteLocation(auth, merchantLocationKey) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+
+    await axios.delete(this._locationUrl(merchantLocationKey), {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+  }
+
+  async _setLocationStatus(auth, merchantLocationKey, action) {
+    const accessToken = await sessionService.resolveAccessToken(auth);
+
+    await axios.post(
+      `${this._locationUrl(merchantLocationKey)}/${action}`,
+      {},
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    return this.getLocation(auth, merchantLocationKey);
+  }
+
+  _locationUrl(merchantLocationKey) {
+    return `${
+      EBAY_CONFIG.baseUrl
+    }/sell/inventory/v1/location/${encodeURIComponent(merchantLocationKey)}`;
+  }
+
+  // ────────────────────────────────────────────────
+  // UTIL
+  // ────────────────────────────────────────────────
+
+  _normalizeError(policy, e) {
+    return normalizeEbayError(e, { policy });
+  }
 }
 
 module.exports = new SetupService();
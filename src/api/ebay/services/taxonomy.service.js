@@ -2,108 +2,444 @@ const axios = require("axios");
 const EBAY_CONFIG = require("../../../config/ebay.config");
 const authService = require("./auth.service");
 const logger = require("../../../config/logger.config");
+const config = require("../../../config");
+const { getMarketplace } = require("../../../config/marketplaces");
+const { normalizeEbayError } = require("../../../utils/ebayError");
+const taxonomyCache = require("./taxonomyCache.service");
+const { rankLeaves } = require("../../../utils/categoryScoring");
+
+// Suggestions whose subtrees are scored by suggestCategory
+const SCORED_SUGGESTIONS = 3;
+
+// Ranked leaves returned to callers
+const MAX_LEAF_CANDIDATES = 10;
 
 class TaxonomyService {
+  constructor() {
+    // marketplaceId -> { categoryTreeId, categoryTreeVersion, checkedAt }
+    this.categoryTrees = new Map();
+    this.versionCheckMs = config.taxonomy.versionCheckMinutes * 60 * 1000;
+  }
+
   /**
-   * Suggest a VALID LEAF category for listing
+   * Default category tree for a marketplace (EBAY_US → "0", EBAY_GB → "3", ...)
+   * and its version. Re-checked every TAXONOMY_VERSION_CHECK_MINUTES; a new
+   * version makes every cached subtree / aspects entry of the tree a miss.
+   * Falls back to the last known tree, then the static ID, on failure.
+   *
+   * @returns {Promise<{ categoryTreeId, categoryTreeVersion, checkedAt }>}
    */
-  async suggestCategory(title) {
-    const appToken = await authService.getApplicationToken();
-
-    const res = await axios.get(
-      `${EBAY_CONFIG.baseUrl}/commerce/taxonomy/v1/category_tree/0/get_category_suggestions`,
-      {
-        params: { q: title },
-        headers: { Authorization: `Bearer ${appToken}` },
+  async getCategoryTree(marketplaceId) {
+    const marketplace = getMarketplace(marketplaceId);
+    const cached = this.categoryTrees.get(marketplace.marketplaceId);
+    if (cached && Date.now() - cached.checkedAt < this.versionCheckMs) {
+      return cached;
+    }
+
+    try {
+      const res = await authService.withApplicationToken((appToken) =>
+        axios.get(
+          `${EBAY_CONFIG.baseUrl}/commerce/taxonomy/v1/get_default_category_tree_id`,
+          {
+            params: { marketplace_id: marketplace.marketplaceId },
+            headers: { Authorization: `Bearer ${appToken}` },
+          }
+        )
+      );
+
+      const { categoryTreeId, categoryTreeVersion } = res.data;
+      const tree = {
+        categoryTreeId,
+        categoryTreeVersion,
+        checkedAt: Date.now(),
+      };
+      this.categoryTrees.set(marketplace.marketplaceId, tree);
+
+      if (!cached) {
+        logger.info("Resolved default category tree", {
+          marketplaceId: marketplace.marketplaceId,
+          categoryTreeId,
+          categoryTreeVersion,
+        });
+      } else if (cached.categoryTreeVersion !== categoryTreeVersion) {
+        logger.info("Category tree version changed", {
+          marketplaceId: marketplace.marketplaceId,
+          categoryTreeId,
+          previousVersion: cached.categoryTreeVersion,
+          categoryTreeVersion,
+        });
       }
+
+      return tree;
+    } catch (err) {
+      const fallback = cached || {
+        categoryTreeId: marketplace.categoryTreeId,
+        categoryTreeVersion: null,
+      };
+
+      logger.warn("Default category tree lookup failed, using last known", {
+        marketplaceId: marketplace.marketplaceId,
+        categoryTreeId: fallback.categoryTreeId,
+        error: err.response?.data || err.message,
+      });
+
+      // Don't look it up again on every call while eBay is failing
+      const tree = { ...fallback, checkedAt: Date.now() };
+      this.categoryTrees.set(marketplace.marketplaceId, tree);
+      return tree;
+    }
+  }
+
+  /**
+   * Raw category suggestions for a free-text query, best match first
+   *
+   * @returns {Promise<Array<{categoryId, categoryName, categoryPath, level, rank}>>}
+   *   categoryPath is "Root > ... > Category"
+   */
+  async getCategorySuggestions(query, { marketplaceId } = {}) {
+    const data = await this._cachedGet(
+      marketplaceId,
+      "suggestions",
+      query.trim().toLowerCase(),
+      "get_category_suggestions",
+      { q: query }
     );
 
-    const suggestions = res.data.categorySuggestions || [];
+    return (data.categorySuggestions || []).map((suggestion, rank) => {
+      // Ancestors come nearest-first
+      const ancestors = [...(suggestion.categoryTreeNodeAncestors || [])]
+        .sort((a, b) => a.categoryTreeNodeLevel - b.categoryTreeNodeLevel)
+        .map((a) => a.categoryName);
+
+      return {
+        categoryId: suggestion.category.categoryId,
+        categoryName: suggestion.category.categoryName,
+        categoryPath: [...ancestors, suggestion.category.categoryName].join(
+          " > "
+        ),
+        level: suggestion.categoryTreeNodeLevel,
+        rank,
+      };
+    });
+  }
+
+  /**
+   * Suggest a VALID LEAF category for listing
+   *
+   * Leaves under the top suggestions are scored against the title and
+   * aspects (see utils/categoryScoring); `candidates` is that ranking.
+   */
+  async suggestCategory(title, { marketplaceId, aspects } = {}) {
+    const suggestions = await this.getCategorySuggestions(title, {
+      marketplaceId,
+    });
 
     if (!suggestions.length) {
       logger.warn("No category suggestions, using safe fallback");
       return {
         categoryId: "220", // Toys & Hobbies (leaf-safe)
         categoryName: "Toys & Hobbies",
+        candidates: [],
       };
     }
 
-    const parent = suggestions[0].category;
+    const leafLists = await Promise.all(
+      suggestions
+        .slice(0, SCORED_SUGGESTIONS)
+        .map((suggestion) =>
+          this._leafCandidates(suggestion, { marketplaceId })
+        )
+    );
 
-    const leafCategoryId = await this.resolveLeafCategory(parent.categoryId);
+    // The same leaf can sit under two suggestions: keep the better rank
+    const leaves = new Map();
+    leafLists.flat().forEach((leaf) => {
+      const seen = leaves.get(leaf.categoryId);
+      if (!seen || leaf.suggestionRank < seen.suggestionRank) {
+        leaves.set(leaf.categoryId, leaf);
+      }
+    });
+
+    const { suggestionRank, ...resolved } = this._pickLeaf(
+      [...leaves.values()],
+      { title, aspects }
+    );
+    const parent = suggestions[suggestionRank];
 
     return {
-      categoryId: leafCategoryId,
-      categoryName: parent.categoryName,
-      parentCategoryId: parent.categoryId,
+      ...resolved,
+      parentCategoryId:
+        parent.categoryId === resolved.categoryId ? null : parent.categoryId,
     };
   }
 
   /**
-   * Resolve a category to its FIRST LEAF node
+   * Resolve a category to a LEAF node
    * (Required for Inventory Offer creation)
+   *
+   * With a title / aspects every leaf in the subtree is scored and the best
+   * one wins; without them, or when the scores are too close to call, the
+   * first-child walk is used.
+   *
+   * @param {string} categoryId
+   * @param {Object} options - { marketplaceId, title, aspects, categoryPath }
+   *   categoryPath ("A > B") prefixes candidate paths when known
+   * @returns {Promise<{ categoryId, categoryName, categoryPath, method, candidates }>}
+   *   method: "leaf" (single candidate) | "scored" | "first_child"
    */
-  async resolveLeafCategory(categoryId) {
-    const appToken = await authService.getApplicationToken();
-
-    const res = await axios.get(
-      `${EBAY_CONFIG.baseUrl}/commerce/taxonomy/v1/category_tree/0/get_category_subtree`,
-      {
-        params: { category_id: categoryId },
-        headers: {
-          Authorization: `Bearer ${appToken}`,
-        },
+  async resolveLeafCategory(categoryId, options = {}) {
+    const { marketplaceId, title, aspects, categoryPath } = options;
+
+    const leaves = await this._leafCandidates(
+      { categoryId, categoryPath, rank: 0 },
+      { marketplaceId }
+    );
+
+    const { suggestionRank, ...resolved } = this._pickLeaf(leaves, {
+      title,
+      aspects,
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Get required item specifics for a category
+   */
+  async getCategoryAspects(categoryId, { marketplaceId } = {}) {
+    return this._cachedGet(
+      marketplaceId,
+      "aspects",
+      categoryId,
+      "get_item_aspects_for_category",
+      { category_id: categoryId }
+    );
+  }
+
+  // ────────────────────────────────────────────────
+  // CACHE ADMIN
+  // ────────────────────────────────────────────────
+
+  /**
+   * Pre-load subtrees (and optionally aspects) for the given categories.
+   * Failures are reported per category and don't stop the run.
+   */
+  async warmCache(categoryIds, { marketplaceId, aspects = true } = {}) {
+    const tree = await this.getCategoryTree(marketplaceId);
+    const results = [];
+
+    for (const categoryId of categoryIds) {
+      try {
+        const leaves = await this._leafCandidates(
+          { categoryId, rank: 0 },
+          { marketplaceId }
+        );
+        if (aspects) {
+          await this.getCategoryAspects(categoryId, { marketplaceId });
+        }
+        results.push({ categoryId, success: true, leaves: leaves.length });
+      } catch (err) {
+        results.push({
+          categoryId,
+          success: false,
+          error: normalizeEbayError(err),
+        });
       }
+    }
+
+    logger.info("Taxonomy cache warmed", {
+      marketplaceId,
+      categoryTreeId: tree.categoryTreeId,
+      categories: categoryIds.length,
+      failed: results.filter((r) => !r.success).length,
+    });
+
+    return {
+      marketplaceId,
+      categoryTreeId: tree.categoryTreeId,
+      categoryTreeVersion: tree.categoryTreeVersion,
+      results,
+    };
+  }
+
+  /**
+   * Drop one category's cached subtree / aspects, or the whole tree of the
+   * marketplace (which also re-checks the tree version on next use)
+   */
+  async invalidateCache({ marketplaceId, categoryId } = {}) {
+    const tree = await this.getCategoryTree(marketplaceId);
+    await taxonomyCache.invalidate(tree, { categoryId });
+
+    if (!categoryId) {
+      this.categoryTrees.delete(getMarketplace(marketplaceId).marketplaceId);
+    }
+
+    return {
+      marketplaceId,
+      categoryTreeId: tree.categoryTreeId,
+      categoryId: categoryId || null,
+    };
+  }
+
+  getCacheStatus() {
+    return {
+      ...taxonomyCache.getStats(),
+      versionCheckMinutes: config.taxonomy.versionCheckMinutes,
+      trees: [...this.categoryTrees.entries()].map(([marketplaceId, tree]) => ({
+        marketplaceId,
+        categoryTreeId: tree.categoryTreeId,
+        categoryTreeVersion: tree.categoryTreeVersion,
+        checkedAt: new Date(tree.checkedAt).toISOString(),
+      })),
+    };
+  }
+
+  // ────────────────────────────────────────────────
+  // INTERNAL
+  // ────────────────────────────────────────────────
+
+  /**
+   * Every leaf under a category, with its path and first-child flag.
+   * A category without a subtree is returned as its own single leaf.
+   *
+   * @param {Object} suggestion - { categoryId, categoryName?, categoryPath?, rank }
+   */
+  async _leafCandidates(suggestion, { marketplaceId } = {}) {
+    const data = await this._cachedGet(
+      marketplaceId,
+      "subtree",
+      suggestion.categoryId,
+      "get_category_subtree",
+      { category_id: suggestion.categoryId }
     );
 
     // eBay response is NOT consistent
-    const root =
-      res.data.rootCategoryNode || res.data.categorySubtreeNode || null;
+    const root = data.rootCategoryNode || data.categorySubtreeNode || null;
+
+    // Path above the subtree root ("A > B"), without the root itself
+    const basePath = (suggestion.categoryPath || "")
+      .split(" > ")
+      .filter(Boolean)
+      .slice(0, -1);
 
     // ✅ If no subtree returned → category IS A LEAF
     if (!root) {
-      logger.info("Category is already a leaf", { categoryId });
-      return categoryId;
+      logger.info("Category is already a leaf", {
+        categoryId: suggestion.categoryId,
+      });
+      return [
+        {
+          categoryId: suggestion.categoryId,
+          categoryName:
+            suggestion.categoryName ||
+            (suggestion.categoryPath || "").split(" > ").pop() ||
+            null,
+          categoryPath: suggestion.categoryPath || null,
+          suggestionRank: suggestion.rank,
+          firstChild: true,
+        },
+      ];
     }
 
-    const findLeaf = (node) => {
-      if (
-        !node.childCategoryTreeNodes ||
-        node.childCategoryTreeNodes.length === 0
-      ) {
-        return node.category.categoryId;
+    const leaves = [];
+    const walk = (node, path, firstChild) => {
+      const here = [...path, node.category.categoryName];
+      const children = node.childCategoryTreeNodes || [];
+
+      if (children.length === 0) {
+        leaves.push({
+          categoryId: node.category.categoryId,
+          categoryName: node.category.categoryName,
+          categoryPath: here.join(" > "),
+          suggestionRank: suggestion.rank,
+          firstChild,
+        });
+        return;
       }
 
-      // deterministic walk (first child)
-      return findLeaf(node.childCategoryTreeNodes[0]);
+      children.forEach((child, idx) =>
+        walk(child, here, firstChild && idx === 0)
+      );
     };
+    walk(root, basePath, true);
+
+    return leaves;
+  }
+
+  /**
+   * Best scored leaf, or the first-child leaf of the best-ranked
+   * suggestion when scoring is inconclusive
+   */
+  _pickLeaf(leaves, { title, aspects } = {}) {
+    const { ranked, conclusive } = rankLeaves(leaves, { title, aspects });
+
+    let chosen;
+    let method;
 
-    const leafId = findLeaf(root);
+    if (leaves.length === 1) {
+      [chosen] = ranked;
+      method = "leaf";
+    } else if (conclusive) {
+      [chosen] = ranked;
+      method = "scored";
+    } else {
+      const bestRank = Math.min(...leaves.map((l) => l.suggestionRank));
+      chosen = ranked.find(
+        (l) => l.firstChild && l.suggestionRank === bestRank
+      );
+      method = "first_child";
+    }
 
-    if (!leafId || !/^\d+$/.test(leafId)) {
-      throw new Error(`Failed to resolve leaf category from ${categoryId}`);
+    if (!chosen || !/^\d+$/.test(chosen.categoryId)) {
+      throw new Error(
+        `Failed to resolve leaf category from ${leaves[0]?.categoryId}`
+      );
     }
 
-    return leafId;
+    logger.info("Leaf category resolved", {
+      categoryId: chosen.categoryId,
+      categoryPath: chosen.categoryPath,
+      method,
+      score: chosen.score,
+      candidates: ranked.length,
+    });
+
+    return {
+      categoryId: chosen.categoryId,
+      categoryName: chosen.categoryName,
+      categoryPath: chosen.categoryPath,
+      suggestionRank: chosen.suggestionRank,
+      method,
+      candidates: ranked
+        .slice(0, MAX_LEAF_CANDIDATES)
+        .map(({ firstChild, ...leaf }) => leaf),
+    };
   }
 
   /**
-   * Get required item specifics for a category
+   * GET a category_tree/{id} resource through the taxonomy cache,
+   * revalidating stale entries with If-None-Match when eBay sent an ETag
    */
-  async getCategoryAspects(categoryId) {
-    const appToken = await authService.getApplicationToken();
-
-    const res = await axios.get(
-      `${EBAY_CONFIG.baseUrl}/commerce/taxonomy/v1/category_tree/0/get_item_aspects_for_category`,
-      {
-        params: { category_id: categoryId },
-        headers: {
-          Authorization: `Bearer ${appToken}`,
-        },
-      }
-    );
+  async _cachedGet(marketplaceId, kind, id, resource, params) {
+    const tree = await this.getCategoryTree(marketplaceId);
+    const url = `${EBAY_CONFIG.baseUrl}/commerce/taxonomy/v1/category_tree/${tree.categoryTreeId}/${resource}`;
+
+    return taxonomyCache.getOrLoad(tree, kind, id, async (etag) => {
+      const res = await authService.withApplicationToken((appToken) =>
+        axios.get(url, {
+          params,
+          headers: {
+            Authorization: `Bearer ${appToken}`,
+            ...(etag && { "If-None-Match": etag }),
+          },
+          validateStatus: (status) =>
+            (status >= 200 && status < 300) || status === 304,
+        })
+      );
 
-    return res.data;
+      if (res.status === 304) return { notModified: true };
+      return { data: res.data, etag: res.headers?.etag };
+    });
   }
 }
 
@@ -0,0 +1,172 @@
+const config = require("../../../config");
+const logger = require("../../../config/logger.config");
+const { createStore } = require("../../../stores");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Stale entries are kept this many TTLs longer so they can be revalidated
+// with If-None-Match instead of downloaded again
+const RETENTION_FACTOR = 2;
+
+/**
+ * Cache for Taxonomy API responses, one store per category tree
+ * ("taxonomy-0" for EBAY_US, "taxonomy-3" for EBAY_GB, ...).
+ *
+ * Keys carry the category tree version and a generation counter, so a new
+ * tree version or an invalidation simply stops matching older entries;
+ * those expire with their TTL.
+ *
+ *   <version>:<generation>:<kind>:<id>   kind = subtree | aspects | suggestions
+ */
+class TaxonomyCacheService {
+  constructor() {
+    this.driver = config.taxonomy.cacheDriver;
+    this.ttlMs = Object.fromEntries(
+      Object.entries(config.taxonomy.ttlHours).map(([kind, hours]) => [
+        kind,
+        hours * HOUR_MS,
+      ])
+    );
+
+    // categoryTreeId -> store
+    this.stores = new Map();
+
+    this.stats = { hits: 0, misses: 0, revalidated: 0, errors: 0 };
+  }
+
+  /**
+   * Cached value, or `load(etag)` on a miss / stale entry.
+   * `load` resolves { data, etag } or { notModified: true } (HTTP 304);
+   * if it fails, a stale entry is still returned.
+   *
+   * @param {Object} tree - { categoryTreeId, categoryTreeVersion }
+   * @param {string} kind - subtree | aspects | suggestions
+   * @param {string} id - category ID or normalized query
+   */
+  async getOrLoad(tree, kind, id, load) {
+    const store = this._store(tree);
+    const key = await this._key(tree, kind, id);
+
+    let entry = null;
+    try {
+      entry = await store.get(key);
+    } catch (err) {
+      this.stats.errors++;
+      logger.warn("Taxonomy cache read failed", {
+        key,
+        error: err.message,
+      });
+    }
+
+    if (entry && Date.now() - entry.cachedAt < this.ttlMs[kind]) {
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    let result;
+    try {
+      result = await load(entry?.etag || null);
+    } catch (err) {
+      if (!entry) throw err;
+
+      // eBay is failing: a stale answer beats none
+      logger.warn("Taxonomy refresh failed, serving stale entry", {
+        key,
+        error: err.message,
+      });
+      return entry.value;
+    }
+
+    if (result.notModified && entry) {
+      this.stats.revalidated++;
+      await this._put(store, key, kind, { ...entry, cachedAt: Date.now() });
+      return entry.value;
+    }
+
+    this.stats.misses++;
+    await this._put(store, key, kind, {
+      value: result.data,
+      etag: result.etag || null,
+      cachedAt: Date.now(),
+    });
+
+    return result.data;
+  }
+
+  /**
+   * Drop one category's entries, or everything for the tree when no
+   * categoryId is given (bumps the generation)
+   */
+  async invalidate(tree, { categoryId } = {}) {
+    const store = this._store(tree);
+
+    if (categoryId) {
+      for (const kind of ["subtree", "aspects"]) {
+        await store.delete(await this._key(tree, kind, categoryId));
+      }
+      logger.info("Taxonomy cache invalidated for category", {
+        categoryTreeId: tree.categoryTreeId,
+        categoryId,
+      });
+      return;
+    }
+
+    const generation = (await this._generation(store)) + 1;
+    await store.set("generation", generation);
+
+    logger.info("Taxonomy cache invalidated", {
+      categoryTreeId: tree.categoryTreeId,
+      generation,
+    });
+  }
+
+  getStats() {
+    return {
+      driver: this.driver,
+      ttlHours: config.taxonomy.ttlHours,
+      ...this.stats,
+    };
+  }
+
+  // ────────────────────────────────────────────────
+  // INTERNAL
+  // ────────────────────────────────────────────────
+
+  _store({ categoryTreeId }) {
+    if (!this.stores.has(categoryTreeId)) {
+      this.stores.set(
+        categoryTreeId,
+        createStore(`taxonomy-${categoryTreeId}`, { driver: this.driver })
+      );
+    }
+    return this.stores.get(categoryTreeId);
+  }
+
+  async _generation(store) {
+    return (await store.get("generation")) || 0;
+  }
+
+  async _key(tree, kind, id) {
+    const generation = await this._generation(this._store(tree));
+    return `${
+      tree.categoryTreeVersion || "unversioned"
+    }:${generation}:${kind}:${id}`;
+  }
+
+  /**
+   * A failed write only costs a future miss
+   */
+  async _put(store, key, kind, entry) {
+    try {
+      await store.set(key, entry, this.ttlMs[kind] * RETENTION_FACTOR);
+    } catch (err) {
+      this.stats.errors++;
+      logger.warn("Taxonomy cache write failed", {
+        key,
+        error: err.message,
+      });
+    }
+  }
+}
+
+module.exports = new TaxonomyCacheService();
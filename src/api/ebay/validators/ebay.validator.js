@@ -0,0 +1,472 @@
+/**
+ * Request schemas for /api/ebay routes (see utils/validator.js for the DSL).
+ * Limits mirror the eBay Inventory API.
+ */
+
+const {
+  isSupportedMarketplace,
+  normalizeMarketplaceId,
+} = require("../../../config/marketplaces");
+
+const TITLE_MAX_LENGTH = 80;
+const MAX_IMAGES = 12;
+const SKU_PATTERN = /^[A-Za-z0-9._-]{1,50}$/;
+const CATEGORY_ID_PATTERN = /^\d+$/;
+const MERCHANT_LOCATION_KEY_PATTERN = /^[A-Za-z0-9_-]{1,36}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// ────────────────────────────────────────────────
+// SHARED FIELDS
+// ────────────────────────────────────────────────
+
+const sku = {
+  type: "string",
+  required: true,
+  trim: true,
+  pattern: SKU_PATTERN,
+  message: "must be 1-50 characters: letters, digits, '.', '_' or '-'",
+};
+
+const categoryId = {
+  type: "string",
+  trim: true,
+  pattern: CATEGORY_ID_PATTERN,
+  message: "must be a numeric eBay category ID",
+};
+
+const title = {
+  type: "string",
+  trim: true,
+  minLength: 1,
+  maxLength: TITLE_MAX_LENGTH,
+};
+
+const imageUrls = {
+  type: "array",
+  maxItems: MAX_IMAGES,
+  items: {
+    type: "string",
+    pattern: /^https?:\/\//,
+    message: "must be an http(s) URL",
+  },
+};
+
+const merchantLocationKey = {
+  type: "string",
+  pattern: MERCHANT_LOCATION_KEY_PATTERN,
+  message: "must be 1-36 characters: letters, digits, _ or -",
+};
+
+const marketplaceId = {
+  type: "string",
+  check: (value) =>
+    isSupportedMarketplace(value) ? null : `unsupported marketplace: ${value}`,
+  // "UK" → "EBAY_GB": eBay only accepts the full ID
+  transform: normalizeMarketplaceId,
+};
+
+const pagination = (maxLimit) => ({
+  limit: { type: "integer", min: 1, max: maxLimit },
+  offset: { type: "integer", min: 0, default: 0 },
+});
+
+const address = {
+  type: "object",
+  properties: {
+    country: {
+      type: "string",
+      required: true,
+      pattern: /^[A-Z]{2}$/,
+      message: "must be a 2-letter ISO country code",
+    },
+    postalCode: { type: "string" },
+    city: { type: "string" },
+    stateOrProvince: { type: "string" },
+    addressLine1: { type: "string" },
+    addressLine2: { type: "string" },
+  },
+};
+
+// ────────────────────────────────────────────────
+// AUTH
+// ────────────────────────────────────────────────
+
+const exchangeToken = {
+  body: {
+    code: { type: "string", required: true },
+    state: { type: "string", required: true },
+    marketplaceId,
+  },
+};
+
+const refreshToken = {
+  body: {
+    refresh_token: { type: "string", required: true },
+  },
+};
+
+const updateSession = {
+  body: {
+    marketplaceId: { ...marketplaceId, required: true },
+  },
+};
+
+// ────────────────────────────────────────────────
+// TAXONOMY
+// ────────────────────────────────────────────────
+
+const suggestCategory = {
+  body: {
+    title: { type: "string", required: true, trim: true, minLength: 1 },
+    itemSpecifics: { type: "object" },
+  },
+};
+
+const getCategoryAspects = {
+  params: {
+    categoryId: { ...categoryId, required: true },
+  },
+};
+
+const getCategoryConditions = {
+  params: {
+    categoryId: { ...categoryId, required: true },
+  },
+};
+
+const checkAspects = {
+  body: {
+    items: {
+      type: "array",
+      required: true,
+      minItems: 1,
+      maxItems: 500,
+      items: {
+        type: "object",
+        required: true,
+        properties: {
+          sku: { ...sku, required: false },
+          categoryId: { ...categoryId, required: true },
+          itemSpecifics: { type: "object" },
+          aspects: { type: "object" },
+        },
+      },
+    },
+  },
+};
+
+const warmTaxonomyCache = {
+  body: {
+    categoryIds: {
+      type: "array",
+      required: true,
+      minItems: 1,
+      maxItems: 50,
+      items: { ...categoryId, required: true },
+    },
+    aspects: { type: "boolean", default: true },
+  },
+};
+
+const invalidateTaxonomyCache = {
+  query: {
+    categoryId,
+  },
+};
+
+// ────────────────────────────────────────────────
+// CATALOG
+// ────────────────────────────────────────────────
+
+const catalogMatch = {
+  body: {
+    upc: { type: "string", trim: true, maxLength: 20 },
+    mpn: { type: "string", trim: true, maxLength: 65 },
+    brand: { type: "string", trim: true, maxLength: 65 },
+    model: { type: "string", trim: true, maxLength: 65 },
+    title: { type: "string", trim: true, maxLength: 350 },
+    categoryId,
+  },
+};
+
+const catalogProduct = {
+  params: {
+    epid: {
+      type: "string",
+      required: true,
+      pattern: /^\d+$/,
+      message: "must be a numeric eBay product ID (ePID)",
+    },
+  },
+};
+
+// ────────────────────────────────────────────────
+// MARKET DATA
+// ────────────────────────────────────────────────
+
+const findComparables = {
+  body: {
+    brand: { type: "string", trim: true, maxLength: 65 },
+    model: { type: "string", trim: true, maxLength: 65 },
+    title: { type: "string", trim: true, maxLength: 350 },
+    categoryId,
+    categoryHint: { type: "string", trim: true, maxLength: 350 },
+    limit: { type: "integer", min: 1, max: 200 },
+  },
+};
+
+// ────────────────────────────────────────────────
+// DRAFTING
+// ────────────────────────────────────────────────
+
+const asyncQuery = {
+  async: { type: "boolean", default: false },
+};
+
+const batchCreateDrafts = {
+  query: asyncQuery,
+  body: {
+    drafts: {
+      type: "array",
+      required: true,
+      minItems: 1,
+      items: {
+        type: "object",
+        required: true,
+        properties: {
+          sku,
+          inventoryItem: {
+            type: "object",
+            required: true,
+            properties: {
+              condition: { type: "string", trim: true },
+              conditionDescription: { type: "string", maxLength: 1000 },
+              product: {
+                type: "object",
+                properties: { title, imageUrls },
+              },
+            },
+          },
+          // AI flaws, used as conditionDescription when none is given
+          flaws: { type: "array", items: { type: "string" } },
+          offer: {
+            type: "object",
+            required: true,
+            properties: {
+              categoryId,
+              marketplaceId,
+              availableQuantity: { type: "integer", min: 0 },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const publishDrafts = {
+  body: {
+    offerIds: {
+      type: "array",
+      maxItems: 500,
+      items: {
+        type: "string",
+        pattern: /^\d+$/,
+        message: "must be a numeric eBay offer ID",
+      },
+    },
+    skus: { type: "array", maxItems: 500, items: sku },
+  },
+};
+
+const isoDate = {
+  type: "string",
+  check: (value) =>
+    Number.isNaN(Date.parse(value)) ? "must be an ISO 8601 date" : null,
+};
+
+const getDraftOffers = {
+  query: {
+    ...pagination(200),
+    limit: { type: "integer", min: 1, max: 200, default: 200 },
+    cursor: { type: "string" },
+    status: {
+      type: "string",
+      enum: ["UNPUBLISHED", "PUBLISHED", "ALL"],
+      default: "UNPUBLISHED",
+    },
+    skuPrefix: { type: "string" },
+    categoryId,
+    marketplaceId,
+    createdAfter: isoDate,
+    createdBefore: isoDate,
+  },
+};
+
+// ────────────────────────────────────────────────
+// LISTING
+// ────────────────────────────────────────────────
+
+const publishListing = {
+  body: {
+    sku,
+    title: { ...title, required: true },
+    description: { type: "string" },
+    price: { type: "number", required: true, min: 0.01 },
+    currency: {
+      type: "string",
+      trim: true,
+      pattern: CURRENCY_PATTERN,
+      message: "must be a 3-letter ISO currency code",
+    },
+    condition: { type: "string", trim: true },
+    conditionDescription: { type: "string", maxLength: 1000 },
+    quantity: { type: "integer", min: 1 },
+    imageUrls,
+    categoryId,
+    itemSpecifics: { type: "object" },
+    epid: {
+      type: "string",
+      trim: true,
+      pattern: /^\d+$/,
+      message: "must be a numeric eBay product ID (ePID)",
+    },
+    skipAspectCheck: { type: "boolean", default: false },
+    shippingWeight: { type: "number", min: 0 },
+    flaws: { type: "array", items: { type: "string" } },
+    seoKeywords: { type: "array", items: { type: "string" } },
+    merchantLocationKey,
+  },
+};
+
+const offerByIdParams = {
+  offerId: {
+    type: "string",
+    required: true,
+    pattern: /^\d+$/,
+    message: "must be a numeric eBay offer ID",
+  },
+};
+
+const offerById = {
+  params: offerByIdParams,
+};
+
+const updateOffer = {
+  params: offerByIdParams,
+  body: {
+    price: { type: "number", min: 0.01 },
+    currency: {
+      type: "string",
+      trim: true,
+      pattern: CURRENCY_PATTERN,
+      message: "must be a 3-letter ISO currency code",
+    },
+    quantity: { type: "integer", min: 0 },
+    listingDescription: { type: "string" },
+    categoryId,
+    merchantLocationKey,
+    listingPolicies: {
+      type: "object",
+      properties: {
+        fulfillmentPolicyId: { type: "string" },
+        paymentPolicyId: { type: "string" },
+        returnPolicyId: { type: "string" },
+      },
+    },
+  },
+};
+
+const inventoryBySku = {
+  params: { sku },
+};
+
+// ────────────────────────────────────────────────
+// MEDIA
+// ────────────────────────────────────────────────
+
+const uploadImage = {
+  body: {
+    imageData: { type: "string", required: true, minLength: 1 },
+    filename: { type: "string" },
+  },
+};
+
+// ────────────────────────────────────────────────
+// SETUP / LOCATIONS
+// ────────────────────────────────────────────────
+
+const locationKeyParams = {
+  merchantLocationKey: { ...merchantLocationKey, required: true },
+};
+
+const createLocation = {
+  body: {
+    merchantLocationKey,
+    address: {
+      ...address,
+      required: true,
+      check: (value) =>
+        value.postalCode || (value.city && value.stateOrProvince)
+          ? null
+          : "requires postalCode or city + stateOrProvince",
+    },
+    name: { type: "string" },
+    locationTypes: { type: "array", items: { type: "string" } },
+  },
+};
+
+const getLocations = {
+  query: pagination(100),
+};
+
+const locationByKey = {
+  params: locationKeyParams,
+};
+
+const updateLocation = {
+  params: locationKeyParams,
+  body: {
+    address,
+    name: { type: "string" },
+    phone: { type: "string" },
+    locationTypes: { type: "array", items: { type: "string" } },
+    locationWebUrl: { type: "string" },
+    timeZoneId: { type: "string" },
+    operatingHours: { type: "array" },
+    specialHours: { type: "array" },
+  },
+};
+
+module.exports = {
+  TITLE_MAX_LENGTH,
+  MAX_IMAGES,
+  SKU_PATTERN,
+  CATEGORY_ID_PATTERN,
+  MERCHANT_LOCATION_KEY_PATTERN,
+
+  exchangeToken,
+  refreshToken,
+  updateSession,
+  suggestCategory,
+  getCategoryAspects,
+  getCategoryConditions,
+  checkAspects,
+  warmTaxonomyCache,
+  invalidateTaxonomyCache,
+  catalogMatch,
+  catalogProduct,
+  findComparables,
+  batchCreateDrafts,
+  publishDrafts,
+  getDraftOffers,
+  publishListing,
+  offerById,
+  updateOffer,
+  inventoryBySku,
+  uploadImage,
+  createLocation,
+  getLocations,
+  locationByKey,
+  updateLocation,
+};
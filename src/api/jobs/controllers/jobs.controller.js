@@ -0,0 +1,147 @@
+const jobService = require("../services/job.service");
+const {
+  successResponse,
+  errorResponse,
+} = require("../../../utils/apiResponse");
+const logger = require("../../../config/logger.config");
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Write one Server-Sent Event; the event id lets clients resume with
+ * Last-Event-ID after a reconnect.
+ */
+const writeEvent = (res, event) => {
+  if (event.id) res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+};
+
+const doneEvent = (job) => ({
+  id: 0,
+  type: "done",
+  jobId: job.id,
+  at: job.finishedAt || new Date().toISOString(),
+  status: job.status,
+  progress: job.progress,
+  result: job.result,
+  error: job.error,
+});
+
+class JobsController {
+  /**
+   * GET /api/jobs/:jobId
+   * Status, progress and per-item results
+   */
+  async getJob(req, res) {
+    try {
+      const job = await jobService.getJob(req.params.jobId);
+
+      if (!job) {
+        return errorResponse(res, "Job not found", 404);
+      }
+
+      successResponse(res, job);
+    } catch (error) {
+      logger.error("Job lookup failed", { error: error.message });
+      errorResponse(res, "Failed to load job", 500);
+    }
+  }
+
+  /**
+   * GET /api/jobs/:jobId/events
+   * Server-Sent Events: a "snapshot" of the job, then live status / stage /
+   * progress / item events until a final "done" event closes the stream.
+   * On a worker that doesn't own the job only status / progress / done
+   * are sent, read from the job store.
+   */
+  async streamEvents(req, res) {
+    const { jobId } = req.params;
+    let job;
+
+    try {
+      job = await jobService.getJob(jobId);
+    } catch (error) {
+      logger.error("Job lookup failed", { jobId, error: error.message });
+      return errorResponse(res, "Failed to load job", 500);
+    }
+
+    if (!job) {
+      return errorResponse(res, "Job not found", 404);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+
+    writeEvent(res, {
+      id: 0,
+      type: "snapshot",
+      jobId,
+      at: new Date().toISOString(),
+      status: job.status,
+      progress: job.progress,
+    });
+
+    if (jobService.isFinished(job)) {
+      writeEvent(res, doneEvent(job));
+      return res.end();
+    }
+
+    const lastEventId = Number(req.headers["last-event-id"]) || 0;
+    let heartbeat = null;
+    let unsubscribe = null;
+
+    const close = () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+      if (!res.writableEnded) res.end();
+    };
+
+    unsubscribe = jobService.subscribe(
+      jobId,
+      (event) => {
+        writeEvent(res, event);
+        if (event.type === "done") close();
+      },
+      lastEventId
+    );
+
+    // The replayed history already held "done"
+    if (res.writableEnded) return unsubscribe();
+
+    heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    res.on("close", close);
+
+    logger.debug("Job event stream opened", { jobId, lastEventId });
+  }
+
+  /**
+   * POST /api/jobs/:jobId/cancel
+   */
+  async cancelJob(req, res) {
+    try {
+      const job = await jobService.cancelJob(req.params.jobId);
+
+      if (!job) {
+        return errorResponse(res, "Job not found", 404);
+      }
+
+      successResponse(
+        res,
+        job,
+        job.status === "cancelled"
+          ? "Job cancelled"
+          : `Job is ${job.status}, cancellation requested`
+      );
+    } catch (error) {
+      logger.error("Job cancel failed", { error: error.message });
+      errorResponse(res, "Failed to cancel job", 500);
+    }
+  }
+}
+
+module.exports = new JobsController();
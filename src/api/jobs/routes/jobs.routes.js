@@ -0,0 +1,39 @@
+const express = require("express");
+const jobsController = require("../controllers/jobs.controller");
+const { verifyApiKey } = require("../../../middleware/auth.middleware");
+const { validate } = require("../../../middleware/validation.middleware");
+const schemas = require("../validators/jobs.validator");
+
+const router = express.Router();
+
+// All routes require API key
+router.use(verifyApiKey);
+
+/**
+ * @route   GET /api/jobs/:jobId
+ * @desc    Job status, progress and per-item results
+ */
+router.get("/:jobId", validate(schemas.jobById), jobsController.getJob);
+
+/**
+ * @route   GET /api/jobs/:jobId/events
+ * @desc    Live job events as Server-Sent Events (resumable via Last-Event-ID)
+ */
+router.get(
+  "/:jobId/events",
+  validate(schemas.jobById),
+  jobsController.streamEvents
+);
+
+/**
+ * @route   POST /api/jobs/:jobId/cancel
+ * @desc    Cancel a queued or running job (partial results are kept)
+ */
+router.post(
+  "/:jobId/cancel",
+  validate(schemas.jobById),
+  jobsController.cancelJob
+);
+router.delete("/:jobId", validate(schemas.jobById), jobsController.cancelJob);
+
+module.exports = router;
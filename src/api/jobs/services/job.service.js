@@ -0,0 +1,448 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const config = require("../../../config");
+const logger = require("../../../config/logger.config");
+const { createStore } = require("../../../stores");
+
+const JOB_PREFIX = "job_";
+
+// Cancel requests for jobs owned by another worker, picked up by its heartbeat
+const CANCEL_PREFIX = "cancel:";
+const TERMINAL_STATUSES = ["succeeded", "failed", "cancelled"];
+
+// Events kept per running job so late or reconnecting subscribers catch up
+const EVENT_HISTORY_LIMIT = 200;
+
+// How often subscribers to a job owned by another worker re-read the store
+const POLL_MS = 2000;
+
+/**
+ * In-process job queue for long-running work (batch drafting, bulk AI).
+ *
+ * Job state is persisted to a store (file by default; redis when
+ * clustered) so progress and results survive a restart and can be read
+ * from any worker. The work itself lives in memory in the process that
+ * queued it, which keeps its in-flight records fresh (a heartbeat lease).
+ * A queued or running job whose lease ran out - its owner stopped - is
+ * reported as failed.
+ *
+ * Status flow: queued → running → succeeded | failed | cancelled
+ *
+ * Live events (for GET /api/jobs/:jobId/events), all with { id, type, jobId, at }:
+ *   status   { status }                       queued / running / cancel requested
+ *   stage    { stage, message, ... }          reported by the job itself
+ *   progress { progress }                     after every addResults()
+ *   item     { index, sku, stage, message }   one per failed result
+ *   done     { status, progress, result, error }
+ */
+class JobService {
+  constructor() {
+    this.store = createStore("jobs", {
+      driver: config.jobs.storeDriver,
+      shared: true,
+    });
+    this.ttlMs = config.jobs.ttlHours * 60 * 60 * 1000;
+    this.leaseMs = config.jobs.leaseSeconds * 1000;
+    this.heartbeat = null;
+    this.concurrency = config.jobs.concurrency;
+
+    this.queue = [];
+    this.running = 0;
+
+    // jobId -> { run, controller, record, history, seq } for jobs owned by this process
+    this.active = new Map();
+
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * Queue a job and return its initial record right away
+   *
+   * @param {Object} spec
+   * @param {string} spec.type - e.g. "draft.batch", "ai.analyze-bulk"
+   * @param {number} [spec.total] - number of items, for progress
+   * @param {Object} [spec.meta] - small, serializable request summary
+   * @param {Function} run - async ({ signal, progress, addResults, stage }) => result
+   */
+  async enqueue({ type, total = null, meta = {} }, run) {
+    const now = new Date().toISOString();
+    const record = {
+      id: JOB_PREFIX + crypto.randomBytes(16).toString("hex"),
+      type,
+      status: "queued",
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      progress: { total, completed: 0, failed: 0 },
+      meta,
+      results: [],
+      result: null,
+      error: null,
+    };
+
+    await this._save(record);
+
+    this.active.set(record.id, {
+      run,
+      record,
+      controller: new AbortController(),
+      history: [],
+      seq: 0,
+    });
+    this.queue.push(record.id);
+    this._emit(record, "status", { status: record.status });
+    this._startHeartbeat();
+
+    logger.info("Job queued", { jobId: record.id, type, total });
+
+    setImmediate(() => this._drain());
+    return record;
+  }
+
+  async getJob(jobId) {
+    const active = this.active.get(jobId);
+    if (active) return active.record;
+
+    const record = await this.store.get(jobId);
+    if (!record) return null;
+
+    // In flight elsewhere: only lost once its owner stopped refreshing it
+    if (
+      !TERMINAL_STATUSES.includes(record.status) &&
+      Date.now() - Date.parse(record.updatedAt) > this.leaseMs
+    ) {
+      return this._finish(record, "failed", {
+        error: {
+          code: "JOB_INTERRUPTED",
+          message: "Job was interrupted by a server restart",
+        },
+      });
+    }
+
+    return record;
+  }
+
+  isFinished(record) {
+    return TERMINAL_STATUSES.includes(record.status);
+  }
+
+  /**
+   * Cancel a queued or running job.
+   * Running jobs stop at their next checkpoint; partial results are kept.
+   * Jobs owned by another worker are cancelled by that worker on its next
+   * heartbeat; the returned record then still shows the current status.
+   */
+  async cancelJob(jobId) {
+    const record = await this.getJob(jobId);
+    if (!record) return null;
+    if (TERMINAL_STATUSES.includes(record.status)) return record;
+
+    const active = this.active.get(jobId);
+
+    if (!active) {
+      await this.store.set(CANCEL_PREFIX + jobId, true, this.leaseMs);
+      logger.info("Job cancellation forwarded to owning worker", { jobId });
+      return { ...record, cancelRequested: true };
+    }
+
+    if (record.status === "queued") {
+      this.queue = this.queue.filter((id) => id !== jobId);
+      await this._finish(record, "cancelled");
+      this.active.delete(jobId);
+      if (this.active.size === 0) this._stopHeartbeat();
+      return record;
+    }
+
+    record.cancelRequested = true;
+    active.controller.abort();
+    await this._save(record);
+    this._emit(record, "status", {
+      status: record.status,
+      cancelRequested: true,
+    });
+
+    logger.info("Job cancellation requested", { jobId });
+    return record;
+  }
+
+  /**
+   * Follow a job's live events, replaying buffered ones newer than
+   * `afterEventId` first. Jobs owned by another worker are followed
+   * through the store instead (see _pollJob).
+   *
+   * @returns {Function} unsubscribe
+   */
+  subscribe(jobId, listener, afterEventId = 0) {
+    const active = this.active.get(jobId);
+    if (!active) return this._pollJob(jobId, listener);
+
+    active.history.filter((event) => event.id > afterEventId).forEach(listener);
+
+    this.events.on(jobId, listener);
+    return () => this.events.off(jobId, listener);
+  }
+
+  // ────────────────────────────────────────────────
+  // INTERNAL
+  // ────────────────────────────────────────────────
+
+  _drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const jobId = this.queue.shift();
+      const active = this.active.get(jobId);
+      if (!active) continue;
+
+      this.running++;
+      this._execute(active)
+        .catch((err) =>
+          logger.error("Job bookkeeping failed", {
+            jobId,
+            error: err.message,
+          })
+        )
+        .finally(() => {
+          this.running--;
+          this.active.delete(jobId);
+          if (this.active.size === 0) this._stopHeartbeat();
+          this._drain();
+        });
+    }
+  }
+
+  async _execute({ run, record, controller }) {
+    const { signal } = controller;
+
+    record.status = "running";
+    record.startedAt = new Date().toISOString();
+    await this._save(record);
+    this._emit(record, "status", { status: record.status });
+
+    logger.info("Job started", { jobId: record.id, type: record.type });
+
+    const context = {
+      signal,
+      progress: (patch) => {
+        Object.assign(record.progress, patch);
+        this._emit(record, "progress", { progress: record.progress });
+        return this._save(record);
+      },
+      addResults: (items) => {
+        const offset = record.results.length;
+        record.results.push(...items);
+
+        const failed = items.filter((item) => item && item.success === false);
+        record.progress.completed += items.length;
+        record.progress.failed += failed.length;
+
+        items.forEach((item, idx) => {
+          if (item && item.success === false) {
+            this._emit(record, "item", {
+              index: offset + idx,
+              sku: item.sku,
+              stage: item.stage,
+              message: this._itemMessage(item),
+            });
+          }
+        });
+        this._emit(record, "progress", { progress: record.progress });
+
+        return this._save(record);
+      },
+      stage: (data) => this._emit(record, "stage", data),
+    };
+
+    try {
+      const result = await run(context);
+
+      if (signal.aborted) {
+        await this._finish(record, "cancelled", { result });
+      } else {
+        await this._finish(record, "succeeded", { result });
+      }
+    } catch (err) {
+      if (signal.aborted) {
+        await this._finish(record, "cancelled");
+        return;
+      }
+
+      logger.error("Job failed", {
+        jobId: record.id,
+        type: record.type,
+        error: err.message,
+      });
+
+      await this._finish(record, "failed", {
+        error: {
+          code: err.code || "JOB_FAILED",
+          message: err.message,
+        },
+      });
+    }
+  }
+
+  /**
+   * Refresh every job this process owns, so other workers (and getJob
+   * after a restart) can tell live jobs from abandoned ones, and act on
+   * cancel requests those workers left in the store
+   */
+  _startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      this.active.forEach(({ record }) =>
+        this._beat(record).catch((err) =>
+          logger.warn("Job heartbeat failed", {
+            jobId: record.id,
+            error: err.message,
+          })
+        )
+      );
+    }, Math.max(Math.floor(this.leaseMs / 3), 1000));
+    this.heartbeat.unref();
+  }
+
+  async _beat(record) {
+    if (await this.store.take(CANCEL_PREFIX + record.id)) {
+      await this.cancelJob(record.id);
+      return;
+    }
+
+    await this._save(record);
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  async _finish(record, status, { result = null, error = null } = {}) {
+    record.status = status;
+    record.finishedAt = new Date().toISOString();
+    record.result = result ?? record.result;
+    record.error = error;
+    delete record.cancelRequested;
+
+    await this._save(record);
+
+    this._emit(record, "done", {
+      status,
+      progress: record.progress,
+      result: record.result,
+      error: record.error,
+    });
+
+    logger.info("Job finished", {
+      jobId: record.id,
+      type: record.type,
+      status,
+      completed: record.progress.completed,
+      failed: record.progress.failed,
+    });
+
+    return record;
+  }
+
+  _emit(record, type, data = {}) {
+    const active = this.active.get(record.id);
+    const event = {
+      id: active ? ++active.seq : 0,
+      type,
+      jobId: record.id,
+      at: new Date().toISOString(),
+      ...data,
+    };
+
+    if (active) {
+      active.history.push(event);
+      if (active.history.length > EVENT_HISTORY_LIMIT) active.history.shift();
+    }
+
+    this.events.emit(record.id, event);
+  }
+
+  /**
+   * Re-read a job from the store every POLL_MS and report what changed:
+   * "status" and "progress" events (without ids - those belong to the
+   * owning worker), then "done" once the job reaches a final status.
+   * Stage and item events are only seen by subscribers on the owner.
+   */
+  _pollJob(jobId, listener) {
+    let stopped = false;
+    let timer = null;
+    let last = null;
+
+    const emit = (type, data) =>
+      listener({ id: 0, type, jobId, at: new Date().toISOString(), ...data });
+
+    const poll = async () => {
+      let record = null;
+
+      try {
+        // getJob also fails jobs whose owner's lease ran out
+        record = await this.getJob(jobId);
+      } catch (err) {
+        logger.warn("Job poll failed", { jobId, error: err.message });
+      }
+      if (stopped) return;
+
+      if (record) {
+        // The first read is the baseline: the caller already has a snapshot
+        const finished = this.isFinished(record);
+
+        if (last && !finished && record.status !== last.status) {
+          emit("status", { status: record.status });
+        }
+        if (
+          last &&
+          JSON.stringify(record.progress) !== JSON.stringify(last.progress)
+        ) {
+          emit("progress", { progress: record.progress });
+        }
+        last = record;
+
+        if (finished) {
+          emit("done", {
+            status: record.status,
+            progress: record.progress,
+            result: record.result,
+            error: record.error,
+          });
+          return;
+        }
+      } else if (last) {
+        // Expired from the store while being followed
+        emit("done", {
+          status: last.status,
+          progress: last.progress,
+          result: null,
+          error: { code: "JOB_NOT_FOUND", message: "Job record expired" },
+        });
+        return;
+      }
+
+      timer = setTimeout(poll, POLL_MS);
+    };
+
+    poll();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  _itemMessage(item) {
+    const error = Array.isArray(item.error) ? item.error[0] : item.error;
+    const reason = error?.message || error || "failed";
+    return `${item.stage || "item"} failed for SKU ${item.sku}: ${reason}`;
+  }
+
+  _save(record) {
+    record.updatedAt = new Date().toISOString();
+    return this.store.set(record.id, record, this.ttlMs);
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,18 @@
+/**
+ * Request schemas for /api/jobs routes (see utils/validator.js for the DSL).
+ */
+
+const jobById = {
+  params: {
+    jobId: {
+      type: "string",
+      required: true,
+      pattern: /^job_[0-9a-f]{32}$/,
+      message: "must be a job ID returned by an async endpoint",
+    },
+  },
+};
+
+module.exports = {
+  jobById,
+};
@@ -0,0 +1,85 @@
+/**
+ * Inventory API ConditionEnum values, their numeric condition IDs (as used by
+ * the Metadata API item condition policies), and how free-text grades from
+ * the AI pipeline map onto them.
+ */
+const CONDITION_IDS = {
+  NEW: "1000",
+  NEW_OTHER: "1500",
+  NEW_WITH_DEFECTS: "1750",
+  CERTIFIED_REFURBISHED: "2000",
+  EXCELLENT_REFURBISHED: "2010",
+  VERY_GOOD_REFURBISHED: "2020",
+  GOOD_REFURBISHED: "2030",
+  SELLER_REFURBISHED: "2500",
+  LIKE_NEW: "2750",
+  PRE_OWNED_EXCELLENT: "2990",
+  USED_EXCELLENT: "3000",
+  PRE_OWNED_FAIR: "3010",
+  USED_VERY_GOOD: "4000",
+  USED_GOOD: "5000",
+  USED_ACCEPTABLE: "6000",
+  FOR_PARTS_OR_NOT_WORKING: "7000",
+};
+
+// Used when a listing has no condition at all
+const DEFAULT_CONDITION = "USED_EXCELLENT";
+
+/**
+ * Grade → conditions to try, best match first. Later entries are the
+ * closest equivalents for categories that don't allow the first one
+ * (USED_EXCELLENT is the generic "Used" in most categories).
+ */
+const GRADE_CONDITIONS = {
+  new: ["NEW", "NEW_OTHER"],
+  "brand new": ["NEW", "NEW_OTHER"],
+  "new with tags": ["NEW", "NEW_OTHER"],
+  "new without tags": ["NEW_OTHER", "NEW"],
+  "new other": ["NEW_OTHER", "NEW"],
+  "open box": ["NEW_OTHER", "LIKE_NEW", "USED_EXCELLENT"],
+  "new with defects": ["NEW_WITH_DEFECTS", "NEW_OTHER"],
+  refurbished: ["SELLER_REFURBISHED", "USED_EXCELLENT"],
+  "like new": ["LIKE_NEW", "PRE_OWNED_EXCELLENT", "USED_EXCELLENT"],
+  excellent: ["USED_EXCELLENT", "PRE_OWNED_EXCELLENT"],
+  used: ["USED_EXCELLENT", "USED_GOOD"],
+  "pre-owned": ["USED_EXCELLENT", "PRE_OWNED_EXCELLENT"],
+  "very good": ["USED_VERY_GOOD", "PRE_OWNED_EXCELLENT", "USED_EXCELLENT"],
+  good: ["USED_GOOD", "USED_EXCELLENT"],
+  fair: ["USED_ACCEPTABLE", "PRE_OWNED_FAIR", "USED_EXCELLENT"],
+  acceptable: ["USED_ACCEPTABLE", "PRE_OWNED_FAIR", "USED_EXCELLENT"],
+  "for parts or not working": ["FOR_PARTS_OR_NOT_WORKING"],
+  "for parts": ["FOR_PARTS_OR_NOT_WORKING"],
+};
+
+const isConditionEnum = (value) =>
+  Object.prototype.hasOwnProperty.call(CONDITION_IDS, value);
+
+/**
+ * Conditions to try for a grade or enum value, best first
+ *
+ * @param {string} [input] - "Like New", "very good", "USED_GOOD", ...
+ * @returns {string[]|null} null when the input is not recognised
+ */
+const conditionCandidates = (input) => {
+  if (!input) return [DEFAULT_CONDITION];
+
+  const value = String(input).trim();
+  const upper = value.toUpperCase().replace(/[\s-]+/g, "_");
+  if (isConditionEnum(upper)) return [upper];
+
+  return GRADE_CONDITIONS[value.toLowerCase().replace(/\s+/g, " ")] || null;
+};
+
+/**
+ * conditionDescription is only meaningful for items that are not new
+ */
+const acceptsConditionDescription = (condition) =>
+  !["NEW", "NEW_OTHER"].includes(condition);
+
+module.exports = {
+  CONDITION_IDS,
+  DEFAULT_CONDITION,
+  isConditionEnum,
+  conditionCandidates,
+  acceptsConditionDescription,
+};
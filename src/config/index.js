@@ -1,13 +1,26 @@
+const path = require("path");
+
 // Node.js 20.6+ has native .env support via --env-file flag
 // No dotenv needed!
 // Development: node --env-file=.env --watch server.js
 // Production: Environment variables from system
 
+// PM2 sets exec_mode=cluster_mode in cluster workers. Workers share no
+// memory and the file store is per process, so stores holding
+// cross-request state (OAuth state, sessions, drafts, jobs) default to
+// redis there.
+const clustered =
+  process.env.exec_mode === "cluster_mode" ||
+  process.env.CLUSTER_MODE === "true";
+const sharedDriver = clustered ? "redis" : "file";
+
 const config = {
   // Server
   nodeEnv: process.env.NODE_ENV || "development",
   port: parseInt(process.env.PORT || "3000", 10),
   apiKey: process.env.API_KEY,
+  // Operator-only endpoints (cache metrics and admin); disabled when unset
+  adminApiKey: process.env.ADMIN_API_KEY || "",
 
   // Security
   allowedOrigins: (process.env.ALLOWED_ORIGINS || "")
@@ -24,14 +37,119 @@ const config = {
     fulfillmentPolicyId: process.env.EBAY_FULFILLMENT_POLICY_ID || "",
     paymentPolicyId: process.env.EBAY_PAYMENT_POLICY_ID || "",
     returnPolicyId: process.env.EBAY_RETURN_POLICY_ID || "",
+    merchantLocationKey:
+      process.env.EBAY_MERCHANT_LOCATION_KEY || "default_location",
+    marketplaceId: process.env.EBAY_MARKETPLACE_ID || "EBAY_US",
+    appTokenRefreshMarginSeconds: parseInt(
+      process.env.EBAY_APP_TOKEN_REFRESH_MARGIN_SECONDS || "300",
+      10
+    ),
+  },
+
+  // OAuth consent flow
+  oauth: {
+    stateTtlSeconds: parseInt(process.env.OAUTH_STATE_TTL_SECONDS || "600", 10),
+  },
+
+  // Server-side storage (OAuth state, sessions, caches)
+  storage: {
+    // memory | file | redis
+    driver: process.env.STORE_DRIVER || (clustered ? "redis" : "memory"),
+    dir: process.env.STORE_DIR || path.join(process.cwd(), "data"),
+    redisUrl: process.env.REDIS_URL || "redis://127.0.0.1:6379",
+    redisPrefix: process.env.REDIS_PREFIX || "sellist",
+    clustered,
+  },
+
+  // Seller sessions (server-held eBay refresh tokens)
+  session: {
+    encryptionKey: process.env.SESSION_ENCRYPTION_KEY || "",
+    storeDriver: process.env.SESSION_STORE_DRIVER || sharedDriver,
+    refreshSkewSeconds: parseInt(
+      process.env.SESSION_REFRESH_SKEW_SECONDS || "300",
+      10
+    ),
+  },
+
+  // Draft registry (creation metadata eBay does not keep for offers)
+  drafts: {
+    registryDriver: process.env.DRAFT_REGISTRY_DRIVER || sharedDriver,
+    registryTtlDays: parseInt(process.env.DRAFT_REGISTRY_TTL_DAYS || "180", 10),
+    maxOfferPages: parseInt(process.env.DRAFT_MAX_OFFER_PAGES || "50", 10),
+  },
+
+  // Background jobs (async batch drafting / bulk AI analysis)
+  jobs: {
+    storeDriver: process.env.JOB_STORE_DRIVER || sharedDriver,
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || "2", 10),
+    ttlHours: parseInt(process.env.JOB_TTL_HOURS || "24", 10),
+    // The owning process refreshes in-flight jobs every third of this;
+    // a job not refreshed for a whole lease is reported as interrupted
+    leaseSeconds: parseInt(process.env.JOB_LEASE_SECONDS || "60", 10),
+  },
+
+  // Taxonomy cache (category trees, suggestions, item aspects)
+  taxonomy: {
+    cacheDriver: process.env.TAXONOMY_CACHE_DRIVER || "file",
+    // How often the default category tree version is re-checked
+    versionCheckMinutes: parseInt(
+      process.env.TAXONOMY_VERSION_CHECK_MINUTES || "60",
+      10
+    ),
+    ttlHours: {
+      subtree: parseInt(process.env.TAXONOMY_SUBTREE_TTL_HOURS || "168", 10),
+      aspects: parseInt(process.env.TAXONOMY_ASPECTS_TTL_HOURS || "168", 10),
+      suggestions: parseInt(
+        process.env.TAXONOMY_SUGGESTIONS_TTL_HOURS || "24",
+        10
+      ),
+      // Metadata API item condition policies
+      conditionPolicies: parseInt(
+        process.env.TAXONOMY_CONDITIONS_TTL_HOURS || "168",
+        10
+      ),
+    },
+  },
+
+  // Comparable listings (Browse API) used to price AI-generated listings
+  marketData: {
+    enabled: process.env.MARKET_DATA_ENABLED !== "false",
+    cacheDriver: process.env.MARKET_DATA_CACHE_DRIVER || "file",
+    ttlHours: parseInt(process.env.MARKET_DATA_TTL_HOURS || "12", 10),
+    // Listings requested per search (Browse API maximum is 200)
+    limit: parseInt(process.env.MARKET_DATA_LIMIT || "30", 10),
   },
 
   // AI Configuration
   ai: {
+    // gemini | openai | anthropic | stub (offline, deterministic)
+    provider: process.env.AI_PROVIDER || "gemini",
+    // Overrides the default model of AI_PROVIDER
+    model: process.env.AI_MODEL || null,
     geminiApiKey: process.env.GEMINI_API_KEY || "",
     openaiApiKey: process.env.OPENAI_API_KEY,
     anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-    model: process.env.AI_MODEL || "gpt-4",
+    models: {
+      gemini: process.env.GEMINI_MODEL || "gemini-2.5-flash",
+      openai: process.env.OPENAI_MODEL || "gpt-4o",
+      anthropic: process.env.ANTHROPIC_MODEL || "claude-sonnet-4-20250514",
+      stub: "stub-1",
+    },
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS || "120000", 10),
+    // Tried in order once the selected backend fails, e.g.
+    // AI_FALLBACKS="gemini:gemini-2.5-flash-lite,openai:gpt-4o-mini,anthropic"
+    fallbacks: (process.env.AI_FALLBACKS || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const [provider, ...model] = entry.split(":");
+        return { provider, model: model.join(":") || null };
+      }),
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.AI_BREAKER_FAILURES || "3", 10),
+      cooldownMs: parseInt(process.env.AI_BREAKER_COOLDOWN_MS || "60000", 10),
+    },
   },
 
   // Helpers
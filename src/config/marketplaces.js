@@ -0,0 +1,91 @@
+const config = require("./index");
+
+/**
+ * Supported eBay marketplaces.
+ * categoryTreeId is only a fallback - the live ID comes from
+ * Taxonomy get_default_category_tree_id.
+ */
+const MARKETPLACES = {
+  EBAY_US: {
+    marketplaceId: "EBAY_US",
+    contentLanguage: "en-US",
+    currency: "USD",
+    categoryTreeId: "0",
+    country: "US",
+    regionName: "United States",
+  },
+  EBAY_GB: {
+    marketplaceId: "EBAY_GB",
+    contentLanguage: "en-GB",
+    currency: "GBP",
+    categoryTreeId: "3",
+    country: "GB",
+    regionName: "United Kingdom",
+  },
+  EBAY_DE: {
+    marketplaceId: "EBAY_DE",
+    contentLanguage: "de-DE",
+    currency: "EUR",
+    categoryTreeId: "77",
+    country: "DE",
+    regionName: "Germany",
+  },
+  EBAY_AU: {
+    marketplaceId: "EBAY_AU",
+    contentLanguage: "en-AU",
+    currency: "AUD",
+    categoryTreeId: "15",
+    country: "AU",
+    regionName: "Australia",
+  },
+};
+
+// Short forms clients tend to send
+const ALIASES = {
+  US: "EBAY_US",
+  GB: "EBAY_GB",
+  UK: "EBAY_GB",
+  EBAY_UK: "EBAY_GB",
+  DE: "EBAY_DE",
+  AU: "EBAY_AU",
+};
+
+const normalizeMarketplaceId = (value) => {
+  if (!value) return null;
+  const upper = String(value).trim().toUpperCase();
+  return ALIASES[upper] || upper;
+};
+
+const isSupportedMarketplace = (value) =>
+  Boolean(MARKETPLACES[normalizeMarketplaceId(value)]);
+
+/**
+ * Look up a marketplace, falling back to EBAY_MARKETPLACE_ID when none given
+ *
+ * @param {string} [marketplaceId] - e.g. "EBAY_GB" or "UK"
+ * @returns {Object} marketplace settings
+ */
+const getMarketplace = (marketplaceId) => {
+  const id = normalizeMarketplaceId(marketplaceId || config.ebay.marketplaceId);
+  const marketplace = MARKETPLACES[id];
+
+  if (!marketplace) {
+    const err = new Error(
+      `Unsupported marketplace: ${marketplaceId}. Supported: ${Object.keys(
+        MARKETPLACES
+      ).join(", ")}`
+    );
+    err.status = 400;
+    err.code = "UNSUPPORTED_MARKETPLACE";
+    throw err;
+  }
+
+  return marketplace;
+};
+
+module.exports = {
+  MARKETPLACES,
+  normalizeMarketplaceId,
+  isSupportedMarketplace,
+  getMarketplace,
+};
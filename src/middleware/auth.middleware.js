@@ -1,6 +1,7 @@
 const logger = require("../config/logger.config");
 const config = require("../config");
 const { errorResponse } = require("../utils/apiResponse");
+const sessionService = require("../api/ebay/services/session.service");
 
 const verifyApiKey = (req, res, next) => {
   const apiKey = req.headers["x-api-key"];
@@ -13,18 +14,75 @@ const verifyApiKey = (req, res, next) => {
   next();
 };
 
-const verifyBearerToken = (req, res, next) => {
+/**
+ * Operator endpoints: X-Admin-Key must match ADMIN_API_KEY.
+ * Mount after verifyApiKey. Without ADMIN_API_KEY they are closed.
+ */
+const verifyAdminKey = (req, res, next) => {
+  const adminKey = req.headers["x-admin-key"];
+
+  if (!config.adminApiKey || adminKey !== config.adminApiKey) {
+    logger.warn("Unauthorized admin key attempt", {
+      ip: req.ip,
+      path: req.originalUrl,
+    });
+    return errorResponse(res, "Forbidden: admin access required", 403);
+  }
+
+  next();
+};
+
+/**
+ * Accepts either a server-side session ID (Bearer sess_... or X-Session-Id)
+ * or a raw eBay access token (legacy clients).
+ *
+ * Sets:
+ *   req.auth        - credentials for services (refreshes on demand)
+ *   req.accessToken - a currently valid access token
+ *   req.sessionId   - session ID, when a session was used
+ */
+const verifyBearerToken = async (req, res, next) => {
   const authHeader = req.headers["authorization"];
+  const bearer =
+    authHeader && authHeader.startsWith("Bearer ")
+      ? authHeader.substring(7)
+      : null;
+  const sessionId =
+    req.headers["x-session-id"] ||
+    (sessionService.isSessionId(bearer) ? bearer : null);
+
+  if (sessionId) {
+    try {
+      req.sessionId = sessionId;
+      req.auth = sessionService.credentialsFor(sessionId);
+      req.accessToken = await req.auth.getAccessToken();
+      return next();
+    } catch (error) {
+      logger.warn("Session authentication failed", {
+        ip: req.ip,
+        code: error.code,
+        error: error.message,
+      });
+      return errorResponse(
+        res,
+        error.status === 401 ? error.message : "Failed to refresh session",
+        error.status === 401 ? 401 : 502,
+        error.code ? { code: error.code } : null
+      );
+    }
+  }
 
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+  if (!bearer) {
     return errorResponse(res, "No access token provided", 401);
   }
 
-  req.accessToken = authHeader.substring(7);
+  req.accessToken = bearer;
+  req.auth = bearer;
   next();
 };
 
 module.exports = {
   verifyApiKey,
+  verifyAdminKey,
   verifyBearerToken,
 };
@@ -0,0 +1,55 @@
+const logger = require("../config/logger.config");
+const { errorResponse } = require("../utils/apiResponse");
+const {
+  getMarketplace,
+  isSupportedMarketplace,
+} = require("../config/marketplaces");
+const sessionService = require("../api/ebay/services/session.service");
+
+/**
+ * Pick the eBay marketplace for this request, in order:
+ *   1. X-EBAY-C-MARKETPLACE-ID header
+ *   2. marketplaceId in the query string or body
+ *   3. the seller's session preference
+ *   4. EBAY_MARKETPLACE_ID (default EBAY_US)
+ *
+ * Sets req.marketplace = { marketplaceId, contentLanguage, currency, ... }
+ * Mount after verifyBearerToken so the session preference is visible.
+ */
+const resolveMarketplace = async (req, res, next) => {
+  const requested =
+    req.headers["x-ebay-c-marketplace-id"] ||
+    req.query?.marketplaceId ||
+    req.body?.marketplaceId;
+
+  if (requested && !isSupportedMarketplace(requested)) {
+    return errorResponse(res, "Validation failed", 400, {
+      errors: [
+        {
+          field: "marketplaceId",
+          message: `unsupported marketplace: ${requested}`,
+        },
+      ],
+    });
+  }
+
+  let marketplaceId = requested;
+
+  if (!marketplaceId && req.sessionId) {
+    try {
+      const session = await sessionService.getSession(req.sessionId);
+      marketplaceId = session?.marketplaceId;
+    } catch (error) {
+      logger.warn("Could not read session marketplace, using default", {
+        error: error.message,
+      });
+    }
+  }
+
+  req.marketplace = getMarketplace(marketplaceId);
+  next();
+};
+
+module.exports = {
+  resolveMarketplace,
+};
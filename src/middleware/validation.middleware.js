@@ -0,0 +1,46 @@
+const logger = require("../config/logger.config");
+const { errorResponse } = require("../utils/apiResponse");
+const { validateObject } = require("../utils/validator");
+
+const SOURCES = ["params", "query", "body"];
+
+/**
+ * Validate request params / query / body against declarative schemas.
+ * Coerced values replace the originals so controllers see clean types.
+ *
+ * Usage:
+ *   router.post("/route", validate({ body: { title: { type: "string" } } }), handler)
+ *
+ * Failure → 400 with details.errors = [{ field, message }]
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const source of SOURCES) {
+    if (!schemas[source]) continue;
+
+    const result = validateObject(req[source], schemas[source]);
+    const prefix = source === "body" ? "" : `${source}.`;
+
+    errors.push(
+      ...result.errors.map((e) => ({ ...e, field: prefix + e.field }))
+    );
+    req[source] = result.value;
+  }
+
+  if (errors.length > 0) {
+    logger.warn("Request validation failed", {
+      url: req.originalUrl,
+      method: req.method,
+      errors,
+    });
+
+    return errorResponse(res, "Validation failed", 400, { errors });
+  }
+
+  next();
+};
+
+module.exports = {
+  validate,
+};
@@ -1,6 +1,7 @@
 const express = require("express");
 const ebayRoutes = require("../api/ebay/routes/ebay.routes");
 const aiRoutes = require("../api/ai/routes/ai.routes");
+const jobsRoutes = require("../api/jobs/routes/jobs.routes");
 const { apiLimiter } = require("../middleware/rateLimit.middleware");
 
 const router = express.Router();
@@ -11,5 +12,6 @@ router.use(apiLimiter);
 // Mount routes
 router.use("/ebay", ebayRoutes);
 router.use("/ai", aiRoutes);
+router.use("/jobs", jobsRoutes);
 
 module.exports = router;
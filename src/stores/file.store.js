@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../config/logger.config");
+
+/**
+ * JSON-file backed key/value store with per-key TTL.
+ * One file per namespace, loaded lazily and rewritten atomically
+ * (temp file + rename) after every mutation.
+ *
+ * Survives restarts; NOT safe for concurrent writers in multiple processes.
+ */
+class FileStore {
+  constructor(namespace, { dir }) {
+    this.namespace = namespace;
+    this.filePath = path.join(dir, `${namespace}.json`);
+    this.entries = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async get(key) {
+    const entries = this._load();
+    const entry = entries[key];
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      delete entries[key];
+      await this._persist();
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs = null) {
+    const entries = this._load();
+    entries[key] = {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null,
+    };
+    await this._persist();
+  }
+
+  async delete(key) {
+    const entries = this._load();
+    if (!(key in entries)) return;
+
+    delete entries[key];
+    await this._persist();
+  }
+
+  /**
+   * Atomically read and remove a key (one-time use)
+   */
+  async take(key) {
+    const entries = this._load();
+    const entry = entries[key];
+    if (!entry) return null;
+
+    delete entries[key];
+    await this._persist();
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) return null;
+    return entry.value;
+  }
+
+  // ────────────────────────────────────────────────
+  // INTERNAL
+  // ────────────────────────────────────────────────
+
+  _load() {
+    if (this.entries) return this.entries;
+
+    try {
+      const raw = fs.readFileSync(this.filePath, "utf8");
+      this.entries = JSON.parse(raw);
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        logger.error("FileStore: failed to read store, starting empty", {
+          namespace: this.namespace,
+          error: e.message,
+        });
+      }
+      this.entries = {};
+    }
+
+    // Drop anything that expired while we were offline
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        delete this.entries[key];
+      }
+    }
+
+    return this.entries;
+  }
+
+  _persist() {
+    // Serialize writes so a slow rename never overwrites a newer snapshot
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), {
+          recursive: true,
+        });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(this.entries));
+        await fs.promises.rename(tmpPath, this.filePath);
+      });
+
+    return this.writeChain;
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,76 @@
+const config = require("../config");
+const logger = require("../config/logger.config");
+const MemoryStore = require("./memory.store");
+const FileStore = require("./file.store");
+const RedisStore = require("./redis.store");
+
+let redisClient = null;
+
+/**
+ * Shared Redis client, created on first use.
+ * ioredis is an optional dependency - only required by the redis driver
+ * (the default for shared stores in cluster mode).
+ */
+function getRedisClient() {
+  if (redisClient) return redisClient;
+
+  let Redis;
+  try {
+    Redis = require("ioredis");
+  } catch (e) {
+    throw new Error(
+      'The redis store driver requires the "ioredis" package, an optional ' +
+        "dependency: reinstall without --no-optional / --omit=optional"
+    );
+  }
+
+  redisClient = new Redis(config.storage.redisUrl);
+  redisClient.on("error", (err) => {
+    logger.error("Redis store connection error", { error: err.message });
+  });
+
+  return redisClient;
+}
+
+/**
+ * Create a namespaced key/value store.
+ * All stores share the same async interface: get, set(ttlMs), delete, take.
+ *
+ * @param {string} namespace - logical store name (e.g. "oauth-state")
+ * @param {Object} options
+ * @param {string} options.driver - memory | file | redis (default: STORE_DRIVER)
+ * @param {boolean} options.shared - entries must be visible to every
+ *   process; refuses memory / file when running clustered
+ */
+function createStore(
+  namespace,
+  { driver = config.storage.driver, shared = false } = {}
+) {
+  if (shared && config.storage.clustered && driver !== "redis") {
+    throw new Error(
+      `Store "${namespace}" must be shared between cluster workers: ` +
+        `the "${driver}" driver is per process, use redis`
+    );
+  }
+
+  switch (driver) {
+    case "memory":
+      return new MemoryStore(namespace);
+    case "file":
+      return new FileStore(namespace, { dir: config.storage.dir });
+    case "redis":
+      return new RedisStore(namespace, {
+        client: getRedisClient(),
+        prefix: config.storage.redisPrefix,
+      });
+    default:
+      throw new Error(`Unknown store driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  MemoryStore,
+  FileStore,
+  RedisStore,
+};
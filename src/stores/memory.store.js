@@ -0,0 +1,48 @@
+/**
+ * In-memory key/value store with per-key TTL.
+ * Default driver. Not shared between processes (PM2 cluster instances).
+ */
+class MemoryStore {
+  constructor(namespace) {
+    this.namespace = namespace;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs = null) {
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null,
+    });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Atomically read and remove a key (one-time use)
+   */
+  async take(key) {
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) return null;
+
+    return entry.value;
+  }
+}
+
+module.exports = MemoryStore;
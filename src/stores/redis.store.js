@@ -0,0 +1,62 @@
+/**
+ * Redis-backed key/value store.
+ * Expects an ioredis client (see stores/index.js): get, del, getdel or
+ * multi(), and set(key, value, "PX", ms) for TTLs.
+ *
+ * Values are stored as JSON under `<prefix>:<namespace>:<key>`.
+ */
+class RedisStore {
+  constructor(namespace, { client, prefix = "sellist" }) {
+    if (!client) {
+      throw new Error("RedisStore requires a Redis client");
+    }
+
+    this.namespace = namespace;
+    this.client = client;
+    this.prefix = `${prefix}:${namespace}:`;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs = null) {
+    const raw = JSON.stringify(value);
+
+    if (ttlMs) {
+      await this.client.set(this.prefix + key, raw, "PX", Math.ceil(ttlMs));
+    } else {
+      await this.client.set(this.prefix + key, raw);
+    }
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  /**
+   * Atomically read and remove a key (one-time use)
+   */
+  async take(key) {
+    const fullKey = this.prefix + key;
+    let raw;
+
+    if (typeof this.client.getdel === "function") {
+      raw = await this.client.getdel(fullKey);
+    } else {
+      // Redis < 6.2: GET + DEL in a MULTI block
+      const results = await this.client
+        .multi()
+        .get(fullKey)
+        .del(fullKey)
+        .exec();
+      const first = results[0];
+      raw = Array.isArray(first) ? first[1] : first;
+    }
+
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,174 @@
+const logger = require("../config/logger.config");
+const { validateObject } = require("./validator");
+
+/**
+ * Helpers for JSON produced by language models: strip fences and prose,
+ * close truncated output, repair common syntax slips, then validate the
+ * result against a validator.js schema.
+ */
+
+/**
+ * Cut the outermost JSON object out of a model reply.
+ * A reply cut off mid-object is closed with closeTruncatedJson.
+ */
+const extractJson = (text) => {
+  if (!text || typeof text !== "string") {
+    throw new Error("No JSON object found in AI response");
+  }
+
+  const cleaned = text
+    .trim()
+    .replace(/^```[a-zA-Z]*\s*/, "")
+    .replace(/\s*```$/, "")
+    .replace(/```/g, "")
+    .trim();
+
+  const firstBrace = cleaned.indexOf("{");
+  const lastBrace = cleaned.lastIndexOf("}");
+
+  if (firstBrace === -1) {
+    throw new Error("No JSON object found in AI response");
+  }
+
+  if (lastBrace > firstBrace) {
+    return cleaned.substring(firstBrace, lastBrace + 1);
+  }
+
+  logger.warn("Attempting JSON recovery (truncated response detected)");
+  return closeTruncatedJson(cleaned.substring(firstBrace));
+};
+
+/**
+ * Close an unterminated string and any open arrays/objects, innermost first
+ */
+const closeTruncatedJson = (json) => {
+  const open = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of json) {
+    if (escaped) {
+      escaped = false;
+    } else if (char === "\\") {
+      escaped = true;
+    } else if (char === '"') {
+      inString = !inString;
+    } else if (!inString) {
+      if (char === "{") open.push("}");
+      else if (char === "[") open.push("]");
+      else if (char === "}" || char === "]") open.pop();
+    }
+  }
+
+  let closed = inString ? `${json}"` : json;
+  // A dangling comma or colon would still be invalid once closed
+  closed = closed.replace(/[,:]\s*$/, "");
+  return closed + open.reverse().join("");
+};
+
+/**
+ * Fix trailing commas and unquoted keys. Works token by token so text
+ * inside string values is never touched.
+ */
+const repairJson = (json) => {
+  let out = "";
+  let i = 0;
+
+  while (i < json.length) {
+    const char = json[i];
+
+    // Copy string literals verbatim
+    if (char === '"') {
+      let j = i + 1;
+      while (j < json.length && json[j] !== '"') {
+        j += json[j] === "\\" ? 2 : 1;
+      }
+      out += json.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    // Trailing comma before a closing bracket
+    if (char === ",") {
+      const rest = json.slice(i + 1).match(/^\s*([}\]])/);
+      if (rest) {
+        i++;
+        continue;
+      }
+    }
+
+    // Bare key: identifier right after { or , and followed by :
+    if (/[A-Za-z_$]/.test(char) && /[{,]\s*$/.test(out)) {
+      const key = json.slice(i).match(/^([A-Za-z_$][\w$]*)\s*:/);
+      if (key) {
+        out += `"${key[1]}"`;
+        i += key[1].length;
+        continue;
+      }
+    }
+
+    out += char;
+    i++;
+  }
+
+  return out;
+};
+
+/**
+ * Parse a model reply into an object (extract → parse → repair → parse)
+ *
+ * @throws {Error} "Invalid JSON from AI" when nothing parses
+ */
+const parseModelJson = (text, correlationId = null) => {
+  const json = extractJson(text);
+
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    try {
+      return JSON.parse(repairJson(json));
+    } catch (repairErr) {
+      logger.error("JSON parse failed", {
+        correlationId,
+        error: repairErr.message,
+        preview: json.slice(0, 500),
+      });
+      throw new Error("Invalid JSON from AI");
+    }
+  }
+};
+
+/**
+ * Parse and validate a model reply against a schema (validator.js properties)
+ *
+ * @returns {{ value: Object|null, errors: Array<{field, message}> }}
+ *   value is the coerced object; errors is empty when it is usable
+ */
+const checkModelJson = (text, properties, correlationId = null) => {
+  let parsed;
+  try {
+    parsed = parseModelJson(text, correlationId);
+  } catch (err) {
+    return {
+      value: null,
+      errors: [{ field: "(root)", message: err.message }],
+    };
+  }
+
+  if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return {
+      value: null,
+      errors: [{ field: "(root)", message: "must be a JSON object" }],
+    };
+  }
+
+  return validateObject(parsed, properties);
+};
+
+module.exports = {
+  extractJson,
+  closeTruncatedJson,
+  repairJson,
+  parseModelJson,
+  checkModelJson,
+};
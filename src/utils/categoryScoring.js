@@ -0,0 +1,104 @@
+/**
+ * Score eBay leaf categories against an item's title and aspects.
+ *
+ * score = name similarity (leaf name vs item words)
+ *       + keyword overlap (item words found anywhere in the leaf path)
+ *       + suggestion rank (leaves under the best Taxonomy suggestion first)
+ */
+
+const WEIGHTS = { name: 0.5, overlap: 0.3, rank: 0.2 };
+
+// Below this, or without a clear lead over the runner-up, the ranking is
+// not trusted and callers fall back to the first-child walk
+const MIN_SCORE = 0.2;
+const MIN_MARGIN = 0.05;
+
+const STOP_WORDS = new Set([
+  "and",
+  "for",
+  "the",
+  "with",
+  "other",
+  "new",
+  "used",
+  "lot",
+  "of",
+]);
+
+/**
+ * Lowercase words with a trailing plural "s" dropped ("Cell Phones" → cell, phone)
+ */
+const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map((word) =>
+      word.length > 3 && word.endsWith("s") && !word.endsWith("ss")
+        ? word.slice(0, -1)
+        : word
+    );
+
+/**
+ * Words from the title and aspect values; aspects may be
+ * { Brand: "Apple" } or eBay's { Brand: ["Apple"] }
+ */
+const itemTokens = (title, aspects = {}) => {
+  const values = Object.values(aspects || {}).flat();
+  return new Set(tokenize([title, ...values].join(" ")));
+};
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+const share = (tokens, words) =>
+  tokens.length ? tokens.filter((t) => words.has(t)).length / tokens.length : 0;
+
+/**
+ * @param {Array<{categoryId, categoryName, categoryPath, suggestionRank}>} leaves
+ * @param {Object} item - { title, aspects }
+ * @returns {{ ranked: Array, conclusive: boolean }} ranked best first, each
+ *   leaf with { score, signals: { name, overlap, rank } }
+ */
+const rankLeaves = (leaves, { title, aspects } = {}) => {
+  const words = itemTokens(title, aspects);
+
+  const ranked = leaves
+    .map((leaf) => {
+      const signals = {
+        name: share(tokenize(leaf.categoryName), words),
+        overlap: share([...new Set(tokenize(leaf.categoryPath))], words),
+        rank: 1 / (1 + (leaf.suggestionRank || 0)),
+      };
+
+      const score =
+        WEIGHTS.name * signals.name +
+        WEIGHTS.overlap * signals.overlap +
+        WEIGHTS.rank * signals.rank;
+
+      return {
+        ...leaf,
+        score: round(score),
+        signals: {
+          name: round(signals.name),
+          overlap: round(signals.overlap),
+          rank: round(signals.rank),
+        },
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = ranked;
+  const matched = !!best && (best.signals.name > 0 || best.signals.overlap > 0);
+
+  const conclusive =
+    matched &&
+    best.score >= MIN_SCORE &&
+    (!runnerUp || best.score - runnerUp.score >= MIN_MARGIN);
+
+  return { ranked, conclusive };
+};
+
+module.exports = {
+  tokenize,
+  rankLeaves,
+};
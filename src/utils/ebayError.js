@@ -0,0 +1,44 @@
+const logger = require("../config/logger.config");
+const { errorResponse } = require("./apiResponse");
+
+/**
+ * Flatten an eBay API failure (axios error) into a loggable / returnable shape.
+ * Also accepts plain errors carrying `status` / `code`.
+ *
+ * @param {Error} e
+ * @param {Object} context - extra fields to include (e.g. { policy }, { sku })
+ */
+const normalizeEbayError = (e, context = {}) => {
+  const first = e.response?.data?.errors?.[0];
+
+  return {
+    ...context,
+    status: e.response?.status || e.status,
+    errorId: first?.errorId,
+    ...(!e.response && e.code && { code: e.code }),
+    message: first?.message || (e.response ? undefined : e.message),
+    raw: e.response?.data || e.message,
+  };
+};
+
+/**
+ * Log an eBay failure and answer with its status and eBay's own message
+ * (falling back to `message`). Controllers use this for eBay passthrough
+ * errors that need no special handling.
+ */
+const sendEbayError = (res, message, error, context = {}) => {
+  const normalized = normalizeEbayError(error, context);
+  logger.error(message, normalized);
+
+  errorResponse(
+    res,
+    normalized.message || message,
+    normalized.status || 500,
+    normalized
+  );
+};
+
+module.exports = {
+  normalizeEbayError,
+  sendEbayError,
+};
@@ -0,0 +1,74 @@
+const crypto = require("crypto");
+const config = require("../config");
+const logger = require("../config/logger.config");
+
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+
+let cachedKey = null;
+
+/**
+ * 32-byte key from SESSION_ENCRYPTION_KEY (hex or base64).
+ * Falls back to a key derived from API_KEY so development works out of the box.
+ */
+const getKey = () => {
+  if (cachedKey) return cachedKey;
+
+  const raw = config.session.encryptionKey;
+
+  if (raw) {
+    const decoded = /^[0-9a-f]{64}$/i.test(raw)
+      ? Buffer.from(raw, "hex")
+      : Buffer.from(raw, "base64");
+
+    if (decoded.length !== 32) {
+      throw new Error(
+        "SESSION_ENCRYPTION_KEY must be 32 bytes (hex or base64)"
+      );
+    }
+
+    cachedKey = decoded;
+  } else {
+    logger.warn(
+      "SESSION_ENCRYPTION_KEY not set, deriving session key from API_KEY"
+    );
+    cachedKey = crypto.scryptSync(config.apiKey, "sellist-session", 32);
+  }
+
+  return cachedKey;
+};
+
+/**
+ * Encrypt a UTF-8 string → "iv.tag.ciphertext" (base64url parts)
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, ciphertext] = payload
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
@@ -0,0 +1,49 @@
+/**
+ * Price statistics over comparable listings. Each item is priced at
+ * `totalPrice` (price + shipping) when known, otherwise `price`.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const itemPrice = (item) => {
+  const value = Number(item?.totalPrice ?? item?.price);
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+/**
+ * @param {Array<{ price, totalPrice?, shippingCost? }>} items
+ * @returns {{ count, min, max, average, median, freeShippingShare } | null}
+ *   null when no item has a usable price
+ */
+const summarizePrices = (items = []) => {
+  const priced = items.filter((item) => itemPrice(item) !== null);
+  if (!priced.length) return null;
+
+  const prices = priced.map(itemPrice).sort((a, b) => a - b);
+  const mid = Math.floor(prices.length / 2);
+  const median =
+    prices.length % 2 ? prices[mid] : (prices[mid - 1] + prices[mid]) / 2;
+
+  const withShipping = priced.filter(
+    (item) => item.shippingCost !== undefined && item.shippingCost !== null
+  );
+
+  return {
+    count: prices.length,
+    min: round(prices[0]),
+    max: round(prices[prices.length - 1]),
+    average: round(prices.reduce((sum, p) => sum + p, 0) / prices.length),
+    median: round(median),
+    freeShippingShare: withShipping.length
+      ? round(
+          withShipping.filter((item) => item.shippingCost === 0).length /
+            withShipping.length
+        )
+      : null,
+  };
+};
+
+module.exports = {
+  round,
+  summarizePrices,
+};
@@ -0,0 +1,207 @@
+/**
+ * Minimal declarative validator.
+ *
+ * A schema is a plain object describing one value:
+ *   {
+ *     type: "string" | "number" | "integer" | "boolean" | "array" | "object",
+ *     required, default,
+ *     minLength, maxLength, pattern, enum, trim,   // strings
+ *     min, max,                                    // numbers
+ *     minItems, maxItems, items,                   // arrays
+ *     properties,                                  // objects (unknown keys pass through)
+ *     check: (value, parent) => errorMessage | null,
+ *     transform: (value) => value,                 // applied once valid
+ *     message                                      // overrides the generated message
+ *   }
+ *
+ * Values are coerced where it is unambiguous ("12.50" → 12.5, 220 → "220",
+ * "true" → true) so query strings and loosely-typed clients validate cleanly.
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+const coerce = (value, type) => {
+  switch (type) {
+    case "string":
+      return typeof value === "number" ? String(value) : value;
+
+    case "number":
+    case "integer":
+      if (typeof value === "string" && value.trim() !== "") {
+        const parsed = Number(value);
+        return Number.isNaN(parsed) ? value : parsed;
+      }
+      return value;
+
+    case "boolean":
+      if (value === "true") return true;
+      if (value === "false") return false;
+      return value;
+
+    default:
+      return value;
+  }
+};
+
+const typeMatches = (value, type) => {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    default:
+      return true;
+  }
+};
+
+const describe = (type) =>
+  type === "array" || type === "object" || type === "integer"
+    ? `an ${type}`
+    : `a ${type}`;
+
+/**
+ * Validate (and coerce) a single value against a schema
+ *
+ * @param {*} input
+ * @param {Object} schema
+ * @param {string} field - dotted path used in error messages
+ * @param {Object} parent - containing object, passed to `check`
+ * @returns {{ value: *, errors: Array<{field: string, message: string}> }}
+ */
+const validateValue = (input, schema, field = "", parent = null) => {
+  const errors = [];
+  const fail = (message) => {
+    errors.push({
+      field: field || "(root)",
+      message: schema.message || message,
+    });
+    return { value: input, errors };
+  };
+
+  let value = input;
+
+  if (isEmpty(value)) {
+    if (schema.default !== undefined) {
+      value =
+        typeof schema.default === "function"
+          ? schema.default()
+          : schema.default;
+    } else if (schema.required) {
+      return fail("is required");
+    } else {
+      return { value, errors };
+    }
+  }
+
+  if (schema.type) {
+    value = coerce(value, schema.type);
+    if (!typeMatches(value, schema.type)) {
+      return fail(`must be ${describe(schema.type)}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.trim) value = value.trim();
+
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      return fail("has an invalid format");
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.min !== undefined && value < schema.min) {
+      return fail(`must be >= ${schema.min}`);
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      return fail(`must be <= ${schema.max}`);
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(`must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must contain at most ${schema.maxItems} item(s)`);
+    }
+
+    if (schema.items) {
+      value = value.map((item, i) => {
+        const result = validateValue(
+          item,
+          schema.items,
+          `${field}[${i}]`,
+          value
+        );
+        errors.push(...result.errors);
+        return result.value;
+      });
+    }
+  }
+
+  if (isPlainObject(value) && schema.properties) {
+    const result = validateObject(value, schema.properties, field);
+    errors.push(...result.errors);
+    value = result.value;
+  }
+
+  if (errors.length === 0 && schema.check) {
+    const message = schema.check(value, parent);
+    if (message) return fail(message);
+  }
+
+  if (errors.length === 0 && schema.transform) {
+    value = schema.transform(value);
+  }
+
+  return { value, errors };
+};
+
+/**
+ * Validate every declared property of an object.
+ * Undeclared keys are kept as-is.
+ */
+const validateObject = (input, properties, prefix = "") => {
+  const source = isPlainObject(input) ? input : {};
+  const value = { ...source };
+  const errors = [];
+
+  for (const [key, schema] of Object.entries(properties)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const result = validateValue(source[key], schema, field, source);
+
+    errors.push(...result.errors);
+    if (result.value !== undefined) {
+      value[key] = result.value;
+    }
+  }
+
+  return { value, errors };
+};
+
+module.exports = {
+  validateValue,
+  validateObject,
+};